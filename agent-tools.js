@@ -0,0 +1,382 @@
+/**
+ * BrowserMagic DOM Agent Tools
+ * 
+ * Command executor for AI agents: validates command objects received from
+ * a model, maps them onto the Navigate, Extract and Perform tools, and
+ * runs command sequences with per-step results.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { 
+  REF_PREFIX,
+  takeSnapshot
+} from './core.js';
+
+import { serializeSnapshot } from './serialize.js';
+
+import { createSuccessResult } from './tools/utils.js';
+
+import Navigate from './tools/navigate.js';
+import Extract from './tools/extract.js';
+import Perform from './tools/perform.js';
+
+/**
+ * Error policies for command sequences
+ * @type {string[]}
+ */
+const ERROR_POLICIES = ['stop', 'continue'];
+
+/**
+ * Supported commands: which fields they need and how they map onto the tools
+ * @type {Object<string, {target: string, run: Function}>}
+ */
+const COMMANDS = {
+  click: {
+    target: 'required',
+    run: (command, target) => Perform.click(target, command.options)
+  },
+  fill: {
+    target: 'required',
+    run: (command, target) => Perform.type(target, String(command.value), command.options)
+  },
+  navigate: {
+    target: 'none',
+    run: command => Navigate.to(command.url, command.options)
+  },
+  scroll: {
+    target: 'optional',
+    run: (command, target) => Perform.scroll({
+      ...command.options,
+      ...(target ? { target } : { x: command.x, y: command.y })
+    })
+  },
+  hover: {
+    target: 'required',
+    run: (command, target) => Perform.hover(target, command.options)
+  },
+  goBack: {
+    target: 'none',
+    run: command => Navigate.history('back', command.options)
+  },
+  analyze: {
+    target: 'none',
+    run: command => createSuccessResult(getPageContext(command.options))
+  }
+};
+
+/**
+ * Get the element target of a command
+ * 
+ * Commands may name their element by `xpath` (as documented), `selector`,
+ * `target` (any locator Perform accepts) or `ref` (a snapshot ref).
+ * 
+ * @param {Object} command - Command object
+ * @returns {string|null} - Target for the Perform tool
+ */
+function getCommandTarget(command) {
+  if (typeof command.ref === 'string' && command.ref) {
+    return command.ref.startsWith(REF_PREFIX) ? command.ref : `${REF_PREFIX}${command.ref}`;
+  }
+  
+  for (const field of ['target', 'xpath', 'selector']) {
+    if (typeof command[field] === 'string' && command[field]) return command[field];
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a command object
+ * 
+ * @param {Object} command - Command object, e.g. { action: 'click', xpath: '//button' }
+ * @returns {{valid: boolean, errors: string[]}} - Validation outcome
+ */
+function validateCommand(command) {
+  const errors = [];
+  
+  if (!command || typeof command !== 'object' || Array.isArray(command)) {
+    return { valid: false, errors: ['Command must be an object'] };
+  }
+  
+  const spec = COMMANDS[command.action];
+  
+  if (typeof command.action !== 'string' || !spec) {
+    errors.push(`Unknown action "${command.action}", expected one of: ${Object.keys(COMMANDS).join(', ')}`);
+    return { valid: false, errors };
+  }
+  
+  const target = getCommandTarget(command);
+  
+  if (spec.target === 'required' && !target) {
+    errors.push(`"${command.action}" requires an xpath, selector, target or ref`);
+  }
+  
+  if (command.action === 'fill' && typeof command.value !== 'string' && typeof command.value !== 'number') {
+    errors.push('"fill" requires a string value');
+  }
+  
+  if (command.action === 'navigate' && (typeof command.url !== 'string' || !command.url.trim())) {
+    errors.push('"navigate" requires a url');
+  }
+  
+  if (command.action === 'scroll' && !target &&
+      typeof command.x !== 'number' && typeof command.y !== 'number') {
+    errors.push('"scroll" requires an element target or x/y coordinates');
+  }
+  
+  if (command.options !== undefined &&
+      (!command.options || typeof command.options !== 'object' || Array.isArray(command.options))) {
+    errors.push('"options" must be an object');
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Convert a tool result into the agent command result shape
+ * @param {Object} command - Executed command
+ * @param {Object} result - Result from the underlying tool
+ * @returns {Object} - Command result
+ */
+function createCommandResult(command, result) {
+  const commandResult = {
+    success: result.success,
+    action: command.action
+  };
+  
+  // Echo the locator the command used
+  if (command.xpath) {
+    commandResult.xpath = command.xpath;
+  } else {
+    const target = getCommandTarget(command);
+    if (target) commandResult.target = target;
+  }
+  
+  if (result.success) {
+    const element = result.data && result.data.element;
+    
+    if (element) {
+      commandResult.element = {
+        ref: element.ref,
+        tag: element.tag,
+        text: element.text,
+        xpath: element.xpath
+      };
+    }
+  } else {
+    commandResult.error = result.error;
+  }
+  
+  commandResult.data = result.data;
+  
+  return commandResult;
+}
+
+/**
+ * Create the result for a command that failed validation
+ * @param {*} command - The rejected command
+ * @param {string[]} errors - Validation errors
+ * @returns {Object} - Command result
+ */
+function createInvalidResult(command, errors) {
+  return {
+    success: false,
+    action: command && typeof command === 'object' ? command.action : undefined,
+    error: `Invalid command: ${errors.join('; ')}`,
+    errors
+  };
+}
+
+/**
+ * Execute a single command
+ * 
+ * @param {Object} command - Command object, e.g. { action: 'fill', xpath: '//*[@id="q"]', value: 'shoes' }
+ * @returns {Promise<Object>} Command result with success, action, element or error
+ */
+async function executeCommand(command) {
+  const { valid, errors } = validateCommand(command);
+  
+  if (!valid) {
+    return createInvalidResult(command, errors);
+  }
+  
+  try {
+    const result = await COMMANDS[command.action].run(command, getCommandTarget(command));
+    return createCommandResult(command, result);
+  } catch (error) {
+    return createCommandResult(command, {
+      success: false,
+      error: `${command.action} failed: ${error.message}`,
+      data: {}
+    });
+  }
+}
+
+/**
+ * Execute a sequence of commands in order
+ * 
+ * With the "stop" policy, no command runs if any command is invalid, and
+ * the commands after the first failure are skipped. With "continue",
+ * every valid command runs regardless of earlier failures.
+ * 
+ * @param {Object[]} commands - Command objects
+ * @param {Object} [options] - Execution options
+ * @param {string} [options.onError='stop'] - Error policy: "stop" or "continue"
+ * @param {number} [options.delay=0] - Pause between commands in ms
+ * @returns {Promise<Object[]>} One result per command, each with its step index
+ */
+async function executeCommands(commands, options = {}) {
+  const {
+    onError = 'stop',
+    delay = 0
+  } = options;
+  
+  if (!Array.isArray(commands)) {
+    return [{ success: false, step: 0, error: 'Commands must be an array' }];
+  }
+  
+  if (!ERROR_POLICIES.includes(onError)) {
+    return [{ success: false, step: 0, error: `Invalid onError policy: ${onError}. Must be 'stop' or 'continue'` }];
+  }
+  
+  const skip = (command, step, reason) => ({
+    step,
+    success: false,
+    action: command && typeof command === 'object' ? command.action : undefined,
+    skipped: true,
+    error: `Skipped: ${reason}`
+  });
+  
+  // Reject the whole sequence up front if it cannot run to completion
+  if (onError === 'stop') {
+    const validations = commands.map(validateCommand);
+    const invalidStep = validations.findIndex(validation => !validation.valid);
+    
+    if (invalidStep !== -1) {
+      return commands.map((command, step) => step === invalidStep
+        ? { step, ...createInvalidResult(command, validations[step].errors) }
+        : skip(command, step, `step ${invalidStep} is invalid`));
+    }
+  }
+  
+  const results = [];
+  let failedStep = -1;
+  
+  for (let step = 0; step < commands.length; step++) {
+    if (failedStep !== -1) {
+      results.push(skip(commands[step], step, `step ${failedStep} failed`));
+      continue;
+    }
+    
+    if (step > 0 && delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    
+    const result = { step, ...(await executeCommand(commands[step])) };
+    results.push(result);
+    
+    if (!result.success && onError === 'stop') failedStep = step;
+  }
+  
+  return results;
+}
+
+/**
+ * Get page context for AI analysis
+ * 
+ * @param {Object} [options] - takeSnapshot options, e.g. { maxTokens: 2000 }
+ * @returns {Object} Page URL, title, a compact outline and the snapshot it was built from
+ */
+function getPageContext(options = {}) {
+  const snapshot = takeSnapshot(options);
+  
+  return {
+    url: snapshot.url,
+    title: snapshot.title,
+    timestamp: snapshot.timestamp,
+    viewport: snapshot.viewport,
+    outline: serializeSnapshot(snapshot),
+    snapshot
+  };
+}
+
+/**
+ * DOM analysis tools
+ */
+const DOM = {
+  /**
+   * Take a snapshot of the DOM
+   * @param {Object} [options] - takeSnapshot options
+   * @returns {Object} Snapshot
+   */
+  analyzeDOM: (options = {}) => takeSnapshot(options),
+  
+  /**
+   * Find elements by CSS selector
+   * @param {string} selector - CSS selector
+   * @param {Object} [options] - Extract.elements options
+   * @returns {Object[]} Matching elements
+   */
+  findElements: (selector, options = {}) => {
+    const result = Extract.elements(selector, options);
+    return result.success ? result.data.elements : [];
+  },
+  
+  /**
+   * Find elements by text content
+   * @param {string} text - Text to look for
+   * @param {boolean} [exact=false] - Require the whole text to match
+   * @returns {Object[]} Matching elements
+   */
+  findElementsByText: (text, exact = false) => {
+    const result = Extract.elements(text, { queryType: 'text' });
+    if (!result.success) return [];
+    
+    return exact
+      ? result.data.elements.filter(element => (element.text || '').trim() === text.trim())
+      : result.data.elements;
+  },
+  
+  getPageContext
+};
+
+/**
+ * Element interaction tools, returning command results
+ */
+const Interaction = {
+  clickElement: (xpath, options) => executeCommand({ action: 'click', xpath, options }),
+  fillElement: (xpath, value, options) => executeCommand({ action: 'fill', xpath, value, options }),
+  scrollToElement: (xpath, options) => executeCommand({ action: 'scroll', xpath, options }),
+  hoverElement: (xpath, options) => executeCommand({ action: 'hover', xpath, options })
+};
+
+/**
+ * Page navigation tools, returning command results
+ */
+const Navigation = {
+  navigateTo: (url, options) => executeCommand({ action: 'navigate', url, options }),
+  goBack: options => executeCommand({ action: 'goBack', options }),
+  getCurrentURL: () => window.location.href
+};
+
+/**
+ * Browser history tools
+ */
+const History = {
+  getHistoryLength: () => window.history.length,
+  canGoBack: () => Navigate.getState({ includeEntries: false }).data.canGoBack === true,
+  canGoForward: () => Navigate.getState({ includeEntries: false }).data.canGoForward === true
+};
+
+// Export the agent tools
+export default {
+  DOM,
+  Interaction,
+  Navigation,
+  History,
+  executeCommand,
+  executeCommands,
+  validateCommand
+};
@@ -0,0 +1,688 @@
+/**
+ * BrowserMagic DOM ARIA
+ * 
+ * Role mapping and accessible name / description computation following
+ * WAI-ARIA 1.2, HTML-AAM and the Accessible Name and Description
+ * Computation (accname) 1.2 specifications.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { logLibraryError } from './tools/console.js';
+
+/**
+ * Every concrete role defined by WAI-ARIA 1.2, plus the graphics roles
+ * @type {Set<string>}
+ */
+const ARIA_ROLES = new Set([
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote',
+  'button', 'caption', 'cell', 'checkbox', 'code', 'columnheader', 'combobox',
+  'complementary', 'contentinfo', 'definition', 'deletion', 'dialog',
+  'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic',
+  'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+  'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation',
+  'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar',
+  'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader',
+  'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton',
+  'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table',
+  'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar',
+  'tooltip', 'tree', 'treegrid', 'treeitem',
+  'graphics-document', 'graphics-object', 'graphics-symbol'
+]);
+
+/**
+ * Roles whose name may be computed from their content
+ * @type {Set<string>}
+ */
+const NAME_FROM_CONTENT_ROLES = new Set([
+  'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+  'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+]);
+
+/**
+ * Roles that must not be named from aria-label or content
+ * @type {Set<string>}
+ */
+const NAME_PROHIBITED_ROLES = new Set([
+  'caption', 'code', 'deletion', 'emphasis', 'generic', 'insertion',
+  'paragraph', 'presentation', 'none', 'strong', 'subscript', 'superscript'
+]);
+
+/**
+ * Roles that expose a value when embedded in another control's label
+ * @type {Set<string>}
+ */
+const RANGE_ROLES = new Set(['meter', 'progressbar', 'scrollbar', 'slider', 'spinbutton']);
+
+/**
+ * Implicit roles for elements whose mapping does not depend on context
+ * @type {Object<string, string>}
+ */
+const IMPLICIT_ROLES = {
+  address: 'group',
+  article: 'article',
+  aside: 'complementary',
+  blockquote: 'blockquote',
+  button: 'button',
+  caption: 'caption',
+  code: 'code',
+  datalist: 'listbox',
+  dd: 'definition',
+  del: 'deletion',
+  details: 'group',
+  dfn: 'term',
+  dialog: 'dialog',
+  dt: 'term',
+  em: 'emphasis',
+  fieldset: 'group',
+  figure: 'figure',
+  form: 'form',
+  h1: 'heading',
+  h2: 'heading',
+  h3: 'heading',
+  h4: 'heading',
+  h5: 'heading',
+  h6: 'heading',
+  hgroup: 'group',
+  hr: 'separator',
+  ins: 'insertion',
+  li: 'listitem',
+  main: 'main',
+  math: 'math',
+  menu: 'list',
+  meter: 'meter',
+  nav: 'navigation',
+  ol: 'list',
+  optgroup: 'group',
+  option: 'option',
+  output: 'status',
+  p: 'paragraph',
+  progress: 'progressbar',
+  search: 'search',
+  strong: 'strong',
+  sub: 'subscript',
+  sup: 'superscript',
+  svg: 'graphics-document',
+  table: 'table',
+  tbody: 'rowgroup',
+  textarea: 'textbox',
+  tfoot: 'rowgroup',
+  thead: 'rowgroup',
+  time: 'time',
+  tr: 'row',
+  ul: 'list'
+};
+
+/**
+ * Implicit roles of <input> elements by type
+ * @type {Object<string, string>}
+ */
+const INPUT_ROLES = {
+  button: 'button',
+  checkbox: 'checkbox',
+  email: 'textbox',
+  image: 'button',
+  number: 'spinbutton',
+  radio: 'radio',
+  range: 'slider',
+  reset: 'button',
+  search: 'searchbox',
+  submit: 'button',
+  tel: 'textbox',
+  text: 'textbox',
+  url: 'textbox'
+};
+
+/**
+ * Elements that scope header/footer so they no longer map to landmarks
+ * @type {string}
+ */
+const SECTIONING_SELECTOR = 'article, aside, main, nav, section, [role="article"], [role="complementary"], [role="main"], [role="navigation"], [role="region"]';
+
+/**
+ * Get the explicit ARIA role of an element, if it has a valid one
+ * @param {Element} element - The DOM element
+ * @returns {string|null} - First recognised token of the role attribute
+ */
+function getExplicitRole(element) {
+  const value = element.getAttribute('role');
+  if (!value) return null;
+  
+  // The first token the user agent recognises wins
+  for (const token of value.trim().toLowerCase().split(/\s+/)) {
+    if (ARIA_ROLES.has(token)) return token;
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether an element is focusable or has global ARIA attributes,
+ * in which case a presentational role is ignored
+ * @param {Element} element - The DOM element
+ * @returns {boolean} - Whether role none/presentation must be ignored
+ */
+function hasPresentationalConflict(element) {
+  if (element.hasAttribute('tabindex')) return true;
+  
+  for (const attr of ['aria-label', 'aria-labelledby', 'aria-describedby', 'aria-live', 'aria-owns', 'aria-controls', 'aria-details']) {
+    if (element.hasAttribute(attr)) return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Get the implicit role of an element from HTML-AAM
+ * @param {Element} element - The DOM element
+ * @returns {string|null} - Implicit role, or null for generic/no role
+ */
+function getImplicitRole(element) {
+  const tag = element.tagName.toLowerCase();
+  
+  switch (tag) {
+    case 'a':
+    case 'area':
+      return element.hasAttribute('href') ? 'link' : null;
+    
+    case 'header':
+    case 'footer':
+      // Only landmarks when not scoped to a sectioning element
+      if (element.parentElement && element.parentElement.closest(SECTIONING_SELECTOR)) return null;
+      return tag === 'header' ? 'banner' : 'contentinfo';
+    
+    case 'section':
+      // A section is only a region landmark when it has an accessible name
+      return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby') ||
+        element.hasAttribute('title') ? 'region' : null;
+    
+    case 'img':
+      if (element.getAttribute('alt') === '' && !hasPresentationalConflict(element)) return 'presentation';
+      return 'img';
+    
+    case 'input': {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      
+      // Text inputs with a suggestions list are comboboxes
+      if (element.hasAttribute('list') && ['email', 'search', 'tel', 'text', 'url'].includes(type)) {
+        return 'combobox';
+      }
+      
+      return INPUT_ROLES[type] || null;
+    }
+    
+    case 'select':
+      return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    
+    case 'td': {
+      const table = element.closest('table');
+      const tableRole = table && getRole(table);
+      if (tableRole === 'grid' || tableRole === 'treegrid') return 'gridcell';
+      return table ? 'cell' : null;
+    }
+    
+    case 'th': {
+      const scope = (element.getAttribute('scope') || '').toLowerCase();
+      if (scope === 'row' || scope === 'rowgroup') return 'rowheader';
+      if (scope === 'col' || scope === 'colgroup') return 'columnheader';
+      
+      // Without a scope, a header in a row made up only of headers is a column header
+      const row = element.parentElement;
+      const cells = row ? Array.from(row.children) : [];
+      return cells.every(cell => cell.tagName.toLowerCase() === 'th') ? 'columnheader' : 'rowheader';
+    }
+    
+    case 'summary':
+      return element.parentElement && element.parentElement.tagName.toLowerCase() === 'details'
+        ? 'button'
+        : null;
+    
+    default:
+      return IMPLICIT_ROLES[tag] || null;
+  }
+}
+
+/**
+ * Compute the role of an element: the explicit ARIA role if valid,
+ * otherwise the implicit role from HTML-AAM
+ * @param {Element} element - The DOM element
+ * @returns {string|null} - Role, or null for generic containers
+ */
+export function getRole(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+  
+  const explicit = getExplicitRole(element);
+  
+  if (explicit) {
+    // Presentational roles are ignored on focusable or globally labelled elements
+    if ((explicit === 'none' || explicit === 'presentation') && hasPresentationalConflict(element)) {
+      return getImplicitRole(element);
+    }
+    
+    return explicit;
+  }
+  
+  return getImplicitRole(element);
+}
+
+/**
+ * Get the ARIA states of an element, from native properties and aria-* attributes
+ * @param {Element} element - The DOM element
+ * @returns {string[]} - State names such as "checked", "disabled" or "expanded"
+ */
+export function getStates(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return [];
+  
+  const states = [];
+  const aria = name => element.getAttribute(`aria-${name}`);
+  
+  // Disabled natively (including through a disabled fieldset) or via ARIA
+  let disabled = aria('disabled') === 'true';
+  try {
+    disabled = disabled || element.matches(':disabled');
+  } catch (e) {
+    disabled = disabled || element.disabled === true;
+  }
+  if (disabled) states.push('disabled');
+  
+  // Checked state of native checkboxes and radios, then ARIA widgets
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  if (element.tagName.toLowerCase() === 'input' && (type === 'checkbox' || type === 'radio')) {
+    if (element.indeterminate) states.push('mixed');
+    else if (element.checked) states.push('checked');
+  } else if (aria('checked') === 'true') {
+    states.push('checked');
+  } else if (aria('checked') === 'mixed') {
+    states.push('mixed');
+  }
+  
+  if (aria('pressed') === 'true') states.push('pressed');
+  if (aria('pressed') === 'mixed') states.push('mixed');
+  
+  if ((element.tagName.toLowerCase() === 'option' && element.selected) || aria('selected') === 'true') {
+    states.push('selected');
+  }
+  
+  // Disclosure state of aria-expanded widgets and <details>
+  if (aria('expanded') === 'true' || aria('expanded') === 'false') {
+    states.push(aria('expanded') === 'true' ? 'expanded' : 'collapsed');
+  } else if (element.tagName.toLowerCase() === 'details') {
+    states.push(element.open ? 'expanded' : 'collapsed');
+  }
+  
+  if (element.required === true || aria('required') === 'true') states.push('required');
+  if (element.readOnly === true || aria('readonly') === 'true') states.push('readonly');
+  if (aria('invalid') && aria('invalid') !== 'false') states.push('invalid');
+  if (element.ownerDocument.activeElement === element) states.push('focused');
+  
+  return states;
+}
+
+/**
+ * Check whether an element is hidden from the accessibility tree
+ * @param {Element} element - The DOM element
+ * @returns {boolean} - Whether the element is hidden
+ */
+function isHidden(element) {
+  if (element.closest('[aria-hidden="true"]')) return true;
+  if (element.hidden) return true;
+  
+  try {
+    if (typeof element.checkVisibility === 'function') {
+      return !element.checkVisibility({ visibilityProperty: true });
+    }
+    
+    const view = element.ownerDocument.defaultView;
+    const style = view.getComputedStyle(element);
+    if (style.visibility === 'hidden' || style.visibility === 'collapse') return true;
+    
+    // display:none does not inherit, so check the ancestors too
+    for (let current = element; current; current = current.parentElement) {
+      if (view.getComputedStyle(current).display === 'none') return true;
+    }
+  } catch (e) {
+    // If we can't determine visibility, assume it's rendered
+  }
+  
+  return false;
+}
+
+/**
+ * Get the elements referenced by an ID reference list attribute
+ * @param {Element} element - Element carrying the attribute
+ * @param {string} attribute - Attribute name, e.g. "aria-labelledby"
+ * @returns {Element[]} - Referenced elements, in attribute order
+ */
+function getReferencedElements(element, attribute) {
+  const value = element.getAttribute(attribute);
+  if (!value) return [];
+  
+  const root = element.getRootNode();
+  const lookup = typeof root.getElementById === 'function' ? root : element.ownerDocument;
+  
+  return value.trim().split(/\s+/)
+    .map(id => lookup.getElementById(id))
+    .filter(Boolean);
+}
+
+/**
+ * Get CSS generated content (::before / ::after) of an element
+ * @param {Element} element - The DOM element
+ * @param {string} pseudo - "::before" or "::after"
+ * @returns {string} - Generated text, or an empty string
+ */
+function getPseudoContent(element, pseudo) {
+  try {
+    const content = element.ownerDocument.defaultView.getComputedStyle(element, pseudo).content;
+    if (!content || content === 'none' || content === 'normal') return '';
+    
+    // Only quoted strings contribute text (not counters, images or attr())
+    const strings = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g);
+    return strings ? strings.map(str => str.slice(1, -1)).join('') : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Check whether an element is rendered inline, so no space separates it
+ * from adjacent text
+ * @param {Element} element - The DOM element
+ * @returns {boolean} - Whether the element is inline
+ */
+function isInline(element) {
+  try {
+    const display = element.ownerDocument.defaultView.getComputedStyle(element).display;
+    return !display || display.startsWith('inline') || display === 'contents';
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Get the value of a control embedded in another element's label (accname step 2C)
+ * @param {Element} element - The embedded control
+ * @param {string|null} role - Its computed role
+ * @returns {string|null} - The control's value, or null if it is not such a control
+ */
+function getEmbeddedControlValue(element, role) {
+  if (role === 'textbox' || role === 'searchbox') {
+    return 'value' in element ? element.value : element.textContent;
+  }
+  
+  if (role === 'combobox' || role === 'listbox') {
+    if (element.tagName.toLowerCase() === 'select') {
+      return Array.from(element.selectedOptions).map(option => option.text).join(' ');
+    }
+    
+    if ('value' in element && element.tagName.toLowerCase() === 'input') {
+      return element.value;
+    }
+    
+    const selected = element.querySelector('[aria-selected="true"]');
+    return selected ? selected.textContent : '';
+  }
+  
+  if (RANGE_ROLES.has(role)) {
+    if (element.hasAttribute('aria-valuetext')) return element.getAttribute('aria-valuetext');
+    if (element.hasAttribute('aria-valuenow')) return element.getAttribute('aria-valuenow');
+    return 'value' in element ? String(element.value) : '';
+  }
+  
+  return null;
+}
+
+/**
+ * Get the name an element gets from host language markup (accname step 2E / HTML-AAM)
+ * @param {Element} element - The DOM element
+ * @param {Object} context - Traversal context
+ * @returns {string} - Name from native markup, or an empty string
+ */
+function getNativeName(element, context) {
+  const tag = element.tagName.toLowerCase();
+  const recurse = node => computeName(node, { ...context, inTraversal: true });
+  
+  if (tag === 'input') {
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    
+    if (type === 'button' || type === 'submit' || type === 'reset') {
+      if (element.hasAttribute('value')) return element.value;
+      if (type === 'submit') return 'Submit';
+      if (type === 'reset') return 'Reset';
+      return '';
+    }
+    
+    if (type === 'image') {
+      if (element.hasAttribute('alt')) return element.getAttribute('alt');
+      if (element.hasAttribute('value')) return element.value;
+      if (element.hasAttribute('title')) return element.getAttribute('title');
+      return 'Submit';
+    }
+  }
+  
+  // Labelable elements are named by their <label>s
+  if (element.labels && element.labels.length > 0) {
+    const name = Array.from(element.labels)
+      .map(label => recurse(label))
+      .join(' ')
+      .trim();
+    
+    if (name) return name;
+  }
+  
+  switch (tag) {
+    case 'img':
+    case 'area':
+      return element.getAttribute('alt') || '';
+    
+    case 'fieldset': {
+      const legend = Array.from(element.children).find(child => child.tagName.toLowerCase() === 'legend');
+      return legend ? recurse(legend) : '';
+    }
+    
+    case 'figure': {
+      const caption = Array.from(element.children).find(child => child.tagName.toLowerCase() === 'figcaption');
+      return caption ? recurse(caption) : '';
+    }
+    
+    case 'table': {
+      const caption = element.caption || Array.from(element.children).find(child => child.tagName.toLowerCase() === 'caption');
+      return caption ? recurse(caption) : '';
+    }
+    
+    case 'svg': {
+      const title = Array.from(element.children).find(child => child.tagName.toLowerCase() === 'title');
+      return title ? title.textContent : '';
+    }
+    
+    case 'optgroup':
+      return element.getAttribute('label') || '';
+    
+    case 'details': {
+      const summary = Array.from(element.children).find(child => child.tagName.toLowerCase() === 'summary');
+      return summary ? recurse(summary) : '';
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Compute the text alternative of a node (accname 1.2, section 4.3.2)
+ * @param {Node} node - Current node
+ * @param {Object} context - Traversal context
+ * @param {Element} context.root - Element whose name is being computed
+ * @param {Set<Node>} context.visited - Nodes already visited, to break cycles
+ * @param {boolean} [context.inLabelledBy] - Whether we are following aria-labelledby/describedby
+ * @param {boolean} [context.inTraversal] - Whether we are computing from content or a label
+ * @param {boolean} [context.includeHidden] - Whether hidden nodes contribute (hidden aria-labelledby targets)
+ * @returns {string} - Text alternative
+ */
+function computeName(node, context) {
+  // Step 2G: text nodes contribute their text
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+  
+  if (context.visited.has(node)) return '';
+  context.visited.add(node);
+  
+  const element = node;
+  const isRoot = element === context.root;
+  
+  // Step 2A: hidden nodes, unless part of a hidden aria-labelledby target
+  if (!context.includeHidden && isHidden(element)) return '';
+  
+  // Step 2B: aria-labelledby, not followed recursively
+  if (!context.inLabelledBy) {
+    const references = getReferencedElements(element, 'aria-labelledby');
+    
+    if (references.length > 0) {
+      const name = references
+        .map(reference => {
+          const visited = new Set(context.visited);
+          
+          // An element that labels itself contributes its own name from content
+          if (reference === element) visited.delete(element);
+          
+          return computeName(reference, {
+            ...context,
+            visited,
+            inLabelledBy: true,
+            inTraversal: true,
+            includeHidden: isHidden(reference)
+          });
+        })
+        .join(' ')
+        .trim();
+      
+      if (name) return name;
+    }
+  }
+  
+  const role = getRole(element);
+  
+  // Step 2C: controls embedded in another element's label contribute their value
+  if (!isRoot && context.inTraversal) {
+    const value = getEmbeddedControlValue(element, role);
+    if (value !== null) return value;
+  }
+  
+  // Step 2D: aria-label
+  const ariaLabel = (element.getAttribute('aria-label') || '').trim();
+  if (ariaLabel && !(isRoot && NAME_PROHIBITED_ROLES.has(role))) return ariaLabel;
+  
+  // Step 2E: host language label, unless the element is presentational
+  if (role !== 'none' && role !== 'presentation') {
+    const nativeName = getNativeName(element, context).trim();
+    if (nativeName) return nativeName;
+  }
+  
+  // Step 2F: name from content
+  const fromContent = NAME_FROM_CONTENT_ROLES.has(role) ||
+    context.inLabelledBy ||
+    (!isRoot && context.inTraversal) ||
+    (!role && context.inTraversal);
+  
+  if (fromContent && !(isRoot && !context.inLabelledBy && NAME_PROHIBITED_ROLES.has(role))) {
+    const parts = [getPseudoContent(element, '::before')];
+    
+    // Shadow hosts expose their rendered (shadow) tree
+    const children = element.shadowRoot ? element.shadowRoot.childNodes : element.childNodes;
+    
+    for (const child of children) {
+      // Slots render their assigned nodes
+      const rendered = child.nodeType === Node.ELEMENT_NODE && child.tagName.toLowerCase() === 'slot'
+        ? (child.assignedNodes({ flatten: true }).length ? child.assignedNodes({ flatten: true }) : Array.from(child.childNodes))
+        : [child];
+      
+      for (const renderedChild of rendered) {
+        const text = computeName(renderedChild, { ...context, inTraversal: true });
+        
+        // Block-level children are separated by whitespace
+        if (renderedChild.nodeType === Node.ELEMENT_NODE && !isInline(renderedChild)) {
+          parts.push(` ${text} `);
+        } else {
+          parts.push(text);
+        }
+      }
+    }
+    
+    parts.push(getPseudoContent(element, '::after'));
+    
+    const name = parts.join('').replace(/\s+/g, ' ').trim();
+    if (name) return name;
+  }
+  
+  // Step 2I: tooltip attribute, then placeholder for text fields (HTML-AAM)
+  const title = (element.getAttribute('title') || '').trim();
+  if (title) return title;
+  
+  const placeholder = (element.getAttribute('placeholder') || element.getAttribute('aria-placeholder') || '').trim();
+  if (placeholder && (role === 'textbox' || role === 'searchbox' || role === 'combobox' || role === 'spinbutton')) {
+    return placeholder;
+  }
+  
+  return '';
+}
+
+/**
+ * Compute the accessible name of an element
+ * @param {Element} element - The DOM element
+ * @returns {string} - Accessible name, whitespace-collapsed
+ */
+export function getAccessibleName(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+  
+  try {
+    return computeName(element, { root: element, visited: new Set() })
+      .replace(/\s+/g, ' ')
+      .trim();
+  } catch (e) {
+    logLibraryError('Error computing accessible name:', e);
+    return '';
+  }
+}
+
+/**
+ * Compute the accessible description of an element
+ * @param {Element} element - The DOM element
+ * @returns {string} - Accessible description, whitespace-collapsed
+ */
+export function getAccessibleDescription(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+  
+  try {
+    // aria-describedby references are computed like aria-labelledby
+    const references = getReferencedElements(element, 'aria-describedby');
+    
+    if (references.length > 0) {
+      const description = references
+        .map(reference => computeName(reference, {
+          root: element,
+          visited: new Set([element]),
+          inLabelledBy: true,
+          inTraversal: true,
+          includeHidden: isHidden(reference)
+        }))
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+      
+      if (description) return description;
+    }
+    
+    const ariaDescription = (element.getAttribute('aria-description') || '').trim();
+    if (ariaDescription) return ariaDescription;
+    
+    // title describes the element when it was not already used as its name
+    const title = (element.getAttribute('title') || '').trim();
+    if (title && getAccessibleName(element) !== title) return title;
+  } catch (e) {
+    logLibraryError('Error computing accessible description:', e);
+  }
+  
+  return '';
+}
@@ -8,6 +8,28 @@ declare module 'browsermagic-dom' {
     error?: string;
   }
 
+  /**
+   * When a navigation counts as done
+   */
+  export type WaitUntil = 'commit' | 'domcontentloaded' | 'load' | 'networkidle' | 'domstable' | `selector:${string}`;
+
+  /**
+   * Part of the URL a navigation changed
+   */
+  export type UrlChange = 'none' | 'hash' | 'query' | 'path' | 'origin';
+
+  /**
+   * Options of Navigate.to and Navigate.history
+   */
+  export interface NavigationOptions {
+    /** Load state to wait for (default "load") */
+    waitUntil?: WaitUntil;
+    /** Without waitUntil, false stands for "commit" */
+    waitForLoad?: boolean;
+    /** Maximum wait in ms (default 30000) */
+    timeout?: number;
+  }
+
   /**
    * Navigate tool for browser navigation
    */
@@ -17,33 +39,83 @@ declare module 'browsermagic-dom' {
      * @param url URL to navigate to
      * @param options Navigation options
      */
-    to: (url: string, options?: object) => Promise<Result<{
-      url: string;
+    to: (url: string, options?: NavigationOptions & {
+      /** Query parameters to set on the URL; arrays add one parameter per item, null removes one */
+      query?: Record<string, string | number | boolean | null | Array<string | number | boolean>>;
+    }) => Promise<Result<{
+      /** Final URL; null for a full navigation that committed with waitUntil "commit", seen from the page being left */
+      url: string | null;
+      /** Absolute URL that was requested */
+      requestedUrl: string;
+      /** Whether the final URL differs from the requested one; unset while url is null */
+      redirected?: boolean;
+      /** Most significant part of the URL that changed; unset while url is null */
+      urlChange?: UrlChange;
+      waitUntil: WaitUntil;
       previousUrl: string;
+      title?: string | null;
+      /** "full" for a new document, "soft" for a same-document navigation */
+      navigation?: 'full' | 'soft';
+      /** What completed it: "load", "beforeunload" or "pagehide" for full navigations, or "pushState", "replaceState", "popstate", "hashchange", "navigate" for soft ones */
+      trigger?: string | null;
       timestamp: string;
       loadSuccess?: boolean;
     }>>;
 
     /**
-     * Navigate browser history (back, forward, refresh)
-     * @param direction Direction: "back", "forward", or "refresh"
-     * @param options Navigation options
+     * Navigate browser history (back, forward, go, refresh)
+     * @param direction Direction: "back", "forward", "go", or "refresh"
+     * @param options Navigation options; "go" takes a delta or an entry index
      */
-    history: (direction: 'back' | 'forward' | 'refresh', options?: object) => Promise<Result<{
+    history: (direction: 'back' | 'forward' | 'go' | 'refresh', options?: NavigationOptions & {
+      /** For "go": entries to move, negative for back */
+      delta?: number;
+      /** For "go": index of the entry to jump to, from getState */
+      index?: number;
+    }) => Promise<Result<{
       previousUrl: string;
       previousTitle: string;
       direction: string;
+      /** Entries moved, except for "refresh" */
+      delta?: number;
+      /** Index of the entry navigated to, except for "refresh"; null when moving back past the start of the library's log */
+      index?: number | null;
+      /** Null for a full navigation that committed with waitUntil "commit", seen from the page being left */
+      url: string | null;
+      title: string | null;
+      navigation: 'full' | 'soft';
+      trigger: string | null;
+      waitUntil: WaitUntil;
+      /** Unset while url is null */
+      urlChange?: UrlChange;
       timestamp: string;
     }>>;
 
     /**
-     * Get current browser navigation state
+     * Get current browser navigation state, with the tab's session history
+     * @param options State options
      */
-    getState: () => Result<{
+    getState: (options?: {
+      /** Include the session history entries (default true) */
+      includeEntries?: boolean;
+    }) => Result<{
       url: string;
       title: string;
       historyLength: number;
       canGoBack: boolean;
+      canGoForward: boolean;
+      /** Index of the current entry */
+      index: number;
+      entryCount: number;
+      /** "navigation" when the Navigation API supplies the entries, "log" for the library's own log */
+      source: 'navigation' | 'log';
+      entries?: Array<{
+        index: number;
+        url: string;
+        /** Title the entry had when last seen, if known */
+        title: string | null;
+        current: boolean;
+      }>;
       timestamp: string;
     }>;
   };
@@ -62,6 +134,7 @@ declare module 'browsermagic-dom' {
       visible?: boolean;
       inViewport?: boolean;
       limit?: number;
+      includeFrames?: boolean;
       extract?: {
         text?: boolean;
         html?: boolean;
@@ -75,8 +148,10 @@ declare module 'browsermagic-dom' {
       count: number;
       totalMatches: number;
       elements: Array<{
+        ref: string;
         tag: string;
         xpath: string;
+        frame?: string;
         text?: string;
         html?: string;
         position?: {
@@ -92,6 +167,62 @@ declare module 'browsermagic-dom' {
       }>;
     }>;
 
+    /**
+     * Extract every form, and each document's formless fields, with their fields
+     * @param options Extraction options
+     */
+    forms: (options?: {
+      visible?: boolean;
+      includeFrames?: boolean;
+    }) => Result<{
+      count: number;
+      forms: FormInfo[];
+    }>;
+
+    /**
+     * Extract the console messages and runtime errors captured since Console.start()
+     * @param options Extraction options
+     */
+    console: (options?: {
+      /** Only entries recorded at or after this ISO timestamp */
+      since?: string;
+      /** Minimum level; exceptions and rejections are "error" */
+      level?: ConsoleEntry['level'];
+      source?: ConsoleEntry['source'] | ConsoleEntry['source'][];
+      /** Maximum number of entries to return, the most recent (default 100) */
+      limit?: number;
+    }) => Result<{
+      capturing: boolean;
+      /** Entries matching the options */
+      total: number;
+      /** Entries returned */
+      count: number;
+      /** Entries overwritten in the buffer since it was last cleared */
+      dropped: number;
+      entries: ConsoleEntry[];
+    }>;
+
+    /**
+     * Extract the network requests recorded since Network.start()
+     * @param options Extraction options
+     */
+    network: (options?: {
+      filter?: NetworkFilter;
+      /** Maximum number of requests to return, the most recent (default 100) */
+      limit?: number;
+    }) => Result<{
+      monitoring: boolean;
+      /** Requests that have not finished */
+      inFlight: number;
+      /** Milliseconds since the last request started or finished, 0 while requests are in flight */
+      idleFor: number;
+      /** Requests matching the filter */
+      total: number;
+      /** Requests returned */
+      count: number;
+      requests: NetworkRequest[];
+    }>;
+
     /**
      * Extract page metadata and context
      */
@@ -149,7 +280,17 @@ declare module 'browsermagic-dom' {
       timestamp: string;
       url: string;
       title: string;
-      tree: object;
+      tree: {
+        tag: string;
+        role?: string;
+        name?: string;
+        description?: string;
+        xpath: string;
+        ariaAttributes?: Record<string, string>;
+        states?: string[];
+        hidden?: boolean;
+        children?: object[];
+      };
     }>;
 
     /**
@@ -180,54 +321,230 @@ declare module 'browsermagic-dom' {
     }>;
   };
 
+  /**
+   * Options of Perform.check, uncheck and setChecked, passed to the click
+   */
+  export interface CheckOptions {
+    force?: boolean;
+    actionTimeout?: number;
+    position?: { x: number; y: number };
+  }
+
+  /**
+   * Result data of Perform.check, uncheck and setChecked
+   */
+  export interface CheckResult {
+    action: 'check' | 'uncheck';
+    /** The resolved control */
+    element: object;
+    /** State read back after the change */
+    checked: boolean | 'mixed';
+    /** false when the control already had the wanted state */
+    changed: boolean;
+    timestamp: string;
+  }
+
+  /**
+   * Condition for Perform.waitFor; every given part must hold
+   */
+  export interface WaitCondition {
+    /** Element reference ("ref:e42"), CSS selector or XPath; alone, waits for it to be visible */
+    target?: string;
+    state?: 'attached' | 'detached' | 'visible' | 'hidden' | 'enabled' | 'disabled';
+    /** Substring of the target's text, or of the page text without a target */
+    text?: string;
+    /** Pattern the target's or page text must match, instead of text */
+    pattern?: string | RegExp;
+    /** Flags for a string pattern */
+    flags?: string;
+    /** Value of the target field */
+    value?: string | RegExp;
+    /** Substring of the URL, URL with "*" wildcards, or pattern */
+    url?: string | RegExp;
+    /** Wait for the URL to change from its value when the wait started */
+    urlChanged?: boolean;
+    /** Number of elements matching the target */
+    count?: number | { min?: number; max?: number };
+    /** Milliseconds without DOM mutations */
+    domQuiet?: number;
+    /** Milliseconds without requests in flight, or true for 500; sees pending requests only with Network.start() */
+    networkIdle?: boolean | number;
+    /** Function, possibly async, that must return a truthy value */
+    predicate?: () => unknown;
+  }
+
+  /**
+   * Form field returned by Extract.forms
+   */
+  export interface FormField {
+    ref: string;
+    xpath: string;
+    tag: string;
+    /** Input type, or "textarea", "select", "contenteditable", "checkbox", "switch" */
+    type: string;
+    label: string;
+    name?: string;
+    id?: string;
+    placeholder?: string;
+    autocomplete?: string;
+    /** Legend of the enclosing fieldset */
+    group?: string;
+    required: boolean;
+    disabled: boolean;
+    readOnly?: boolean;
+    /** Current value; file names for file inputs, selected values for multiple selects. Never set for passwords */
+    value?: string | string[] | null;
+    /** Password fields: whether a value is set */
+    filled?: boolean;
+    checked?: boolean | 'mixed';
+    multiple?: boolean;
+    accept?: string;
+    /** Select options, or the radios of a radio group (with their refs) */
+    options?: Array<{ value: string; text: string; selected: boolean; ref?: string }>;
+  }
+
+  /**
+   * Form, or formless field group, returned by Extract.forms
+   */
+  export interface FormInfo {
+    /** null for formless field groups */
+    ref: string | null;
+    xpath: string | null;
+    formless: boolean;
+    label?: string;
+    action?: string;
+    method?: string;
+    fields: FormField[];
+    submit: Array<{ ref: string; xpath: string; text: string }>;
+  }
+
+  /**
+   * File given to Perform.upload
+   */
+  export interface UploadFile {
+    name: string;
+    /** MIME type, guessed from the extension by default */
+    mimeType?: string;
+    /** Text content */
+    content?: string;
+    /** Binary content, base64-encoded (a data: URL prefix is allowed) */
+    base64?: string;
+    lastModified?: number;
+  }
+
+  /**
+   * Errors the page raised while an action ran: console.error calls,
+   * uncaught exceptions and unhandled rejections
+   */
+  export interface PageErrors {
+    count: number;
+    /** One line for each of the first errors, with its location when known */
+    summary: string[];
+  }
+
+  /**
+   * Result of a Perform action
+   */
+  type PerformResult<T> = Result<T & {
+    /** Set while Console.start() capture runs */
+    pageErrors?: PageErrors;
+  }>;
+
   /**
    * Perform tool for user actions
    */
   export const Perform: {
     /**
      * Click an element
-     * @param target CSS selector or XPath of element to click
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of element to click
      * @param options Click options
      */
     click: (target: string, options?: {
       waitForNavigation?: boolean;
       waitForSelector?: string;
       rightClick?: boolean;
+      button?: 'left' | 'middle' | 'right';
+      doubleClick?: boolean;
+      modifiers?: Array<'Alt' | 'Control' | 'Meta' | 'Shift'>;
+      /** Offset from the element's top-left corner, center by default */
+      position?: { x: number; y: number };
+      /** Skip the visible/enabled/stable/not-obscured checks */
+      force?: boolean;
+      actionTimeout?: number;
       timeout?: number;
-    }) => Promise<Result<{
+    }) => Promise<PerformResult<{
       action: string;
       element: object;
+      button: string;
+      modifiers: string[];
+      /** Click point in top-level viewport coordinates */
+      point: { x: number; y: number };
       url: string;
+      /** With waitForNavigation: "full" or "soft" */
+      navigation?: 'full' | 'soft';
+      trigger?: string | null;
       timestamp: string;
     }>>;
 
     /**
      * Type text into an element
-     * @param target CSS selector or XPath of element
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of element
      * @param text Text to type
      * @param options Typing options
      */
     type: (target: string, text: string, options?: {
       clear?: boolean;
       delay?: number;
-    }) => Promise<Result<{
+      /** Read the value back on the next frame and fail on a mismatch (default true) */
+      verify?: boolean;
+    }) => Promise<PerformResult<{
       action: string;
       element: object;
       text: string;
       textLength: number;
       timestamp: string;
+      /** Set on failure when the page kept a different value */
+      valueMismatch?: true;
+      expectedLength?: number;
+      actualLength?: number;
+      /** Omitted for password fields */
+      expectedValue?: string;
+      actualValue?: string;
+    }>>;
+
+    /**
+     * Press a key or key combination, e.g. "Enter", "Control+Enter" or "Shift+Tab"
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of element; null for the focused element
+     * @param keys Key combination, or several pressed in order
+     * @param options Press options
+     */
+    press: (target: string | null, keys: string | string[], options?: {
+      count?: number;
+      delay?: number;
+    }) => Promise<PerformResult<{
+      action: string;
+      element: object;
+      keys: string[];
+      count: number;
+      /** Default actions taken, e.g. "submit", "insertText", "focusNext", "closeDialog" */
+      defaultActions: string[];
+      /** Whether a handler canceled any key event */
+      defaultPrevented: boolean;
+      /** Element focused after the presses */
+      focused: object | null;
+      timestamp: string;
     }>>;
 
     /**
      * Select an option from a dropdown
-     * @param target CSS selector or XPath of select element
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of select element
      * @param value Option value(s) or text to select
      * @param options Selection options
      */
     select: (target: string, value: string | string[], options?: {
       byText?: boolean;
       multiple?: boolean;
-    }) => Result<{
+    }) => PerformResult<{
       action: string;
       element: object;
       selections: Array<{
@@ -241,15 +558,139 @@ declare module 'browsermagic-dom' {
 
     /**
      * Hover over an element
-     * @param target CSS selector or XPath of element
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of element
      * @param options Hover options
      */
     hover: (target: string, options?: {
       duration?: number;
-    }) => Promise<Result<{
+    }) => Promise<PerformResult<{
       action: string;
       element: object;
       duration: number;
+      /** Pointer position in top-level viewport coordinates */
+      point: { x: number; y: number };
+      timestamp: string;
+    }>>;
+
+    /**
+     * Drag an element onto another element or to a point
+     * @param source Element reference ("ref:e42"), CSS selector or XPath of element to drag
+     * @param target Drop target element, or client coordinates
+     * @param options Drag options
+     */
+    drag: (source: string, target: string | { x: number; y: number }, options?: {
+      /** html5 drag and drop events, or pointer press/move/release; auto picks html5 for draggable sources */
+      mode?: 'auto' | 'html5' | 'pointer';
+      /** Grab offset from the source's top-left corner, center by default */
+      sourcePosition?: { x: number; y: number };
+      /** Drop offset from the target's top-left corner, center by default */
+      targetPosition?: { x: number; y: number };
+      steps?: number;
+      delay?: number;
+      modifiers?: Array<'Alt' | 'Control' | 'Meta' | 'Shift'>;
+      force?: boolean;
+      actionTimeout?: number;
+    }) => Promise<PerformResult<{
+      action: string;
+      mode: 'html5' | 'pointer';
+      element: object;
+      /** Grab point in top-level viewport coordinates */
+      from: { x: number; y: number };
+      /** Drop point in top-level viewport coordinates */
+      to: { x: number; y: number };
+      /** Element the drop (html5) or release (pointer) happened on */
+      dropTarget: object | null;
+      /** html5 mode: whether a drop target accepted the drag */
+      dropped?: boolean;
+      dropEffect?: 'none' | 'copy' | 'move' | 'link';
+      timestamp: string;
+    }>>;
+
+    /**
+     * Upload files to a file input, or drop them onto a drop zone
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of file input or drop zone
+     * @param files File descriptions with text or base64 content
+     * @param options Upload options
+     */
+    upload: (target: string, files: UploadFile | UploadFile[], options?: {
+      /** Keep files already selected in a multiple input */
+      append?: boolean;
+    }) => Promise<PerformResult<{
+      action: string;
+      /** "input" when assigned to input.files, "drop" for drop zones */
+      mode: 'input' | 'drop';
+      element: object;
+      files: Array<{ name: string; type: string; size: number }>;
+      timestamp: string;
+    }>>;
+
+    /**
+     * Check a checkbox, radio button or switch (no-op when already checked)
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of the control, its label or a wrapper
+     * @param options Click options
+     */
+    check: (target: string, options?: CheckOptions) => Promise<PerformResult<CheckResult>>;
+
+    /**
+     * Uncheck a checkbox or switch (no-op when already unchecked)
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of the control, its label or a wrapper
+     * @param options Click options
+     */
+    uncheck: (target: string, options?: CheckOptions) => Promise<PerformResult<CheckResult>>;
+
+    /**
+     * Set a checkbox, radio button or switch to a state and confirm it
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of the control, its label or a wrapper
+     * @param checked Wanted state
+     * @param options Click options
+     */
+    setChecked: (target: string, checked: boolean, options?: CheckOptions) => Promise<PerformResult<CheckResult>>;
+
+    /**
+     * Fill a form in one call
+     * @param target Element reference ("ref:e42"), CSS selector or XPath of the form or field container; null for the whole page
+     * @param values Values by field label, name, id, autocomplete token, placeholder or ref
+     * @param options Fill options
+     */
+    fillForm: (target: string | null, values: Record<string, string | number | boolean | string[] | UploadFile[]>, options?: {
+      /** Submit the form once every field is filled */
+      submit?: boolean;
+    }) => Promise<PerformResult<{
+      action: string;
+      element: object;
+      fields: Array<{
+        key: string;
+        field: { ref: string; label: string; name?: string; type: string } | null;
+        action?: 'type' | 'select' | 'check' | 'uncheck' | 'upload' | 'none';
+        success: boolean;
+        error?: string;
+      }>;
+      filled: number;
+      submitted: boolean;
+      timestamp: string;
+    }>>;
+
+    /**
+     * Wait until a condition holds; on timeout, the error data lists the parts that did not hold
+     * @param condition Wait condition, a target to wait for, or a predicate
+     * @param options Wait options
+     */
+    waitFor: (condition: WaitCondition | string | (() => unknown), options?: {
+      /** Maximum wait in ms (default 30000) */
+      timeout?: number;
+      /** "raf" (default), "mutation" or an interval in ms */
+      polling?: 'raf' | 'mutation' | number;
+    }) => Promise<PerformResult<{
+      action: 'waitFor';
+      /** Description of every part of the condition */
+      conditions: string[];
+      elapsed: number;
+      /** Last observation of every part */
+      observed: Record<string, unknown>;
+      element?: object;
+      /** On timeout: the parts that did not hold */
+      failed?: Array<{ name: string; description: string; observed: unknown }>;
+      timeout?: number;
       timestamp: string;
     }>>;
 
@@ -262,7 +703,7 @@ declare module 'browsermagic-dom' {
       x?: number;
       y?: number;
       behavior?: 'auto' | 'smooth';
-    }) => Result<{
+    }) => PerformResult<{
       action: string;
       element?: object;
       x?: number;
@@ -272,10 +713,467 @@ declare module 'browsermagic-dom' {
     }>;
   };
 
+  /**
+   * Result handed off from the page that started a full navigation
+   */
+  export interface HandoffDelivery {
+    /** Operation id */
+    id: string;
+    /** "Navigate.to", "Navigate.history" or "Perform.click" */
+    method: string;
+    /** Result of the operation; its data has handoff: { id, method, startedAt } */
+    result: Result<any>;
+  }
+
+  /**
+   * Handoff tool delivering results of actions that load a new page
+   */
+  export const Handoff: {
+    /**
+     * Register a callback for results handed off from the previous page
+     * @param callback Called with each delivery; deliveries made before any callback was registered go to the first one
+     * @returns Function that unregisters the callback
+     */
+    onResult: (callback: (delivery: HandoffDelivery) => void) => () => boolean;
+
+    /**
+     * Get the operation waiting to be finished by the next page
+     */
+    pending: () => Result<{
+      /** Whether sessionStorage can be used */
+      available: boolean;
+      operation: {
+        id: string;
+        method: string;
+        data: object;
+        waitUntil: WaitUntil;
+        topLevel: boolean;
+        startedAt: number;
+        deadline: number | null;
+      } | null;
+    }>;
+  };
+
+  /**
+   * Console message or runtime error captured by Extract.console
+   */
+  export interface ConsoleEntry {
+    /** Increasing id, unique for the page */
+    id: number;
+    level: 'debug' | 'log' | 'info' | 'warn' | 'error';
+    source: 'console' | 'exception' | 'rejection';
+    message: string;
+    stack: string | null;
+    /** "file:line:column" of an uncaught exception */
+    location: string | null;
+    timestamp: string;
+  }
+
+  /**
+   * Request recorded by the network monitor
+   */
+  export interface NetworkRequest {
+    id: string;
+    type: 'fetch' | 'xhr' | 'beacon' | 'websocket';
+    method: string;
+    url: string;
+    /** WebSockets are "open" between connecting and closing */
+    state: 'pending' | 'complete' | 'failed' | 'aborted' | 'open' | 'closed';
+    status: number | null;
+    statusText: string | null;
+    /** Bytes sent, null for streams */
+    requestSize: number | null;
+    /** Bytes received, null when the response does not say */
+    size: number | null;
+    startedAt: string;
+    /** Milliseconds until the response, or the WebSocket's lifetime so far */
+    duration: number | null;
+    error: string | null;
+    /** WebSocket messages */
+    messages?: { sent: number; received: number };
+    closeCode?: number;
+  }
+
+  /**
+   * Filter for Extract.network; every given field must match
+   */
+  export interface NetworkFilter {
+    /** Substring of the URL, URL with "*" wildcards, or pattern */
+    url?: string | RegExp;
+    method?: string;
+    type?: NetworkRequest['type'] | NetworkRequest['type'][];
+    state?: NetworkRequest['state'] | NetworkRequest['state'][];
+    /** Status code, exact or a range */
+    status?: number | { min?: number; max?: number };
+    /** Only requests started at or after this ISO timestamp */
+    since?: string;
+  }
+
+  /**
+   * Network tool recording the page's fetch, XHR, beacon and WebSocket requests
+   */
+  export const Network: {
+    /**
+     * Start recording requests made from now on in this window
+     * @param options Monitor options
+     */
+    start: (options?: {
+      /** Most requests to keep (default 500) */
+      maxEntries?: number;
+    }) => Result<{
+      monitoring: true;
+      alreadyRunning: boolean;
+      maxEntries: number;
+      /** APIs wrapped: "fetch", "open", "send", "sendBeacon", "WebSocket" */
+      apis?: string[];
+    }>;
+
+    /**
+     * Stop recording; recorded requests are kept
+     */
+    stop: () => Result<{
+      monitoring: false;
+      wasRunning: boolean;
+      recorded: number;
+    }>;
+
+    /**
+     * Forget the recorded requests, except those still in flight
+     */
+    clear: () => Result<{
+      cleared: number;
+    }>;
+
+    /**
+     * Get whether the monitor runs and what the network is doing
+     */
+    status: () => Result<{
+      monitoring: boolean;
+      inFlight: number;
+      idleFor: number;
+      recorded: number;
+      maxEntries: number | null;
+    }>;
+  };
+
+  /**
+   * Console tool capturing the page's console calls, uncaught exceptions and unhandled rejections
+   */
+  export const Console: {
+    /**
+     * Start capturing in this window; entries go to a ring buffer of the latest 500
+     */
+    start: () => Result<{
+      capturing: true;
+      alreadyRunning: boolean;
+      capacity: number;
+      /** Console methods wrapped */
+      levels?: Array<ConsoleEntry['level']>;
+    }>;
+
+    /**
+     * Stop capturing; captured entries are kept
+     */
+    stop: () => Result<{
+      capturing: false;
+      wasRunning: boolean;
+      recorded: number;
+    }>;
+
+    /**
+     * Forget the captured entries
+     */
+    clear: () => Result<{
+      cleared: number;
+    }>;
+
+    /**
+     * Get whether capture runs and how many entries the buffer holds
+     */
+    status: () => Result<{
+      capturing: boolean;
+      recorded: number;
+      capacity: number;
+    }>;
+  };
+
+  /**
+   * Relay tool for cross-origin frames running the library
+   */
+  export const Relay: {
+    /**
+     * Start relaying tool calls to and from other frames
+     * @param options Relay options
+     */
+    enable: (options?: {
+      allowedOrigins?: string[];
+      timeout?: number;
+    }) => Result<{
+      enabled: boolean;
+      allowedOrigins: string[];
+      timeout: number;
+    }>;
+
+    /**
+     * Stop relaying tool calls
+     */
+    disable: () => Result<{ enabled: boolean }>;
+
+    /**
+     * Take a snapshot merged across cross-origin frames
+     * @param options Snapshot options
+     */
+    snapshot: (options?: object) => Promise<Result<{
+      url: string;
+      elements: object[];
+      remoteFrames: Array<{
+        frameId: string;
+        frame: string;
+        origin: string | null;
+        success: boolean;
+        error?: string;
+      }>;
+    }>>;
+
+    /**
+     * Extract elements merged across cross-origin frames
+     * @param query CSS selector, XPath, or text pattern
+     * @param options Extraction options
+     */
+    elements: (query: string, options?: object) => Promise<Result<{
+      query: string;
+      queryType: string;
+      count: number;
+      totalMatches: number;
+      elements: object[];
+      remoteFrames: object[];
+    }>>;
+  };
+
+  /**
+   * Command received from an AI model
+   */
+  interface AgentCommand {
+    action: 'click' | 'fill' | 'navigate' | 'scroll' | 'hover' | 'goBack' | 'analyze';
+    xpath?: string;
+    selector?: string;
+    target?: string;
+    ref?: string;
+    value?: string | number;
+    url?: string;
+    x?: number;
+    y?: number;
+    options?: object;
+  }
+
+  /**
+   * Result of an agent command
+   */
+  interface AgentCommandResult {
+    success: boolean;
+    action?: string;
+    step?: number;
+    xpath?: string;
+    target?: string;
+    element?: { ref: string; tag: string; text?: string; xpath: string };
+    error?: string;
+    errors?: string[];
+    skipped?: boolean;
+    data?: any;
+  }
+
+  /**
+   * Command executor for AI agents
+   */
+  export const AgentTools: {
+    executeCommand: (command: AgentCommand) => Promise<AgentCommandResult>;
+    executeCommands: (commands: AgentCommand[], options?: {
+      onError?: 'stop' | 'continue';
+      delay?: number;
+    }) => Promise<AgentCommandResult[]>;
+    validateCommand: (command: any) => { valid: boolean; errors: string[] };
+    DOM: {
+      analyzeDOM: (options?: object) => object;
+      findElements: (selector: string, options?: object) => object[];
+      findElementsByText: (text: string, exact?: boolean) => object[];
+      getPageContext: (options?: object) => {
+        url: string;
+        title?: string;
+        timestamp: string;
+        viewport?: object;
+        outline: string;
+        snapshot: object;
+      };
+    };
+    Interaction: {
+      clickElement: (xpath: string, options?: object) => Promise<AgentCommandResult>;
+      fillElement: (xpath: string, value: string, options?: object) => Promise<AgentCommandResult>;
+      scrollToElement: (xpath: string, options?: object) => Promise<AgentCommandResult>;
+      hoverElement: (xpath: string, options?: object) => Promise<AgentCommandResult>;
+    };
+    Navigation: {
+      navigateTo: (url: string, options?: object) => Promise<AgentCommandResult>;
+      goBack: (options?: object) => Promise<AgentCommandResult>;
+      getCurrentURL: () => string;
+    };
+    History: {
+      getHistoryLength: () => number;
+      canGoBack: () => boolean;
+      canGoForward: () => boolean;
+    };
+  };
+
+  /**
+   * JSON Schema tool definitions for LLM function calling
+   */
+  export function getToolDefinitions(options?: {
+    provider?: 'openai' | 'anthropic' | 'json-schema';
+    /** Tools ("Perform") or methods ("Perform.click", "perform_click") to include */
+    tools?: string[];
+  }): object[];
+
+  /**
+   * Validate and execute a tool call produced by a model
+   */
+  export function executeToolCall(call: {
+    name?: string;
+    arguments?: string | object;
+    input?: object;
+    function?: { name: string; arguments?: string | object };
+  }): Promise<{
+    name: string;
+    success: boolean;
+    result: Result<any>;
+    /** The result serialized for the model */
+    content: string;
+  }>;
+
+  /**
+   * Semantic page change event delivered by observe
+   */
+  interface ObserveEvent {
+    type: 'appeared' | 'disappeared' | 'textChanged' | 'attributeChanged' | 'valueChanged';
+    ref: string;
+    tag: string;
+    xpath?: string;
+    text?: string;
+    oldText?: string | null;
+    attribute?: string;
+    oldValue?: string | null;
+    newValue?: string | null;
+    value?: string;
+    checked?: boolean;
+    timestamp: string;
+  }
+
+  /** Computed ARIA role (explicit or implicit per HTML-AAM), null for generic elements */
+  export function getRole(element: Element): string | null;
+  /** Accessible name per the accname 1.2 computation */
+  export function getAccessibleName(element: Element): string;
+  /** Accessible description (aria-describedby, aria-description, title) */
+  export function getAccessibleDescription(element: Element): string;
+  /** ARIA states such as "checked", "disabled", "expanded" or "required" */
+  export function getStates(element: Element): string[];
+
+  /**
+   * Serialize a snapshot as an indented, line-per-element outline for language models
+   */
+  export function serializeSnapshot(snapshot: object, options?: {
+    format?: 'outline';
+    includeHeader?: boolean;
+    includeRefs?: boolean;
+    includeFocus?: boolean;
+    collapseWrappers?: boolean;
+    mergeText?: boolean;
+    maxTextLength?: number;
+    indent?: string;
+  }): string;
+
+  /**
+   * Find the snapshot elements a model response refers to, by ref or by quoted outline line
+   */
+  export function parseSnapshotReferences(response: string, snapshot: object): Array<{
+    ref: string;
+    /** "ref:<ref>" target accepted by Perform actions */
+    target: string;
+    element: object;
+    match: string;
+  }>;
+
   // Original functions still available
+  /**
+   * XPath for an element; crosses open shadow roots with "/#shadow-root" steps
+   * and same-origin frames with "/#document" steps
+   */
   export function getXPath(element: Element): string;
+  /** Resolve an XPath or a composite shadow DOM / frame locator from getXPath */
   export function findElementByXPath(xpath: string): Element | null;
+  /** Get the stable reference handle (e.g. "e42") for an element */
+  export function getElementRef(element: Element): string;
+  /** Resolve a handle ("e42") or target ("ref:e42"); null if unknown or stale */
+  export function findElementByRef(ref: string): Element | null;
   export function takeSnapshot(options?: object): object;
+
+  /**
+   * Subscribe to debounced batches of semantic page changes
+   * @param options Observer options
+   * @param callback Called with each batch of events
+   */
+  export function observe(options: {
+    root?: Element;
+    debounce?: number;
+    maxWait?: number;
+    maxEvents?: number;
+    events?: Array<ObserveEvent['type']>;
+    elementFilter?: string[];
+    attributeFilter?: string[];
+    textTruncateLength?: number;
+  }, callback: (events: ObserveEvent[], info: { dropped: number; timestamp: string }) => void): {
+    unsubscribe: () => void;
+    flush: () => void;
+  };
+
+  /**
+   * Compare two snapshots: elements are matched by ref, then XPath, then content
+   * @param before Earlier snapshot
+   * @param after Later snapshot
+   * @param options Diff options
+   */
+  export function diffSnapshots(before: object, after: object, options?: {
+    ignorePosition?: boolean;
+    positionThreshold?: number;
+  }): {
+    page: {
+      url?: { before: string; after: string };
+      title?: { before: string; after: string };
+    };
+    added: object[];
+    removed: object[];
+    moved: Array<{
+      ref: string;
+      previousRef?: string;
+      element: object;
+      xpath?: { before: string; after: string };
+      position?: {
+        before: { x: number; y: number; inViewport?: boolean };
+        after: { x: number; y: number; inViewport?: boolean };
+        delta: { x: number; y: number };
+      };
+    }>;
+    changed: Array<{
+      ref: string;
+      previousRef?: string;
+      element: object;
+      changes: Record<string, { before: unknown; after: unknown }>;
+    }>;
+    summary: {
+      added: number;
+      removed: number;
+      moved: number;
+      changed: number;
+      unchanged: number;
+    };
+  };
   export function snapshotToPageContext(snapshot: object): object;
   export function isElementVisible(element: Element): boolean;
   export function getVisibleText(element: Element): string;
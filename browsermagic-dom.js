@@ -17,13 +17,83 @@ import Navigate from './tools/navigate.js';
 import Extract from './tools/extract.js';
 import Visualize from './tools/visualize.js';
 import Perform from './tools/perform.js';
-import { getXPath, findElementByXPath, takeSnapshot } from './core.js';
+import Relay from './tools/relay.js';
+import Handoff from './tools/handoff.js';
+import Network from './tools/network.js';
+import Console from './tools/console.js';
+import AgentTools from './agent-tools.js';
+import { 
+  getXPath, 
+  findElementByXPath, 
+  getElementRef, 
+  findElementByRef, 
+  takeSnapshot, 
+  diffSnapshots, 
+  observe 
+} from './core.js';
+import { 
+  getRole, 
+  getAccessibleName, 
+  getAccessibleDescription, 
+  getStates 
+} from './aria.js';
+import { 
+  serializeSnapshot, 
+  parseSnapshotReferences 
+} from './serialize.js';
+import { 
+  getToolDefinitions, 
+  executeToolCall 
+} from './tool-definitions.js';
 
 // Named exports for individual tools
 export { Navigate, Extract, Visualize, Perform };
 
+// Cross-origin frame relay
+export { Relay };
+
+// Results of actions that load a new page
+export { Handoff };
+
+// Network request monitor
+export { Network };
+
+// Console and runtime error capture
+export { Console };
+
+// Command executor for AI agents
+export { AgentTools };
+
 // Export core functions
-export { getXPath, findElementByXPath, takeSnapshot };
+export { 
+  getXPath, 
+  findElementByXPath, 
+  getElementRef, 
+  findElementByRef, 
+  takeSnapshot, 
+  diffSnapshots, 
+  observe 
+};
+
+// Export ARIA role and accessible name computation
+export { 
+  getRole, 
+  getAccessibleName, 
+  getAccessibleDescription, 
+  getStates 
+};
+
+// Export LLM-oriented snapshot serialization
+export { 
+  serializeSnapshot, 
+  parseSnapshotReferences 
+};
+
+// Export function-calling tool definitions and dispatcher
+export { 
+  getToolDefinitions, 
+  executeToolCall 
+};
 
 // Default export for the entire library
 export default {
@@ -31,7 +101,24 @@ export default {
   Extract,
   Visualize,
   Perform,
+  Relay,
+  Handoff,
+  Network,
+  Console,
+  AgentTools,
   getXPath,
   findElementByXPath,
-  takeSnapshot
+  getElementRef,
+  findElementByRef,
+  takeSnapshot,
+  diffSnapshots,
+  observe,
+  getRole,
+  getAccessibleName,
+  getAccessibleDescription,
+  getStates,
+  serializeSnapshot,
+  parseSnapshotReferences,
+  getToolDefinitions,
+  executeToolCall
 };
\ No newline at end of file
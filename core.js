@@ -7,29 +7,269 @@
  * @license MIT
  */
 
+import { getAccessibleName, getRole, getStates } from './aria.js';
+import { logLibraryError } from './tools/console.js';
+
+/**
+ * Prefix that marks a target string as an element reference handle
+ * @type {string}
+ */
+export const REF_PREFIX = 'ref:';
+
+/**
+ * Registry of reference handles keyed by element, so the same node
+ * keeps the same handle across snapshots
+ * @type {WeakMap<Element, string>}
+ */
+const elementRefs = new WeakMap();
+
+/**
+ * Reverse lookup from reference handle to a weakly held element
+ * @type {Map<string, WeakRef<Element>>}
+ */
+const refTargets = new Map();
+
+/**
+ * Drops reverse lookup entries once their element has been collected
+ */
+const refCleanup = typeof FinalizationRegistry !== 'undefined'
+  ? new FinalizationRegistry(ref => {
+      const target = refTargets.get(ref);
+      if (target && !target.deref()) refTargets.delete(ref);
+    })
+  : null;
+
+// Counter used to mint new reference handles
+let nextRefId = 1;
+
+/**
+ * Get the stable reference handle for an element, assigning one if needed
+ * @param {Element} element - The DOM element to reference
+ * @returns {string} - Reference handle such as "e42"
+ */
+export function getElementRef(element) {
+  if (!element) return '';
+  
+  let ref = elementRefs.get(element);
+  
+  if (!ref) {
+    ref = `e${nextRefId++}`;
+    elementRefs.set(element, ref);
+    refTargets.set(ref, new WeakRef(element));
+    if (refCleanup) refCleanup.register(element, ref);
+  }
+  
+  return ref;
+}
+
+/**
+ * Extract the bare handle from a reference target
+ * @param {string} target - Target such as "ref:e42"
+ * @returns {string|null} - Handle such as "e42", or null if target is not a reference
+ */
+export function parseElementRef(target) {
+  if (typeof target !== 'string') return null;
+  
+  const value = target.trim();
+  if (!value.startsWith(REF_PREFIX)) return null;
+  
+  const handle = value.slice(REF_PREFIX.length).trim();
+  return /^e\d+$/.test(handle) ? handle : null;
+}
+
+/**
+ * Find an element by its reference handle
+ * @param {string} ref - Handle ("e42") or reference target ("ref:e42")
+ * @returns {Element|null} - The element, or null if unknown or no longer attached
+ */
+export function findElementByRef(ref) {
+  const handle = parseElementRef(ref) || ref;
+  const element = refTargets.get(handle)?.deref();
+  
+  // A detached node is stale even though it is still in memory
+  if (!element || !element.isConnected) return null;
+  
+  return element;
+}
+
+/**
+ * Check whether a reference was issued but no longer resolves to an attached element
+ * @param {string} ref - Handle ("e42") or reference target ("ref:e42")
+ * @returns {boolean} - True if the reference is stale
+ */
+export function isStaleRef(ref) {
+  const handle = parseElementRef(ref) || ref;
+  const match = typeof handle === 'string' && handle.match(/^e(\d+)$/);
+  
+  if (!match || Number(match[1]) >= nextRefId) return false;
+  
+  return !findElementByRef(handle);
+}
+
+/**
+ * Locator segment marking the boundary into a host's open shadow root.
+ * Paths after the marker are relative to the shadow root, e.g.
+ * "/html/body/my-app/#shadow-root/div/button[2]"
+ * @type {string}
+ */
+export const SHADOW_ROOT_SEGMENT = '/#shadow-root';
+
+/**
+ * Locator segment marking the boundary into a same-origin frame's document.
+ * Paths after the marker are absolute within the frame, e.g.
+ * "/html/body/iframe[2]/#document/html/body/form/input"
+ * @type {string}
+ */
+export const FRAME_DOCUMENT_SEGMENT = '/#document';
+
+/**
+ * Get the frame element hosting a document, if it is a same-origin child frame
+ * @param {Document} doc - Document to check
+ * @returns {Element|null} - The iframe/frame element, or null for the top document
+ */
+function getFrameElement(doc) {
+  if (!doc || doc === document) return null;
+  
+  try {
+    return doc.defaultView ? doc.defaultView.frameElement : null;
+  } catch (e) {
+    // Cross-origin parents do not expose the frame element
+    return null;
+  }
+}
+
+/**
+ * Get the content document of a frame element if it is accessible
+ * @param {Element} frame - An iframe or frame element
+ * @returns {Document|null} - The frame's document, or null if cross-origin or not loaded
+ */
+export function getFrameDocument(frame) {
+  try {
+    return frame.contentDocument || null;
+  } catch (e) {
+    // Cross-origin frame
+    return null;
+  }
+}
+
+/**
+ * List the top document and every same-origin frame document below it
+ * @param {Document} [root=document] - Document to start from
+ * @returns {Array<{document: Document, frame: Element|null}>} - Accessible documents in tree order
+ */
+export function getAccessibleDocuments(root = document) {
+  const documents = [{ document: root, frame: null }];
+  
+  for (const frame of root.querySelectorAll('iframe, frame')) {
+    const frameDocument = getFrameDocument(frame);
+    if (!frameDocument) continue;
+    
+    for (const entry of getAccessibleDocuments(frameDocument)) {
+      documents.push(entry.frame ? entry : { document: entry.document, frame });
+    }
+  }
+  
+  return documents;
+}
+
+/**
+ * Get the offset of a document's viewport within the top-level viewport
+ * @param {Document} doc - Document to measure
+ * @returns {{x: number, y: number}} - Offset to add to rects from that document
+ */
+export function getFrameOffset(doc) {
+  const frame = getFrameElement(doc);
+  return frame ? getFrameContentOffset(frame) : { x: 0, y: 0 };
+}
+
+/**
+ * Get the offset of a frame element's content box within the top-level viewport
+ * @param {Element} frame - An iframe or frame element
+ * @returns {{x: number, y: number}} - Offset to add to rects from the frame's document
+ */
+export function getFrameContentOffset(frame) {
+  const rect = frame.getBoundingClientRect();
+  const style = frame.ownerDocument.defaultView.getComputedStyle(frame);
+  const parentOffset = getFrameOffset(frame.ownerDocument);
+  
+  // Content starts inside the frame's border and padding
+  return {
+    x: parentOffset.x + rect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0),
+    y: parentOffset.y + rect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0)
+  };
+}
+
+/**
+ * Get an element's bounding rect in top-level viewport coordinates,
+ * accounting for any same-origin frames it is nested in
+ * @param {Element} element - The DOM element to measure
+ * @returns {{x: number, y: number, left: number, top: number, right: number, bottom: number, width: number, height: number}} - Adjusted rect
+ */
+export function getElementRect(element) {
+  const rect = element.getBoundingClientRect();
+  const offset = getFrameOffset(element.ownerDocument);
+  
+  return {
+    x: rect.left + offset.x,
+    y: rect.top + offset.y,
+    left: rect.left + offset.x,
+    top: rect.top + offset.y,
+    right: rect.right + offset.x,
+    bottom: rect.bottom + offset.y,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+/**
+ * Get the locator of the frame an element lives in
+ * @param {Element} element - The DOM element
+ * @returns {string|null} - Locator of the hosting iframe, or null for the top document
+ */
+export function getFramePath(element) {
+  const frame = getFrameElement(element && element.ownerDocument);
+  return frame ? getXPath(frame) : null;
+}
+
 /**
  * Generate an XPath for a DOM element
+ * 
+ * Elements inside open shadow roots or same-origin frames get a composite
+ * locator with a SHADOW_ROOT_SEGMENT or FRAME_DOCUMENT_SEGMENT for every
+ * boundary crossed.
+ * 
  * @param {Element} element - The DOM element to generate XPath for
- * @returns {string} - XPath expression for the element
+ * @returns {string} - XPath expression (or composite locator) for the element
  */
 export function getXPath(element) {
   // Create a fully qualified XPath that always starts from the document root
   if (!element) return '';
   
+  // Elements inside same-origin frames are prefixed with the frame's locator
+  const doc = element.nodeType === Node.DOCUMENT_NODE ? element : element.ownerDocument;
+  const frame = getFrameElement(doc);
+  const prefix = frame ? getXPath(frame) + FRAME_DOCUMENT_SEGMENT : '';
+  
   // Special case for the document
-  if (element === document) return '';
+  if (element === doc) return prefix;
   
   // Special case for the HTML element
-  if (element === document.documentElement) return '/html';
+  if (element === doc.documentElement) return prefix + '/html';
   
   // Special case for the document body
-  if (element === document.body) return '/html/body';
+  if (element === doc.body) return prefix + '/html/body';
   
   // Build the full path from the element up to the document root
   let path = [];
   let current = element;
   
   while (current && current.nodeType === Node.ELEMENT_NODE) {
+    // Detached elements have no path beyond themselves
+    if (!current.parentNode) {
+      path.unshift(current.tagName.toLowerCase());
+      break;
+    }
+    
     // Get all siblings of the same node type
     let siblings = Array.from(
       current.parentNode.childNodes
@@ -58,39 +298,159 @@ export function getXPath(element) {
     
     current = current.parentNode;
     
+    // Crossing a shadow boundary: record it and continue from the host
+    if (current && current.nodeType === Node.DOCUMENT_FRAGMENT_NODE && current.host) {
+      path.unshift(SHADOW_ROOT_SEGMENT.slice(1));
+      current = current.host;
+    }
+    
     // Stop when we reach the document
-    if (current === document) break;
+    if (current === doc) break;
   }
   
   // Create the full XPath string starting from root
-  return '/' + path.join('/');
+  return prefix + '/' + path.join('/');
+}
+
+/**
+ * Resolve a generated path such as "/div/button[2]" relative to a shadow root.
+ * 
+ * XPath evaluation is not supported with shadow roots as the context node,
+ * so the simple steps emitted by getXPath are walked manually.
+ * 
+ * @param {ShadowRoot} root - Shadow root to resolve from
+ * @param {string} path - Path relative to the shadow root
+ * @returns {Element|null} - Found element or null if not found
+ */
+function resolveShadowPath(root, path) {
+  let current = root;
+  
+  for (const step of path.split('/').filter(Boolean)) {
+    const match = step.match(/^([\w-]+)(?:\[(\d+)\])?$/);
+    if (!match) return null;
+    
+    const tag = match[1].toLowerCase();
+    const index = match[2] ? parseInt(match[2], 10) : 1;
+    
+    const candidates = Array.from(current.children).filter(child =>
+      child.tagName.toLowerCase() === tag
+    );
+    
+    current = candidates[index - 1];
+    if (!current) return null;
+  }
+  
+  return current === root ? null : current;
 }
 
 /**
  * Find an element in the DOM using its XPath
- * @param {string} xpath - XPath to the element
+ * 
+ * Also resolves composite locators that cross into open shadow roots
+ * (see SHADOW_ROOT_SEGMENT) and same-origin frames (see FRAME_DOCUMENT_SEGMENT).
+ * 
+ * @param {string} xpath - XPath or composite locator to the element
  * @returns {Element|null} - Found element or null if not found
  */
 export function findElementByXPath(xpath) {
   try {
-    const result = document.evaluate(
-      xpath, 
-      document, 
-      null, 
-      XPathResult.FIRST_ORDERED_NODE_TYPE, 
-      null
-    );
+    const [topPath, ...framePaths] = xpath.split(FRAME_DOCUMENT_SEGMENT);
+    let element = resolveDocumentPath(document, topPath);
+    
+    // Descend through each frame boundary in turn
+    for (const framePath of framePaths) {
+      const frameDocument = element && getFrameDocument(element);
+      if (!frameDocument) return null;
+      element = resolveDocumentPath(frameDocument, framePath);
+    }
     
-    return result.singleNodeValue;
+    return element;
   } catch (e) {
-    console.error('Error evaluating XPath:', e);
+    logLibraryError('Error evaluating XPath:', e);
     return null;
   }
 }
 
+/**
+ * Resolve an XPath within a single document, following shadow root boundaries
+ * @param {Document} doc - Document to evaluate in
+ * @param {string} xpath - XPath, optionally with SHADOW_ROOT_SEGMENT steps
+ * @returns {Element|null} - Found element or null if not found
+ */
+function resolveDocumentPath(doc, xpath) {
+  const [documentPath, ...shadowPaths] = xpath.split(SHADOW_ROOT_SEGMENT);
+  
+  const result = doc.evaluate(
+    documentPath, 
+    doc, 
+    null, 
+    XPathResult.FIRST_ORDERED_NODE_TYPE, 
+    null
+  );
+  
+  let element = result.singleNodeValue;
+  
+  // Descend through each shadow host boundary in turn
+  for (const shadowPath of shadowPaths) {
+    if (!element || !element.shadowRoot) return null;
+    element = resolveShadowPath(element.shadowRoot, shadowPath);
+  }
+  
+  return element;
+}
+
+/**
+ * Element types takeSnapshot and observe consider relevant by default
+ * @type {string[]}
+ */
+const DEFAULT_RELEVANT_TAGS = [
+  'BUTTON', 'A', 'INPUT', 'LABEL', 'SELECT', 'TEXTAREA', 'IMG', 'SVG',
+  'DIV', 'SPAN', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'P'
+];
+
+/**
+ * Build the set of relevant tag names
+ * @param {string[]|null} elementFilter - Tag names to use instead of the defaults
+ * @returns {Set<string>} - Upper-case tag names
+ */
+function getRelevantTags(elementFilter) {
+  return elementFilter ? 
+    new Set(elementFilter.map(tag => tag.toUpperCase())) : 
+    new Set(DEFAULT_RELEVANT_TAGS);
+}
+
+/**
+ * Get the text of an element's own text nodes, whitespace-collapsed
+ * @param {Node} el - Element or text node
+ * @returns {string} - Text directly inside the element
+ */
+function getOwnText(el) {
+  let text = '';
+  
+  if (el.nodeType === Node.TEXT_NODE) {
+    text = el.textContent;
+  } else {
+    for (let child of el.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        text += child.textContent;
+      }
+    }
+  }
+  
+  return text.replace(/\s+/g, ' ').trim();
+}
+
 /**
  * Take a snapshot of key elements on the page
+ * 
+ * With a maxElements or maxTokens budget, elements are ranked by
+ * interactivity, viewport proximity and text salience, the best ones are
+ * kept together with their ancestors in the snapshot, and the rest are
+ * summarized in snapshot.pruned (e.g. "37 more links in footer").
+ * 
  * @param {Object} [options={}] - Options for the snapshot
+ * @param {number} [options.maxElements] - Maximum number of elements to keep
+ * @param {number} [options.maxTokens] - Approximate token budget for the elements
  * @returns {Object} - Snapshot with page and element information
  */
 export function takeSnapshot(options = {}) {
@@ -101,8 +461,12 @@ export function takeSnapshot(options = {}) {
     captureOutOfViewport = true,
     includePosition = true,
     includeShadowDOM = true,
+    includeFrames = true,
+    includeAccessibility = true,
     elementFilter = null,
-    textTruncateLength = 60
+    textTruncateLength = 60,
+    maxElements = null,
+    maxTokens = null
   } = options;
   
   // Create snapshot object with basic information
@@ -145,33 +509,47 @@ export function takeSnapshot(options = {}) {
   }
   
   // Define relevant element types for optimized scanning
-  const RELEVANT = elementFilter ? 
-    new Set(elementFilter.map(tag => tag.toUpperCase())) : 
-    new Set([
-      'BUTTON', 'A', 'INPUT', 'LABEL', 'SELECT', 'TEXTAREA', 'IMG', 'SVG',
-      'DIV', 'SPAN', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'P'
-    ]);
+  const RELEVANT = getRelevantTags(elementFilter);
   
   // Results container
   const results = [];
   
   /**
    * Recursive function to scan the DOM tree
+   * 
+   * Node types are compared instead of using instanceof so that nodes
+   * from same-origin frames (which belong to another realm) are handled.
+   * 
    * @param {Node} el - The current node to scan
+   * @param {Object|null} [frame=null] - Offset and locator of the enclosing frame
    */
-  function scan(el) {
+  function scan(el, frame = null) {
+    const isElement = el.nodeType === Node.ELEMENT_NODE;
+    const isDocument = el.nodeType === Node.DOCUMENT_NODE;
+    const isShadowRoot = el.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!el.host;
+    
     // Skip non-element nodes, documents, and shadow roots
-    if (!(el instanceof Element || el instanceof Document || el instanceof ShadowRoot)) return;
+    if (!(isElement || isDocument || isShadowRoot)) return;
     
     // Process element nodes
-    if (el instanceof Element) {
+    if (isElement) {
       try {
         // Skip invisible elements
-        const st = getComputedStyle(el);
+        const st = el.ownerDocument.defaultView.getComputedStyle(el);
         if (st.display === 'none' || st.visibility === 'hidden' || parseFloat(st.opacity) === 0) return;
         
-        // Get element dimensions
-        const rect = el.getBoundingClientRect();
+        // Get element dimensions, relative to the top-level viewport
+        const frameRect = el.getBoundingClientRect();
+        const rect = frame ? {
+          x: frameRect.left + frame.x,
+          y: frameRect.top + frame.y,
+          top: frameRect.top + frame.y,
+          left: frameRect.left + frame.x,
+          bottom: frameRect.bottom + frame.y,
+          right: frameRect.right + frame.x,
+          width: frameRect.width,
+          height: frameRect.height
+        } : frameRect;
         if (rect.width <= 0 || rect.height <= 0) return;
         
         // Skip elements outside viewport if not capturing those
@@ -185,29 +563,35 @@ export function takeSnapshot(options = {}) {
         if (!captureOutOfViewport && !isInViewport) return;
         
         // Get visible text content
-        let visibleText = '';
-        if (el.nodeType === Node.TEXT_NODE) {
-          visibleText = el.textContent;
-        } else {
-          for (let child of el.childNodes) {
-            if (child.nodeType === Node.TEXT_NODE) {
-              visibleText += child.textContent;
-            }
-          }
-        }
-        
-        visibleText = visibleText.replace(/\s+/g, ' ').trim().slice(0, textTruncateLength);
+        const visibleText = getOwnText(el).slice(0, textTruncateLength);
         
         // Include element if it's relevant or has text content
         if (RELEVANT.has(el.tagName) || (visibleText && visibleText.length > 0)) {
           // Create element snapshot
           const elementSnapshot = {
+            ref: getElementRef(el),
             tag: el.tagName.toLowerCase(),
             xpath: getXPath(el),
             text: visibleText,
             inViewport: isInViewport
           };
           
+          // Tag elements that live inside a frame
+          if (frame) {
+            elementSnapshot.frame = frame.path;
+          }
+          
+          // Add computed ARIA role and accessible name
+          if (includeAccessibility) {
+            const role = getRole(el);
+            const name = getAccessibleName(el);
+            if (role) elementSnapshot.role = role;
+            if (name) elementSnapshot.name = name.slice(0, textTruncateLength);
+            
+            const states = getStates(el);
+            if (states.length > 0) elementSnapshot.states = states;
+          }
+          
           // Add position information if requested
           if (includePosition) {
             elementSnapshot.x = Math.round(rect.x);
@@ -234,6 +618,10 @@ export function takeSnapshot(options = {}) {
               if (el.placeholder) attributes.placeholder = el.placeholder;
               if (el.value) attributes.value = el.value;
               break;
+            case 'textarea':
+            case 'select':
+              if (el.value) attributes.value = el.value;
+              break;
             case 'img':
               if (el.alt) attributes.alt = el.alt;
               if (el.src) attributes.src = el.src;
@@ -247,24 +635,869 @@ export function takeSnapshot(options = {}) {
         }
       } catch (e) {
         // Skip element if there's an error processing it
-        console.error('Error processing element:', e);
+        logLibraryError('Error processing element:', e);
       }
       
       // Recursively process child elements
-      for (let child of el.children) scan(child);
+      for (let child of el.children) scan(child, frame);
+      
+      // Descend into open shadow roots
+      if (includeShadowDOM && el.shadowRoot) scan(el.shadowRoot, frame);
+      
+      // Descend into same-origin frames
+      if (includeFrames && (el.tagName === 'IFRAME' || el.tagName === 'FRAME')) {
+        const frameDocument = getFrameDocument(el);
+        
+        if (frameDocument && frameDocument.body) {
+          const offset = getFrameOffset(frameDocument);
+          scan(frameDocument.body, { x: offset.x, y: offset.y, path: getXPath(el) });
+        }
+      }
     }
     
     // Process document and shadow root nodes
-    if ((includeShadowDOM && el instanceof ShadowRoot) || el instanceof Document) {
-      for (let child of el.children) scan(child);
+    if ((includeShadowDOM && isShadowRoot) || isDocument) {
+      for (let child of el.children) scan(child, frame);
     }
   }
   
   // Start scanning from document body
   scan(document.body);
   
-  // Add element snapshots to the main snapshot
-  snapshot.elements = results;
+  // Add element snapshots to the main snapshot, within the budget if one is set
+  if (maxElements !== null || maxTokens !== null) {
+    const { elements, pruned } = pruneElements(results, { maxElements, maxTokens });
+    snapshot.elements = elements;
+    if (pruned) snapshot.pruned = pruned;
+  } else {
+    snapshot.elements = results;
+  }
   
   return snapshot;
-}
\ No newline at end of file
+}
+
+/**
+ * Roles of elements a user can act on
+ * @type {Set<string>}
+ */
+const INTERACTIVE_ROLES = new Set([
+  'button', 'checkbox', 'combobox', 'link', 'listbox', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'option', 'radio', 'searchbox', 'slider', 'spinbutton', 'switch',
+  'tab', 'textbox', 'treeitem'
+]);
+
+/**
+ * How pruned elements are described, by role
+ * @type {Object<string, string>}
+ */
+const PRUNED_KINDS = {
+  button: 'buttons',
+  cell: 'table cells',
+  checkbox: 'form fields',
+  combobox: 'form fields',
+  gridcell: 'table cells',
+  heading: 'headings',
+  img: 'images',
+  link: 'links',
+  listitem: 'list items',
+  menuitem: 'menu items',
+  option: 'options',
+  paragraph: 'text blocks',
+  radio: 'form fields',
+  searchbox: 'form fields',
+  slider: 'form fields',
+  spinbutton: 'form fields',
+  switch: 'form fields',
+  tab: 'tabs',
+  textbox: 'form fields'
+};
+
+/**
+ * How the page region of pruned elements is described, by landmark role
+ * @type {Object<string, string>}
+ */
+const REGION_LABELS = {
+  alertdialog: 'dialog',
+  banner: 'header',
+  complementary: 'sidebar',
+  contentinfo: 'footer',
+  dialog: 'dialog',
+  form: 'form',
+  main: 'main content',
+  navigation: 'navigation',
+  region: 'section',
+  search: 'search'
+};
+
+/**
+ * Estimate the number of tokens a value costs when sent to a model as JSON
+ * @param {*} value - Value to estimate
+ * @returns {number} - Approximate token count (about four characters per token)
+ */
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+/**
+ * Score how useful a snapshot element is to an agent
+ * @param {Object} element - Element snapshot
+ * @param {number} viewportHeight - Height of the viewport
+ * @param {number} repetitions - Number of same-tag siblings in the snapshot
+ * @returns {number} - Higher scores are kept first
+ */
+function scoreElement(element, viewportHeight, repetitions) {
+  let score = 0;
+  
+  // Interactivity, plus headings and labels that give fields and sections context
+  const interactive = INTERACTIVE_ROLES.has(element.role) ||
+    ['a', 'button', 'input', 'select', 'textarea'].includes(element.tag);
+  if (interactive) score += 10;
+  if (element.states && element.states.includes('disabled')) score -= 3;
+  if (element.role === 'heading') score += 9;
+  if (element.tag === 'label') score += 4;
+  
+  // Long runs of similar siblings (footer links, list rows) matter less one by one
+  score -= Math.log2(repetitions);
+  
+  // Viewport proximity, decaying with the distance in screens
+  if (element.inViewport) {
+    score += 6;
+  } else if (typeof element.y === 'number' && viewportHeight > 0) {
+    const distance = element.y < 0 ? -(element.y + (element.height || 0)) : element.y - viewportHeight;
+    score += 6 / (1 + Math.max(0, distance) / viewportHeight);
+  }
+  
+  // Text salience: named elements and substantial text, not empty wrappers
+  const text = element.name || element.text || '';
+  if (text) {
+    score += 1 + Math.min(3, text.length / 20);
+  } else if (!interactive) {
+    score -= 4;
+  }
+  
+  return score;
+}
+
+/**
+ * Describe the landmark region an element belongs to
+ * @param {Element|null} element - The DOM element
+ * @returns {string|null} - Region label such as "footer" or 'navigation "Primary"'
+ */
+function getRegionLabel(element) {
+  let current = element && element.parentElement;
+  
+  while (current) {
+    const label = REGION_LABELS[getRole(current)];
+    
+    if (label) {
+      const name = getAccessibleName(current);
+      return name ? `${label} "${name}"` : label;
+    }
+    
+    // Continue past shadow roots and frame boundaries
+    const root = current.parentElement ? null : current.getRootNode();
+    current = current.parentElement ||
+      (root && root.host) ||
+      (current.ownerDocument && getFrameElement(current.ownerDocument));
+  }
+  
+  return null;
+}
+
+/**
+ * Locators of the possible ancestors of an element
+ * @param {string} xpath - Locator from getXPath
+ * @returns {string[]} - Ancestor locators, nearest first
+ */
+function getAncestorPaths(xpath) {
+  const paths = [];
+  
+  for (let index = xpath.lastIndexOf('/'); index > 0; index = xpath.lastIndexOf('/', index - 1)) {
+    paths.push(xpath.slice(0, index));
+  }
+  
+  return paths;
+}
+
+/**
+ * Reduce snapshot elements to a budget
+ * 
+ * Elements are taken in score order. Each one brings along its ancestors
+ * from the snapshot, so the kept elements keep their context, and is
+ * skipped if it would not fit. Dropped elements are grouped by kind and
+ * page region.
+ * 
+ * @param {Object[]} elements - Element snapshots in document order
+ * @param {Object} budget - Budget options
+ * @param {number|null} budget.maxElements - Maximum number of elements
+ * @param {number|null} budget.maxTokens - Approximate token budget
+ * @returns {{elements: Object[], pruned: Object|null}} - Kept elements and pruning report
+ */
+function pruneElements(elements, { maxElements, maxTokens }) {
+  const elementLimit = maxElements !== null ? maxElements : Infinity;
+  const tokenLimit = maxTokens !== null ? maxTokens : Infinity;
+  
+  if (elements.length <= elementLimit && estimateTokens(elements) <= tokenLimit) {
+    return { elements, pruned: null };
+  }
+  
+  const byPath = new Map(elements.map(element => [element.xpath, element]));
+  const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+  
+  // Count same-tag siblings, keyed by parent locator and tag
+  const siblingKey = element => `${element.xpath.slice(0, element.xpath.lastIndexOf('/'))}|${element.tag}`;
+  const siblingCounts = new Map();
+  for (const element of elements) {
+    siblingCounts.set(siblingKey(element), (siblingCounts.get(siblingKey(element)) || 0) + 1);
+  }
+  
+  const ranked = elements
+    .map(element => ({
+      element,
+      score: scoreElement(element, viewportHeight, siblingCounts.get(siblingKey(element)))
+    }))
+    .sort((a, b) => b.score - a.score);
+  
+  const kept = new Set();
+  let tokens = 2;
+  
+  for (const { element } of ranked) {
+    if (kept.has(element)) continue;
+    if (kept.size >= elementLimit || tokens >= tokenLimit) break;
+    
+    const additions = [element, ...getAncestorPaths(element.xpath)
+      .map(path => byPath.get(path))
+      .filter(ancestor => ancestor && !kept.has(ancestor))];
+    const cost = additions.reduce((sum, item) => sum + estimateTokens(item) + 1, 0);
+    
+    if (kept.size + additions.length > elementLimit || tokens + cost > tokenLimit) continue;
+    
+    additions.forEach(item => kept.add(item));
+    tokens += cost;
+  }
+  
+  // Summarize the dropped elements by kind and region
+  const groups = new Map();
+  
+  for (const element of elements) {
+    if (kept.has(element)) continue;
+    
+    const kind = PRUNED_KINDS[element.role] ||
+      (element.tag === 'a' ? 'links' : element.text ? 'text blocks' : 'containers');
+    const region = getRegionLabel(findElementByRef(element.ref));
+    const key = `${kind}|${region}`;
+    
+    if (!groups.has(key)) groups.set(key, { kind, region, count: 0 });
+    groups.get(key).count++;
+  }
+  
+  const summary = Array.from(groups.values())
+    .sort((a, b) => b.count - a.count)
+    .map(group => ({
+      ...group,
+      description: `${group.count} more ${group.count === 1 ? group.kind.replace(/s$/, '') : group.kind} ` +
+        (group.region ? `in ${group.region}` : 'elsewhere on the page')
+    }));
+  
+  return {
+    elements: elements.filter(element => kept.has(element)),
+    pruned: {
+      total: elements.length,
+      kept: kept.size,
+      dropped: elements.length - kept.size,
+      summary
+    }
+  };
+}
+
+/**
+ * Subscribe to semantic changes on the page
+ * 
+ * Mutations are collected and delivered in debounced batches of events:
+ * - appeared / disappeared: a relevant element was added or removed
+ * - textChanged: the text directly inside an element changed
+ * - attributeChanged: an attribute was set, changed or removed
+ * - valueChanged: a form control's value changed through user input
+ * 
+ * Only elements takeSnapshot considers relevant (by tag or because they
+ * hold text) produce events. Events that cancel out within a batch, such
+ * as an element that appeared and disappeared again, are dropped.
+ * 
+ * @param {Object} [options={}] - Observer options
+ * @param {Element} [options.root=document.body] - Subtree to observe
+ * @param {number} [options.debounce=100] - Quiet time in ms before a batch is delivered
+ * @param {number} [options.maxWait=1000] - Longest time in ms a batch may be held back
+ * @param {number} [options.maxEvents=500] - Maximum events per batch, the rest are counted as dropped
+ * @param {string[]} [options.events] - Event types to report, all by default
+ * @param {string[]} [options.elementFilter=null] - Relevant tag names, as in takeSnapshot
+ * @param {string[]} [options.attributeFilter] - Attribute names to watch, all by default
+ * @param {number} [options.textTruncateLength=60] - Maximum length of reported text
+ * @param {Function} callback - Called with (events, info) for every batch
+ * @returns {{unsubscribe: Function, flush: Function}} - Subscription handle
+ */
+export function observe(options = {}, callback) {
+  const {
+    root = document.body,
+    debounce = 100,
+    maxWait = 1000,
+    maxEvents = 500,
+    events = ['appeared', 'disappeared', 'textChanged', 'attributeChanged', 'valueChanged'],
+    elementFilter = null,
+    attributeFilter = undefined,
+    textTruncateLength = 60
+  } = options;
+  
+  if (typeof callback !== 'function') {
+    throw new Error('observe requires a callback function');
+  }
+  
+  const RELEVANT = getRelevantTags(elementFilter);
+  const wanted = new Set(events);
+  
+  // Pending events keyed so repeated changes to the same thing coalesce
+  const pending = new Map();
+  
+  // Last reported text per element, used as the "before" of text changes
+  const knownText = new WeakMap();
+  
+  let debounceId = null;
+  let maxWaitId = null;
+  let active = true;
+  
+  /**
+   * Check whether an element should produce events
+   * @param {Element} el - Element to check
+   * @returns {boolean} - Whether the element is relevant
+   */
+  function isRelevant(el) {
+    return RELEVANT.has(el.tagName) || getOwnText(el).length > 0;
+  }
+  
+  /**
+   * Describe an element for an event
+   * @param {Element} el - Element to describe
+   * @returns {Object} - Basic element information
+   */
+  function describe(el) {
+    const info = {
+      ref: getElementRef(el),
+      tag: el.tagName.toLowerCase()
+    };
+    
+    if (el.isConnected) info.xpath = getXPath(el);
+    
+    const text = getOwnText(el).slice(0, textTruncateLength);
+    if (text) info.text = text;
+    
+    return info;
+  }
+  
+  /**
+   * Relevant elements in a subtree, including the subtree root
+   * @param {Element} el - Root of the subtree
+   * @returns {Element[]} - Relevant elements
+   */
+  function relevantInSubtree(el) {
+    return [el, ...el.querySelectorAll('*')].filter(isRelevant);
+  }
+  
+  /**
+   * Queue an event and schedule delivery
+   * @param {string} key - Coalescing key
+   * @param {Object} event - Event to queue
+   */
+  function queue(key, event) {
+    if (!wanted.has(event.type)) return;
+    
+    const existing = pending.get(key);
+    
+    // Keep the earliest "before" value when coalescing repeated changes
+    if (existing && 'oldValue' in existing) event.oldValue = existing.oldValue;
+    if (existing && 'oldText' in existing) event.oldText = existing.oldText;
+    
+    pending.delete(key);
+    pending.set(key, event);
+    schedule();
+  }
+  
+  /**
+   * Schedule a flush after the debounce period, bounded by maxWait
+   */
+  function schedule() {
+    if (debounceId) clearTimeout(debounceId);
+    debounceId = setTimeout(flush, debounce);
+    
+    if (!maxWaitId && maxWait) {
+      maxWaitId = setTimeout(flush, maxWait);
+    }
+  }
+  
+  /**
+   * Handle a text change on an element's own text
+   * @param {Element} el - Element whose text may have changed
+   * @param {string} [oldNodeText] - Previous content of the changed text node
+   * @param {Node} [node] - The changed text node
+   */
+  function handleText(el, oldNodeText, node) {
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return;
+    if (!isRelevant(el) && !knownText.has(el)) return;
+    
+    const text = getOwnText(el);
+    let oldText = knownText.get(el);
+    
+    // Reconstruct the previous text from the text node's old value
+    if (oldText === undefined && oldNodeText !== undefined && node) {
+      oldText = text.replace(getOwnText(node), oldNodeText.replace(/\s+/g, ' ').trim());
+    }
+    
+    knownText.set(el, text);
+    if (oldText === text) return;
+    
+    queue(`textChanged|${getElementRef(el)}`, {
+      type: 'textChanged',
+      ...describe(el),
+      oldText: oldText === undefined ? null : oldText.slice(0, textTruncateLength),
+      text: text.slice(0, textTruncateLength)
+    });
+  }
+  
+  /**
+   * Translate mutation records into semantic events
+   * @param {MutationRecord[]} records - Records from the MutationObserver
+   */
+  function handleMutations(records) {
+    for (const record of records) {
+      switch (record.type) {
+        case 'childList': {
+          for (const node of record.addedNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+              handleText(record.target);
+              continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+            
+            for (const el of relevantInSubtree(node)) {
+              const ref = getElementRef(el);
+              
+              // Removed and re-added within a batch: net effect is a move, not a change
+              if (pending.has(`disappeared|${ref}`)) {
+                pending.delete(`disappeared|${ref}`);
+                continue;
+              }
+              
+              knownText.set(el, getOwnText(el));
+              queue(`appeared|${ref}`, { type: 'appeared', ...describe(el) });
+            }
+          }
+          
+          for (const node of record.removedNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+              handleText(record.target);
+              continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+            
+            for (const el of relevantInSubtree(node)) {
+              const ref = getElementRef(el);
+              
+              // Added and removed within a batch: nothing to report
+              if (pending.has(`appeared|${ref}`)) {
+                pending.delete(`appeared|${ref}`);
+                continue;
+              }
+              
+              queue(`disappeared|${ref}`, { type: 'disappeared', ...describe(el) });
+            }
+          }
+          break;
+        }
+          
+        case 'characterData':
+          handleText(record.target.parentNode, record.oldValue, record.target);
+          break;
+          
+        case 'attributes': {
+          const el = record.target;
+          if (!isRelevant(el)) break;
+          
+          const newValue = el.getAttribute(record.attributeName);
+          const key = `attributeChanged|${getElementRef(el)}|${record.attributeName}`;
+          const oldValue = pending.has(key) ? pending.get(key).oldValue : record.oldValue;
+          
+          // Changed and changed back within a batch
+          if (oldValue === newValue) {
+            pending.delete(key);
+            break;
+          }
+          
+          queue(key, {
+            type: 'attributeChanged',
+            ...describe(el),
+            attribute: record.attributeName,
+            oldValue,
+            newValue
+          });
+          break;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Report value changes of form controls, which mutations do not cover
+   * @param {Event} event - input or change event
+   */
+  function handleInput(event) {
+    const el = event.composedPath ? event.composedPath()[0] : event.target;
+    if (!el || el.nodeType !== Node.ELEMENT_NODE || !('value' in el)) return;
+    
+    const change = {
+      type: 'valueChanged',
+      ...describe(el),
+      value: el.value
+    };
+    
+    if (el.type === 'checkbox' || el.type === 'radio') {
+      change.checked = el.checked;
+    }
+    
+    queue(`valueChanged|${change.ref}`, change);
+  }
+  
+  /**
+   * Deliver the pending batch immediately
+   */
+  function flush() {
+    // Pick up mutations the observer has not delivered yet
+    if (active) handleMutations(observer.takeRecords());
+    
+    if (debounceId) clearTimeout(debounceId);
+    if (maxWaitId) clearTimeout(maxWaitId);
+    debounceId = null;
+    maxWaitId = null;
+    
+    if (pending.size === 0) return;
+    
+    const batch = Array.from(pending.values());
+    pending.clear();
+    
+    const timestamp = new Date().toISOString();
+    const delivered = batch.slice(0, maxEvents).map(event => ({ ...event, timestamp }));
+    
+    try {
+      callback(delivered, {
+        dropped: batch.length - delivered.length,
+        timestamp
+      });
+    } catch (e) {
+      logLibraryError('Error in observe callback:', e);
+    }
+  }
+  
+  const observer = new MutationObserver(handleMutations);
+  
+  observer.observe(root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeOldValue: true,
+    characterData: true,
+    characterDataOldValue: true,
+    ...(attributeFilter ? { attributeFilter } : {})
+  });
+  
+  root.addEventListener('input', handleInput, true);
+  root.addEventListener('change', handleInput, true);
+  
+  return {
+    /**
+     * Stop observing; pending events are discarded
+     */
+    unsubscribe() {
+      if (!active) return;
+      active = false;
+      
+      observer.disconnect();
+      root.removeEventListener('input', handleInput, true);
+      root.removeEventListener('change', handleInput, true);
+      
+      if (debounceId) clearTimeout(debounceId);
+      if (maxWaitId) clearTimeout(maxWaitId);
+      pending.clear();
+    },
+    flush
+  };
+}
+
+/**
+ * Compare two snapshots from takeSnapshot and report what changed
+ * 
+ * Elements are matched by reference handle first, then by XPath, then by
+ * tag, text and attributes, so re-rendered nodes still pair up with their
+ * previous version. Positions are compared in document coordinates, so
+ * scrolling alone does not mark elements as moved.
+ * 
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @param {Object} [options={}] - Diff options
+ * @param {boolean} [options.ignorePosition=false] - Do not report coordinate changes as moves
+ * @param {number} [options.positionThreshold=2] - Minimum coordinate change in px to count as a move
+ * @returns {Object} - Added, removed, moved and changed elements plus page-level changes
+ */
+export function diffSnapshots(before, after, options = {}) {
+  const {
+    ignorePosition = false,
+    positionThreshold = 2
+  } = options;
+  
+  const beforeElements = (before && before.elements) || [];
+  const afterElements = (after && after.elements) || [];
+  
+  // Pairs of [beforeIndex, afterIndex]
+  const pairs = [];
+  const unmatchedBefore = new Set(beforeElements.keys());
+  const unmatchedAfter = new Set(afterElements.keys());
+  
+  /**
+   * Match remaining elements whose key is equal in both snapshots
+   * @param {Function} getKey - Returns a key for an element, or null to skip it
+   */
+  function matchByKey(getKey) {
+    const index = new Map();
+    
+    for (const i of unmatchedBefore) {
+      const key = getKey(beforeElements[i]);
+      if (key === null || key === undefined) continue;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(i);
+    }
+    
+    for (const j of unmatchedAfter) {
+      const key = getKey(afterElements[j]);
+      const candidates = key !== null && key !== undefined ? index.get(key) : null;
+      if (!candidates || candidates.length === 0) continue;
+      
+      const i = candidates.shift();
+      pairs.push([i, j]);
+      unmatchedBefore.delete(i);
+      unmatchedAfter.delete(j);
+    }
+  }
+  
+  // 1. Identity: same reference handle means the same DOM node
+  matchByKey(el => el.ref || null);
+  
+  // 2. Same position in the tree
+  matchByKey(el => el.xpath ? `${el.tag}|${el.xpath}` : null);
+  
+  // 3. Same content: best scoring candidate with the same tag and role
+  const buckets = new Map();
+  
+  for (const i of unmatchedBefore) {
+    const key = getSimilarityBucket(beforeElements[i]);
+    if (!buckets.has(key)) buckets.set(key, new Set());
+    buckets.get(key).add(i);
+  }
+  
+  for (const j of Array.from(unmatchedAfter)) {
+    const candidate = afterElements[j];
+    const bucket = buckets.get(getSimilarityBucket(candidate));
+    if (!bucket) continue;
+    
+    let best = null;
+    let bestScore = 0;
+    let compared = 0;
+    
+    // Cap the comparisons so a page of look-alike nodes stays linear
+    for (const i of bucket) {
+      if (compared++ >= DIFF_MAX_CANDIDATES) break;
+      
+      const score = scoreSimilarity(beforeElements[i], candidate);
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+    
+    // Require more than a single shared attribute to avoid pairing unrelated nodes
+    if (best !== null && bestScore >= 2) {
+      pairs.push([best, j]);
+      bucket.delete(best);
+      unmatchedBefore.delete(best);
+      unmatchedAfter.delete(j);
+    }
+  }
+  
+  const diff = {
+    page: {},
+    added: Array.from(unmatchedAfter).sort((a, b) => a - b).map(j => afterElements[j]),
+    removed: Array.from(unmatchedBefore).sort((a, b) => a - b).map(i => beforeElements[i]),
+    moved: [],
+    changed: []
+  };
+  
+  // Page-level changes
+  for (const field of ['url', 'title']) {
+    if (before && after && before[field] !== after[field]) {
+      diff.page[field] = { before: before[field], after: after[field] };
+    }
+  }
+  
+  const beforeScroll = getScrollOffset(before);
+  const afterScroll = getScrollOffset(after);
+  let unchanged = 0;
+  
+  // Report moves and field changes in the order of the later snapshot
+  pairs.sort((a, b) => a[1] - b[1]);
+  
+  for (const [i, j] of pairs) {
+    const previous = beforeElements[i];
+    const current = afterElements[j];
+    let isMoved = false;
+    let isChanged = false;
+    
+    // Moves: a different place in the tree or on the page
+    const move = {};
+    
+    if (previous.xpath !== current.xpath) {
+      move.xpath = { before: previous.xpath, after: current.xpath };
+    }
+    
+    if (!ignorePosition && typeof previous.x === 'number' && typeof current.x === 'number') {
+      const dx = (current.x + afterScroll.x) - (previous.x + beforeScroll.x);
+      const dy = (current.y + afterScroll.y) - (previous.y + beforeScroll.y);
+      
+      if (Math.abs(dx) >= positionThreshold || Math.abs(dy) >= positionThreshold) {
+        move.position = {
+          before: { x: previous.x, y: previous.y, inViewport: previous.inViewport },
+          after: { x: current.x, y: current.y, inViewport: current.inViewport },
+          delta: { x: Math.round(dx), y: Math.round(dy) }
+        };
+      }
+    }
+    
+    if (Object.keys(move).length > 0) {
+      diff.moved.push({ ref: current.ref, element: current, ...move });
+      isMoved = true;
+    }
+    
+    // Changes: any other field, with attributes compared one by one
+    const changes = diffElementFields(previous, current);
+    
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ ref: current.ref, element: current, changes });
+      isChanged = true;
+    }
+    
+    // A different node took the place of the earlier one (e.g. after a re-render)
+    if (previous.ref && current.ref && previous.ref !== current.ref) {
+      const replaced = { ref: current.ref, previousRef: previous.ref, element: current };
+      if (isMoved) Object.assign(diff.moved[diff.moved.length - 1], replaced);
+      if (isChanged) Object.assign(diff.changed[diff.changed.length - 1], replaced);
+    }
+    
+    if (!isMoved && !isChanged) unchanged++;
+  }
+  
+  diff.summary = {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    moved: diff.moved.length,
+    changed: diff.changed.length,
+    unchanged
+  };
+  
+  return diff;
+}
+
+/**
+ * Fields compared by position or identity rather than as content changes
+ * 
+ * inViewport flips whenever the page scrolls, so it is only reported
+ * with a position move.
+ * 
+ * @type {Set<string>}
+ */
+const DIFF_IGNORED_FIELDS = new Set(['ref', 'xpath', 'x', 'y', 'inViewport', 'attributes']);
+
+/**
+ * Most earlier elements an unmatched element is compared against by content
+ * @type {number}
+ */
+const DIFF_MAX_CANDIDATES = 50;
+
+/**
+ * Group key for content matching; only elements with the same tag and role are compared
+ * @param {Object} element - Snapshot element
+ * @returns {string} - Bucket key
+ */
+function getSimilarityBucket(element) {
+  return `${element.tag}|${element.role || ''}`;
+}
+
+/**
+ * Score how likely two snapshot elements are to be the same node
+ * @param {Object} a - Element from the earlier snapshot
+ * @param {Object} b - Element from the later snapshot
+ * @returns {number} - Similarity score, 0 if the elements cannot match
+ */
+function scoreSimilarity(a, b) {
+  if (a.tag !== b.tag) return 0;
+  
+  const attrsA = a.attributes || {};
+  const attrsB = b.attributes || {};
+  let score = 0;
+  
+  if (attrsA.id && attrsA.id === attrsB.id) score += 3;
+  if (a.text && a.text === b.text) score += 2;
+  
+  for (const key of Object.keys(attrsA)) {
+    if (key !== 'id' && attrsA[key] === attrsB[key]) score += 1;
+  }
+  
+  return score;
+}
+
+/**
+ * List the fields that differ between two matched snapshot elements
+ * @param {Object} previous - Element from the earlier snapshot
+ * @param {Object} current - Element from the later snapshot
+ * @returns {Object<string, {before: *, after: *}>} - Changed fields keyed by name
+ */
+function diffElementFields(previous, current) {
+  const changes = {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  
+  for (const field of fields) {
+    if (DIFF_IGNORED_FIELDS.has(field)) continue;
+    
+    if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+      changes[field] = { before: previous[field], after: current[field] };
+    }
+  }
+  
+  const attrsBefore = previous.attributes || {};
+  const attrsAfter = current.attributes || {};
+  const attributeNames = new Set([...Object.keys(attrsBefore), ...Object.keys(attrsAfter)]);
+  
+  for (const name of attributeNames) {
+    if (attrsBefore[name] !== attrsAfter[name]) {
+      changes[`attributes.${name}`] = { before: attrsBefore[name], after: attrsAfter[name] };
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Get the scroll offset a snapshot was taken at
+ * @param {Object} snapshot - Snapshot from takeSnapshot
+ * @returns {{x: number, y: number}} - Scroll offset, zero if not recorded
+ */
+function getScrollOffset(snapshot) {
+  const viewport = snapshot && snapshot.viewport;
+  return {
+    x: (viewport && viewport.scrollX) || 0,
+    y: (viewport && viewport.scrollY) || 0
+  };
+}
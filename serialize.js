@@ -0,0 +1,389 @@
+/**
+ * BrowserMagic DOM Serialization
+ * 
+ * Compact, line-per-element text forms of snapshots for language models,
+ * and a parser that maps model responses back to snapshot elements.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { REF_PREFIX } from './core.js';
+
+/**
+ * Tags that only group other content and carry no meaning of their own
+ * @type {Set<string>}
+ */
+const WRAPPER_TAGS = new Set(['div', 'span', 'section', 'header', 'footer', 'font', 'center']);
+
+/**
+ * Roles an element can have and still be collapsed as a wrapper
+ * @type {Set<string>}
+ */
+const WRAPPER_ROLES = new Set(['generic', 'none', 'presentation']);
+
+/**
+ * Roles whose lines absorb text-only children into their own text
+ * @type {Set<string>}
+ */
+const TEXT_CONTAINER_ROLES = new Set([
+  'text', 'paragraph', 'heading', 'listitem', 'cell', 'gridcell', 'columnheader',
+  'rowheader', 'caption', 'blockquote', 'term', 'definition', 'label', 'legend'
+]);
+
+/**
+ * Input types whose value is not shown, either because it is not data or is secret
+ * @type {Set<string>}
+ */
+const VALUELESS_TYPES = new Set(['button', 'checkbox', 'image', 'password', 'radio', 'reset', 'submit']);
+
+/**
+ * Matches an outline line: indentation, "- role", optional quoted name and the rest
+ * @type {RegExp}
+ */
+const OUTLINE_LINE_PATTERN = /^\s*-\s+([\w-]+)(?:\s+("(?:[^"\\]|\\.)*"))?(.*)$/;
+
+/**
+ * Matches ref mentions such as "[ref=e12]", "ref:e12" or "ref=e4:e7"
+ * @type {RegExp}
+ */
+const REF_MENTION_PATTERN = /\bref\s*[=:]\s*(e\d+(?::e\d+)*)\b/g;
+
+/**
+ * Matches bare ref tokens such as "e12", only accepted for refs in the snapshot
+ * @type {RegExp}
+ */
+const BARE_REF_PATTERN = /\b(e\d+(?::e\d+)*)\b/g;
+
+/**
+ * Check whether one locator is an ancestor of another
+ * @param {string} ancestor - Locator of the possible ancestor
+ * @param {string} descendant - Locator of the possible descendant
+ * @returns {boolean} - Whether the first locator contains the second
+ */
+function isAncestorPath(ancestor, descendant) {
+  return !!ancestor && !!descendant && descendant.startsWith(`${ancestor}/`);
+}
+
+/**
+ * Get the role shown for a snapshot element
+ * @param {Object} element - Element from takeSnapshot
+ * @returns {string} - Computed role, "text" for plain text or the tag name
+ */
+function getOutlineRole(element) {
+  if (element.role && !WRAPPER_ROLES.has(element.role)) return element.role;
+  if (WRAPPER_TAGS.has(element.tag) || ['p', 'label', 'legend', 'em', 'strong', 'b', 'i', 'small'].includes(element.tag)) {
+    return element.tag === 'label' || element.tag === 'legend' ? element.tag : 'text';
+  }
+  return element.tag;
+}
+
+/**
+ * Get the text shown in quotes for a snapshot element
+ * @param {Object} element - Element from takeSnapshot
+ * @returns {string} - Accessible name, falling back to the element's own text
+ */
+function getOutlineName(element) {
+  return (element.name || element.text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether a snapshot element only groups other elements
+ * @param {Object} element - Element from takeSnapshot
+ * @returns {boolean} - Whether the element can be collapsed
+ */
+function isWrapper(element) {
+  if (!WRAPPER_TAGS.has(element.tag)) return false;
+  if (element.role && !WRAPPER_ROLES.has(element.role)) return false;
+  if (element.states && element.states.length > 0) return false;
+  return !getOutlineName(element);
+}
+
+/**
+ * Check whether a node holds nothing but text
+ * @param {Object} node - Outline tree node
+ * @returns {boolean} - Whether the node is a plain text leaf
+ */
+function isTextOnly(node) {
+  return node.children.length === 0 &&
+    getOutlineRole(node.element) === 'text' &&
+    !(node.element.states && node.element.states.length > 0);
+}
+
+/**
+ * Rebuild the element hierarchy of a snapshot from its locators
+ * 
+ * takeSnapshot lists elements in document order, so every element's
+ * nearest listed ancestor is somewhere on the stack of open elements.
+ * 
+ * @param {Object[]} elements - Elements from takeSnapshot
+ * @returns {Object[]} - Top-level outline nodes ({element, children})
+ */
+function buildOutlineTree(elements) {
+  const roots = [];
+  const stack = [];
+  
+  for (const element of elements) {
+    while (stack.length > 0 && !isAncestorPath(stack[stack.length - 1].element.xpath, element.xpath)) {
+      stack.pop();
+    }
+    
+    const node = { element, children: [], text: getOutlineName(element) };
+    (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+    stack.push(node);
+  }
+  
+  return roots;
+}
+
+/**
+ * Replace wrapper nodes by their children
+ * @param {Object[]} nodes - Outline nodes
+ * @returns {Object[]} - Nodes with wrappers collapsed
+ */
+function collapseWrappers(nodes) {
+  return nodes.flatMap(node => {
+    const children = collapseWrappers(node.children);
+    if (isWrapper(node.element)) return children;
+    node.children = children;
+    return [node];
+  });
+}
+
+/**
+ * Merge text-only children into their parent, or into one another
+ * 
+ * Text already contained in the parent's name is dropped. Text containers
+ * such as paragraphs and headings absorb their text children, and runs of
+ * adjacent text siblings elsewhere become a single text line.
+ * 
+ * @param {Object[]} nodes - Outline nodes
+ * @param {Object|null} [parent=null] - Node the list belongs to
+ * @returns {Object[]} - Nodes with text merged
+ */
+function mergeTextNodes(nodes, parent = null) {
+  const merged = [];
+  
+  for (const node of nodes) {
+    node.children = mergeTextNodes(node.children, node);
+    
+    if (!isTextOnly(node)) {
+      merged.push(node);
+      continue;
+    }
+    
+    if (!node.text || (parent && parent.text.includes(node.text))) continue;
+    
+    if (parent && TEXT_CONTAINER_ROLES.has(getOutlineRole(parent.element))) {
+      parent.text = parent.text ? `${parent.text} ${node.text}` : node.text;
+      continue;
+    }
+    
+    const previous = merged[merged.length - 1];
+    if (previous && isTextOnly(previous)) {
+      previous.text = `${previous.text} ${node.text}`;
+      continue;
+    }
+    
+    merged.push(node);
+  }
+  
+  return merged;
+}
+
+/**
+ * Quote a string for an outline line
+ * @param {string} value - Text to quote
+ * @param {number} maxLength - Maximum length before truncation
+ * @returns {string} - JSON-quoted, possibly truncated text
+ */
+function quote(value, maxLength) {
+  const text = value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+  return JSON.stringify(text);
+}
+
+/**
+ * Format a single outline line
+ * @param {Object} node - Outline node
+ * @param {number} depth - Nesting depth
+ * @param {Object} options - Serialization options
+ * @returns {string} - The line, without a trailing newline
+ */
+function formatLine(node, depth, options) {
+  const { element } = node;
+  const role = getOutlineRole(element);
+  const parts = [`${options.indent.repeat(depth)}- ${role}`];
+  
+  if (node.text) parts.push(quote(node.text, options.maxTextLength));
+  
+  // Headings carry their level
+  const level = /^h([1-6])$/.exec(element.tag);
+  if (level) parts.push(`[level=${level[1]}]`);
+  
+  // Form values, unless they are what the name already says or carry no meaning
+  const value = element.attributes && element.attributes.value;
+  if (value && value !== node.text && !VALUELESS_TYPES.has(element.attributes.type)) {
+    parts.push(`value=${quote(String(value), options.maxTextLength)}`);
+  }
+  
+  for (const state of element.states || []) {
+    if (state !== 'focused' || options.includeFocus) parts.push(`[${state}]`);
+  }
+  
+  if (options.includeRefs && element.ref) parts.push(`[ref=${element.ref}]`);
+  
+  return parts.join(' ');
+}
+
+/**
+ * Serialize a snapshot into a compact text form for language models
+ * 
+ * The outline format emits one line per element, indented by nesting:
+ * 
+ *   - navigation
+ *     - link "Pricing" [ref=e4]
+ *   - textbox "Email" value="jo@example.com" [required] [ref=e9]
+ *   - button "Sign up" [disabled] [ref=e11]
+ * 
+ * Wrapper divs and spans without a role, name or state are collapsed into
+ * their children, and text-only children are merged into their parent.
+ * Elements pruned by a snapshot budget are listed as trailing comments.
+ * 
+ * @param {Object} snapshot - Snapshot from takeSnapshot
+ * @param {Object} [options={}] - Serialization options
+ * @param {string} [options.format='outline'] - Output format, currently only "outline"
+ * @param {boolean} [options.includeHeader=true] - Start with the page title and URL
+ * @param {boolean} [options.includeRefs=true] - Append element refs to lines
+ * @param {boolean} [options.includeFocus=false] - Mark the focused element
+ * @param {boolean} [options.collapseWrappers=true] - Collapse wrapper divs and spans
+ * @param {boolean} [options.mergeText=true] - Merge text-only children into their parent
+ * @param {number} [options.maxTextLength=80] - Maximum length of quoted text
+ * @param {string} [options.indent='  '] - Indentation per nesting level
+ * @returns {string} - Serialized snapshot
+ */
+export function serializeSnapshot(snapshot, options = {}) {
+  const {
+    format = 'outline',
+    includeHeader = true,
+    includeRefs = true,
+    includeFocus = false,
+    collapseWrappers: collapse = true,
+    mergeText = true,
+    maxTextLength = 80,
+    indent = '  '
+  } = options;
+  
+  if (format !== 'outline') {
+    throw new Error(`Unsupported snapshot format: ${format}`);
+  }
+  
+  if (!snapshot || !Array.isArray(snapshot.elements)) {
+    throw new Error('serializeSnapshot requires a snapshot from takeSnapshot');
+  }
+  
+  let nodes = buildOutlineTree(snapshot.elements);
+  if (collapse) nodes = collapseWrappers(nodes);
+  if (mergeText) nodes = mergeTextNodes(nodes);
+  
+  const lines = [];
+  
+  if (includeHeader) {
+    lines.push(`# ${snapshot.title ? `${snapshot.title} ` : ''}(${snapshot.url})`);
+  }
+  
+  const lineOptions = { includeRefs, includeFocus, maxTextLength, indent };
+  const walk = (list, depth) => {
+    for (const node of list) {
+      lines.push(formatLine(node, depth, lineOptions));
+      walk(node.children, depth + 1);
+    }
+  };
+  
+  walk(nodes, 0);
+  
+  // Say what a budgeted snapshot left out
+  if (snapshot.pruned) {
+    for (const group of snapshot.pruned.summary) {
+      lines.push(`# ${group.description}`);
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Find the snapshot elements a model response refers to
+ * 
+ * References are recognised, in order of appearance, as:
+ * - explicit refs: "[ref=e12]", "ref:e12", "ref=e4:e7"
+ * - bare refs like "e12", when the snapshot contains that ref
+ * - quoted outline lines such as `- button "Sign up"`, matched by role and name
+ * 
+ * @param {string} response - Text produced by the model
+ * @param {Object} snapshot - Snapshot the outline was serialized from
+ * @returns {Array<{ref: string, target: string, element: Object, match: string}>} -
+ *   Referenced elements, without duplicates; target can be passed to Perform
+ */
+export function parseSnapshotReferences(response, snapshot) {
+  if (typeof response !== 'string' || !snapshot || !Array.isArray(snapshot.elements)) return [];
+  
+  const byRef = new Map(snapshot.elements.filter(el => el.ref).map(el => [el.ref, el]));
+  const found = [];
+  
+  /**
+   * Record a reference at a position in the response
+   * @param {Object} element - Referenced snapshot element
+   * @param {string} match - Text that referenced it
+   * @param {number} index - Position in the response
+   */
+  const add = (element, match, index) => {
+    if (element && element.ref) found.push({ element, match, index });
+  };
+  
+  for (const match of response.matchAll(REF_MENTION_PATTERN)) {
+    add(byRef.get(match[1]), match[0], match.index);
+  }
+  
+  for (const match of response.matchAll(BARE_REF_PATTERN)) {
+    add(byRef.get(match[1]), match[0], match.index);
+  }
+  
+  // Quoted outline lines without a ref are matched by role and name
+  let offset = 0;
+  for (const line of response.split('\n')) {
+    const parsed = OUTLINE_LINE_PATTERN.exec(line);
+    
+    if (parsed && parsed[2] && !/\bref\s*[=:]/.test(line)) {
+      let name;
+      try {
+        name = JSON.parse(parsed[2]);
+      } catch (e) {
+        name = parsed[2].slice(1, -1);
+      }
+      
+      // Truncated names match by prefix, merged text by the element's own leading text
+      const prefix = name.endsWith('…') ? name.slice(0, -1) : name;
+      const candidates = snapshot.elements.filter(el => getOutlineRole(el) === parsed[1]);
+      const element = candidates.find(el => getOutlineName(el) === name) ||
+        candidates.find(el => getOutlineName(el).startsWith(prefix)) ||
+        candidates.find(el => getOutlineName(el) && name.startsWith(getOutlineName(el)));
+      
+      add(element, line.trim(), offset);
+    }
+    
+    offset += line.length + 1;
+  }
+  
+  // Report each element once, in order of first mention
+  const seen = new Set();
+  
+  return found
+    .sort((a, b) => a.index - b.index)
+    .filter(({ element }) => !seen.has(element.ref) && seen.add(element.ref))
+    .map(({ element, match }) => ({
+      ref: element.ref,
+      target: `${REF_PREFIX}${element.ref}`,
+      element,
+      match
+    }));
+}
@@ -0,0 +1,703 @@
+/**
+ * BrowserMagic DOM Tool Definitions
+ * 
+ * JSON Schema definitions of every tool method for LLM function calling
+ * (OpenAI, Anthropic or plain JSON Schema), and a dispatcher that validates
+ * a model's tool call against them and runs it.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import Navigate from './tools/navigate.js';
+import Extract from './tools/extract.js';
+import Visualize from './tools/visualize.js';
+import Perform from './tools/perform.js';
+
+/**
+ * Tools that can be called, by name
+ * @type {Object<string, Object>}
+ */
+const TOOLS = { Navigate, Extract, Visualize, Perform };
+
+/**
+ * Output formats of getToolDefinitions
+ * @type {string[]}
+ */
+const PROVIDERS = ['openai', 'anthropic', 'json-schema'];
+
+/**
+ * Schema of an element target
+ * @type {Object}
+ */
+const TARGET_SCHEMA = {
+  type: 'string',
+  description: 'Element reference from a snapshot ("ref:e12"), CSS selector or XPath'
+};
+
+/**
+ * Schema of the navigation wait options shared by Navigate methods
+ * @type {Object<string, Object>}
+ */
+const NAVIGATION_WAIT_PROPERTIES = {
+  waitUntil: {
+    type: 'string',
+    description: 'When the navigation counts as done: "commit" (URL changed), "domcontentloaded", "load", "networkidle" (no requests in flight for 500ms), "domstable" (no DOM changes for 500ms) or "selector:<css>" (element visible)',
+    default: 'load'
+  },
+  waitForLoad: { type: 'boolean', description: 'Wait for the page to fully load; same-document navigations resolve as soon as the URL changes', default: true },
+  timeout: { type: 'integer', minimum: 0, description: 'Maximum wait time in ms', default: 30000 }
+};
+
+/**
+ * Every tool method with its schema
+ * 
+ * `params` lists the properties passed as positional arguments, in order;
+ * all other properties are collected into the trailing options object.
+ * 
+ * @type {Array<{tool: string, method: string, description: string, params: string[], properties: Object, required?: string[]}>}
+ */
+const DEFINITIONS = [
+  {
+    tool: 'Navigate',
+    method: 'to',
+    description: 'Navigate the browser to a URL',
+    params: ['url'],
+    properties: {
+      url: { type: 'string', description: 'URL to navigate to, absolute or relative to the current page ("/orders", "?page=2", "#reviews")' },
+      query: { type: 'object', description: 'Query parameters to set on the URL, e.g. { "q": "shoes", "page": 2 }; null removes one' },
+      ...NAVIGATION_WAIT_PROPERTIES
+    },
+    required: ['url']
+  },
+  {
+    tool: 'Navigate',
+    method: 'history',
+    description: 'Go back or forward in the browser history, jump to a history entry, or reload the page',
+    params: ['direction'],
+    properties: {
+      direction: { type: 'string', enum: ['back', 'forward', 'go', 'refresh'], description: 'Direction to navigate' },
+      delta: { type: 'integer', description: 'For "go": entries to move, negative for back' },
+      index: { type: 'integer', minimum: 0, description: 'For "go": index of the history entry to jump to, from navigate_get_state' },
+      ...NAVIGATION_WAIT_PROPERTIES
+    },
+    required: ['direction']
+  },
+  {
+    tool: 'Navigate',
+    method: 'getState',
+    description: 'Get the current URL, title and session history: entries with URLs and titles, the current index, and whether going back or forward is possible',
+    params: [],
+    properties: {
+      includeEntries: { type: 'boolean', description: 'Include the session history entries', default: true }
+    }
+  },
+  {
+    tool: 'Extract',
+    method: 'elements',
+    description: 'Find elements by CSS selector, XPath or text and extract their data',
+    params: ['query'],
+    properties: {
+      query: { type: 'string', description: 'CSS selector, XPath, or text pattern' },
+      queryType: { type: 'string', enum: ['css', 'xpath', 'text'], description: 'How to interpret the query', default: 'css' },
+      visible: { type: 'boolean', description: 'Only return visible elements', default: true },
+      inViewport: { type: 'boolean', description: 'Only return elements in the viewport', default: false },
+      limit: { type: 'integer', minimum: 1, description: 'Maximum number of results to return', default: 50 },
+      includeFrames: { type: 'boolean', description: 'Also search same-origin iframes', default: true },
+      extract: {
+        type: 'object',
+        description: 'What to extract from each element',
+        properties: {
+          text: { type: 'boolean', description: 'Extract text content', default: true },
+          html: { type: 'boolean', description: 'Extract HTML content', default: false },
+          attributes: { type: 'array', items: { type: 'string' }, description: 'Element attributes to extract' },
+          styles: { type: 'array', items: { type: 'string' }, description: 'CSS properties to extract' },
+          state: { type: 'boolean', description: 'Extract form element state', default: false }
+        },
+        additionalProperties: false
+      }
+    },
+    required: ['query']
+  },
+  {
+    tool: 'Extract',
+    method: 'forms',
+    description: 'List every form and formless field group with its fields: label, type, name, required, current value, options and ref',
+    params: [],
+    properties: {
+      visible: { type: 'boolean', description: 'Only include visible fields', default: true },
+      includeFrames: { type: 'boolean', description: 'Also search same-origin iframes', default: true }
+    }
+  },
+  {
+    tool: 'Extract',
+    method: 'console',
+    description: 'List console messages, uncaught exceptions and unhandled promise rejections captured since the console capture was started (latest 500), with level, message, stack, location and timestamp',
+    params: [],
+    properties: {
+      since: { type: 'string', description: 'Only entries recorded at or after this ISO timestamp' },
+      level: { type: 'string', enum: ['debug', 'log', 'info', 'warn', 'error'], description: 'Minimum level; exceptions and rejections are "error"' },
+      source: {
+        type: ['string', 'array'],
+        items: { type: 'string', enum: ['console', 'exception', 'rejection'] },
+        description: 'Entry source, or several'
+      },
+      limit: { type: 'integer', minimum: 1, description: 'Maximum number of entries to return, the most recent', default: 100 }
+    }
+  },
+  {
+    tool: 'Extract',
+    method: 'network',
+    description: 'List the network requests (fetch, XHR, beacons, WebSockets) recorded since the network monitor was started, with method, URL, state, status, timing and size, plus how many are still in flight',
+    params: [],
+    properties: {
+      filter: {
+        type: 'object',
+        description: 'Only requests matching every given field',
+        properties: {
+          url: { type: 'string', description: 'Substring of the URL, or a URL with "*" wildcards' },
+          method: { type: 'string', description: 'HTTP method, e.g. "POST"' },
+          type: {
+            type: ['string', 'array'],
+            items: { type: 'string', enum: ['fetch', 'xhr', 'beacon', 'websocket'] },
+            description: 'Request type, or several'
+          },
+          state: {
+            type: ['string', 'array'],
+            items: { type: 'string', enum: ['pending', 'complete', 'failed', 'aborted', 'open', 'closed'] },
+            description: 'Request state, or several'
+          },
+          status: {
+            type: ['number', 'object'],
+            description: 'Status code: exact, or { min, max }',
+            properties: {
+              min: { type: 'number' },
+              max: { type: 'number' }
+            }
+          },
+          since: { type: 'string', description: 'Only requests started at or after this ISO timestamp' }
+        },
+        additionalProperties: false
+      },
+      limit: { type: 'integer', minimum: 1, description: 'Maximum number of requests to return, the most recent', default: 100 }
+    }
+  },
+  {
+    tool: 'Extract',
+    method: 'pageInfo',
+    description: 'Get page metadata, element counts, viewport and document sizes',
+    params: [],
+    properties: {}
+  },
+  {
+    tool: 'Visualize',
+    method: 'screenshot',
+    description: 'Take a screenshot of the page or of one element',
+    params: [],
+    properties: {
+      element: { type: 'string', description: 'CSS selector of a specific element' },
+      fullPage: { type: 'boolean', description: 'Capture the entire page, not just the viewport', default: false }
+    }
+  },
+  {
+    tool: 'Visualize',
+    method: 'accessibilityTree',
+    description: 'Get the accessibility tree with roles, names, descriptions and states',
+    params: [],
+    properties: {
+      root: { type: 'string', description: 'CSS selector of the tree root', default: 'body' },
+      depth: { type: 'integer', minimum: 1, description: 'Maximum tree depth', default: 3 }
+    }
+  },
+  {
+    tool: 'Visualize',
+    method: 'domStructure',
+    description: 'Get the DOM structure with tags, key attributes and short text',
+    params: [],
+    properties: {
+      root: { type: 'string', description: 'CSS selector of the structure root', default: 'body' },
+      depth: { type: 'integer', minimum: 1, description: 'Maximum depth to traverse', default: 5 }
+    }
+  },
+  {
+    tool: 'Visualize',
+    method: 'snapshot',
+    description: 'Take a snapshot of the key elements on the page, each with a ref usable as an action target',
+    params: [],
+    properties: {
+      includeTitle: { type: 'boolean', default: true },
+      includeMetadata: { type: 'boolean', default: true },
+      includeViewportInfo: { type: 'boolean', default: true },
+      captureOutOfViewport: { type: 'boolean', description: 'Include elements outside the viewport', default: true },
+      includePosition: { type: 'boolean', default: true },
+      includeShadowDOM: { type: 'boolean', default: true },
+      includeFrames: { type: 'boolean', description: 'Descend into same-origin iframes', default: true },
+      includeAccessibility: { type: 'boolean', description: 'Include roles, names and states', default: true },
+      elementFilter: { type: 'array', items: { type: 'string' }, description: 'Tag names to include instead of the defaults' },
+      textTruncateLength: { type: 'integer', minimum: 1, default: 60 },
+      maxElements: { type: 'integer', minimum: 1, description: 'Maximum number of elements to keep' },
+      maxTokens: { type: 'integer', minimum: 1, description: 'Approximate token budget for the elements' }
+    }
+  },
+  {
+    tool: 'Perform',
+    method: 'click',
+    description: 'Click an element',
+    params: ['target'],
+    properties: {
+      target: TARGET_SCHEMA,
+      waitForNavigation: { type: 'boolean', description: 'Wait for a resulting navigation, full page load or client-side route change', default: false },
+      waitForSelector: { type: 'string', description: 'Wait for this selector to appear after the click' },
+      rightClick: { type: 'boolean', description: 'Right-click instead of left-click', default: false },
+      button: { type: 'string', enum: ['left', 'middle', 'right'], description: 'Mouse button', default: 'left' },
+      doubleClick: { type: 'boolean', description: 'Perform a double-click', default: false },
+      modifiers: {
+        type: 'array',
+        items: { type: 'string', enum: ['Alt', 'Control', 'Meta', 'Shift'] },
+        description: 'Modifier keys to hold during the click'
+      },
+      position: {
+        type: 'object',
+        description: "Click offset from the element's top-left corner, the center by default",
+        properties: { x: { type: 'number' }, y: { type: 'number' } },
+        required: ['x', 'y'],
+        additionalProperties: false
+      },
+      force: { type: 'boolean', description: 'Skip the visible/enabled/stable/not-obscured checks', default: false },
+      actionTimeout: { type: 'integer', minimum: 0, description: 'How long to wait for the element to become clickable in ms', default: 5000 },
+      timeout: { type: 'integer', minimum: 0, description: 'Timeout for waits in ms', default: 30000 }
+    },
+    required: ['target']
+  },
+  {
+    tool: 'Perform',
+    method: 'type',
+    description: 'Type text into an input, textarea or contenteditable element one key press at a time; "\\n" presses Enter',
+    params: ['target', 'text'],
+    properties: {
+      target: TARGET_SCHEMA,
+      text: { type: 'string', description: 'Text to type' },
+      clear: { type: 'boolean', description: 'Clear the field before typing', default: true },
+      delay: { type: 'integer', minimum: 0, description: 'Delay between keystrokes in ms', default: 0 },
+      verify: { type: 'boolean', description: 'Read the value back and fail if the page rejected it', default: true }
+    },
+    required: ['target', 'text']
+  },
+  {
+    tool: 'Perform',
+    method: 'press',
+    description: 'Press a key or key combination such as "Enter", "Escape" or "Control+a", running its default action',
+    params: ['target', 'keys'],
+    properties: {
+      target: { ...TARGET_SCHEMA, description: 'Element to press the keys on, the focused element by default' },
+      keys: {
+        type: ['string', 'array'],
+        items: { type: 'string' },
+        description: 'Key names as in KeyboardEvent.key joined with "+", or several combinations pressed in order'
+      },
+      count: { type: 'integer', minimum: 1, description: 'Number of times to press each combination', default: 1 },
+      delay: { type: 'integer', minimum: 0, description: 'Delay between presses in ms', default: 0 }
+    },
+    required: ['keys']
+  },
+  {
+    tool: 'Perform',
+    method: 'select',
+    description: 'Select one or more options of a <select> element',
+    params: ['target', 'value'],
+    properties: {
+      target: TARGET_SCHEMA,
+      value: {
+        type: ['string', 'array'],
+        items: { type: 'string' },
+        description: 'Option value, or several values when multiple is set'
+      },
+      byText: { type: 'boolean', description: 'Match option text instead of value', default: false },
+      multiple: { type: 'boolean', description: 'Allow multiple selections', default: false }
+    },
+    required: ['target', 'value']
+  },
+  {
+    tool: 'Perform',
+    method: 'hover',
+    description: 'Move the pointer over an element',
+    params: ['target'],
+    properties: {
+      target: TARGET_SCHEMA,
+      duration: { type: 'integer', minimum: 0, description: 'How long to hover in ms', default: 0 }
+    },
+    required: ['target']
+  },
+  {
+    tool: 'Perform',
+    method: 'drag',
+    description: 'Drag an element onto another element or to viewport coordinates, e.g. to reorder cards or move a slider',
+    params: ['source', 'target'],
+    properties: {
+      source: { ...TARGET_SCHEMA, description: 'Element to drag: snapshot reference ("ref:e12"), CSS selector or XPath' },
+      target: {
+        type: ['string', 'object'],
+        description: 'Drop target element (reference, CSS selector or XPath), or {x, y} viewport coordinates',
+        properties: { x: { type: 'number' }, y: { type: 'number' } },
+        required: ['x', 'y'],
+        additionalProperties: false
+      },
+      mode: {
+        type: 'string',
+        enum: ['auto', 'html5', 'pointer'],
+        description: 'html5 drag and drop events, or pointer press/move/release; auto picks html5 for draggable elements',
+        default: 'auto'
+      },
+      sourcePosition: {
+        type: 'object',
+        description: "Grab offset from the source's top-left corner, the center by default",
+        properties: { x: { type: 'number' }, y: { type: 'number' } },
+        required: ['x', 'y'],
+        additionalProperties: false
+      },
+      targetPosition: {
+        type: 'object',
+        description: "Drop offset from the target's top-left corner, the center by default",
+        properties: { x: { type: 'number' }, y: { type: 'number' } },
+        required: ['x', 'y'],
+        additionalProperties: false
+      },
+      steps: { type: 'integer', minimum: 1, description: 'Number of intermediate pointer moves', default: 10 },
+      delay: { type: 'integer', minimum: 0, description: 'Delay between moves in ms', default: 0 },
+      modifiers: {
+        type: 'array',
+        items: { type: 'string', enum: ['Alt', 'Control', 'Meta', 'Shift'] },
+        description: 'Modifier keys to hold during the drag'
+      },
+      force: { type: 'boolean', description: 'Skip the visible/stable/not-obscured checks on the source', default: false },
+      actionTimeout: { type: 'integer', minimum: 0, description: 'How long to wait for the source to become actionable in ms', default: 5000 }
+    },
+    required: ['source', 'target']
+  },
+  {
+    tool: 'Perform',
+    method: 'upload',
+    description: 'Upload files to an <input type="file"> or drop them onto a drop zone',
+    params: ['target', 'files'],
+    properties: {
+      target: TARGET_SCHEMA,
+      files: {
+        type: 'array',
+        description: 'Files to upload, each with text content or base64 content',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'File name, e.g. "report.csv"' },
+            mimeType: { type: 'string', description: 'MIME type, guessed from the extension by default' },
+            content: { type: 'string', description: 'Text content' },
+            base64: { type: 'string', description: 'Binary content, base64-encoded' }
+          },
+          required: ['name'],
+          additionalProperties: false
+        }
+      },
+      append: { type: 'boolean', description: 'Keep files already selected in a multiple input', default: false }
+    },
+    required: ['target', 'files']
+  },
+  {
+    tool: 'Perform',
+    method: 'check',
+    description: 'Check a checkbox, radio button or switch; does nothing if it is already checked',
+    params: ['target'],
+    properties: {
+      target: { ...TARGET_SCHEMA, description: 'The control, its label or a wrapper around it: snapshot reference ("ref:e12"), CSS selector or XPath' },
+      force: { type: 'boolean', description: 'Skip the visible/enabled/stable/not-obscured checks', default: false }
+    },
+    required: ['target']
+  },
+  {
+    tool: 'Perform',
+    method: 'uncheck',
+    description: 'Uncheck a checkbox or switch; does nothing if it is already unchecked',
+    params: ['target'],
+    properties: {
+      target: { ...TARGET_SCHEMA, description: 'The control, its label or a wrapper around it: snapshot reference ("ref:e12"), CSS selector or XPath' },
+      force: { type: 'boolean', description: 'Skip the visible/enabled/stable/not-obscured checks', default: false }
+    },
+    required: ['target']
+  },
+  {
+    tool: 'Perform',
+    method: 'setChecked',
+    description: 'Set a checkbox, radio button or switch to checked or unchecked, and confirm the final state',
+    params: ['target', 'checked'],
+    properties: {
+      target: { ...TARGET_SCHEMA, description: 'The control, its label or a wrapper around it: snapshot reference ("ref:e12"), CSS selector or XPath' },
+      checked: { type: 'boolean', description: 'Wanted state' },
+      force: { type: 'boolean', description: 'Skip the visible/enabled/stable/not-obscured checks', default: false }
+    },
+    required: ['target', 'checked']
+  },
+  {
+    tool: 'Perform',
+    method: 'fillForm',
+    description: 'Fill several form fields in one call, matching keys to fields by label, name or placeholder, and optionally submit',
+    params: ['target', 'values'],
+    properties: {
+      target: { ...TARGET_SCHEMA, description: 'Form or field container: snapshot reference ("ref:e12"), CSS selector or XPath; the whole page by default' },
+      values: {
+        type: 'object',
+        description: 'Values by field label, name, placeholder or ref: strings for text fields and selects, true/false for checkboxes, option value or label for radio groups, file lists for file inputs'
+      },
+      submit: { type: 'boolean', description: 'Submit the form once every field is filled', default: false }
+    },
+    required: ['values']
+  },
+  {
+    tool: 'Perform',
+    method: 'waitFor',
+    description: 'Wait until a condition holds: an element state, text, field value, URL, element count, a quiet DOM or an idle network. On timeout, reports which parts did not hold and what was last observed',
+    params: ['condition'],
+    properties: {
+      condition: {
+        type: 'object',
+        description: 'Condition to wait for; every given part must hold. A target alone waits for it to be visible',
+        properties: {
+          target: { ...TARGET_SCHEMA, description: 'Element: snapshot reference ("ref:e12"), CSS selector or XPath' },
+          state: { type: 'string', enum: ['attached', 'detached', 'visible', 'hidden', 'enabled', 'disabled'], description: 'Wanted state of the target' },
+          text: { type: 'string', description: 'Text the target (or the page, without a target) must contain' },
+          pattern: { type: 'string', description: 'Regular expression the target or page text must match, instead of text' },
+          flags: { type: 'string', description: 'Flags for pattern, e.g. "i"' },
+          value: { type: 'string', description: 'Value the target field must have' },
+          url: { type: 'string', description: 'Substring of the URL, or a URL with "*" wildcards' },
+          urlChanged: { type: 'boolean', description: 'Wait for the URL to change from its current value' },
+          count: {
+            type: ['number', 'object'],
+            description: 'Number of elements matching the target: exact, or { min, max }',
+            properties: {
+              min: { type: 'number' },
+              max: { type: 'number' }
+            }
+          },
+          domQuiet: { type: 'number', description: 'Milliseconds the DOM must go without changes', minimum: 0 },
+          networkIdle: { type: ['boolean', 'number'], description: 'Milliseconds the network must go without requests in flight, or true for 500', minimum: 0 }
+        }
+      },
+      timeout: { type: 'number', description: 'Maximum wait in ms', default: 30000 },
+      polling: { type: ['string', 'number'], description: '"raf" (every animation frame), "mutation" (on DOM changes) or an interval in ms', default: 'raf' }
+    },
+    required: ['condition']
+  },
+  {
+    tool: 'Perform',
+    method: 'scroll',
+    description: 'Scroll an element into view, or scroll the window to a position',
+    params: [],
+    properties: {
+      target: TARGET_SCHEMA,
+      x: { type: 'number', description: 'Horizontal scroll position' },
+      y: { type: 'number', description: 'Vertical scroll position' },
+      behavior: { type: 'string', enum: ['auto', 'smooth'], default: 'smooth' }
+    }
+  }
+];
+
+/**
+ * Get the function-calling name of a tool method
+ * @param {Object} definition - Entry of DEFINITIONS
+ * @returns {string} - Name such as "perform_click" or "visualize_accessibility_tree"
+ */
+function getToolName(definition) {
+  const method = definition.method.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  return `${definition.tool.toLowerCase()}_${method}`;
+}
+
+/**
+ * Build the JSON Schema of a tool method's arguments
+ * @param {Object} definition - Entry of DEFINITIONS
+ * @returns {Object} - JSON Schema of the arguments object
+ */
+function getParametersSchema(definition) {
+  return {
+    type: 'object',
+    properties: definition.properties,
+    required: definition.required || [],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Find a definition by function-calling name ("perform_click") or path ("Perform.click")
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} - Entry of DEFINITIONS
+ */
+function findDefinition(name) {
+  return DEFINITIONS.find(definition =>
+    getToolName(definition) === name || `${definition.tool}.${definition.method}` === name);
+}
+
+/**
+ * Get JSON Schema tool definitions for LLM function calling
+ * 
+ * @param {Object} [options] - Definition options
+ * @param {string} [options.provider='openai'] - Format: "openai", "anthropic" or "json-schema"
+ * @param {string[]} [options.tools] - Limit to these tools ("Perform") or methods ("Perform.click", "perform_click")
+ * @returns {Object[]} Tool definitions in the provider's format
+ */
+export function getToolDefinitions(options = {}) {
+  const {
+    provider = 'openai',
+    tools = null
+  } = options;
+  
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown provider: ${provider}. Must be one of: ${PROVIDERS.join(', ')}`);
+  }
+  
+  const selected = tools
+    ? DEFINITIONS.filter(definition => tools.some(tool => tool === definition.tool ||
+      tool === `${definition.tool}.${definition.method}` || tool === getToolName(definition)))
+    : DEFINITIONS;
+  
+  return selected.map(definition => {
+    const name = getToolName(definition);
+    const parameters = getParametersSchema(definition);
+    
+    switch (provider) {
+      case 'openai':
+        return {
+          type: 'function',
+          function: { name, description: definition.description, parameters }
+        };
+      case 'anthropic':
+        return { name, description: definition.description, input_schema: parameters };
+      default:
+        return { name, description: definition.description, parameters };
+    }
+  });
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} - "null", "array", "integer", "number", "string", "boolean" or "object"
+ */
+function getSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by the definitions
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location of the value, for error messages
+ * @param {string[]} errors - Collected error messages
+ */
+function validateValue(value, schema, path, errors) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = getSchemaType(value);
+  
+  // Integers are numbers too
+  if (schema.type && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    errors.push(`${path} must be ${types.join(' or ')}, got ${actual}`);
+    return;
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+  
+  if (actual === 'object' && schema.properties) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+    }
+    
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      
+      if (schema.properties[name]) {
+        validateValue(propertyValue, schema.properties[name], `${path}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not a known argument`);
+      }
+    }
+  }
+}
+
+/**
+ * Execute a tool call produced by a model
+ * 
+ * Accepts the call as { name, arguments } (arguments as an object or a
+ * JSON string, as OpenAI sends them), { name, input } (Anthropic tool_use
+ * blocks) or { function: { name, arguments } }.
+ * 
+ * @param {Object} call - Tool call
+ * @returns {Promise<{name: string, success: boolean, result: Object, content: string}>}
+ *   Tool result, with content holding the result serialized for the model
+ */
+export async function executeToolCall(call) {
+  const source = call && call.function ? call.function : call || {};
+  const name = source.name;
+  
+  /**
+   * Wrap a tool result for the caller
+   * @param {Object} result - Result object
+   * @returns {Object} - Tool call result
+   */
+  const respond = result => ({
+    name,
+    success: result.success,
+    result,
+    content: JSON.stringify(result)
+  });
+  
+  const definition = findDefinition(name);
+  
+  if (!definition) {
+    return respond({ success: false, error: `Unknown tool: ${name}` });
+  }
+  
+  let args = source.arguments !== undefined ? source.arguments : source.input;
+  
+  if (typeof args === 'string') {
+    try {
+      args = args.trim() ? JSON.parse(args) : {};
+    } catch (error) {
+      return respond({ success: false, error: `Invalid arguments for ${name}: ${error.message}` });
+    }
+  }
+  
+  if (args === undefined || args === null) args = {};
+  
+  const errors = [];
+  validateValue(args, getParametersSchema(definition), 'arguments', errors);
+  
+  if (errors.length > 0) {
+    return respond({
+      success: false,
+      error: `Invalid arguments for ${name}: ${errors.join('; ')}`,
+      data: { errors }
+    });
+  }
+  
+  // Positional parameters first, everything else as the options object
+  const options = { ...args };
+  const positional = definition.params.map(param => {
+    delete options[param];
+    return args[param];
+  });
+  
+  try {
+    const result = await TOOLS[definition.tool][definition.method](...positional, options);
+    return respond(result);
+  } catch (error) {
+    return respond({ success: false, error: `${name} failed: ${error.message}` });
+  }
+}
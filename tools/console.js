@@ -0,0 +1,402 @@
+/**
+ * BrowserMagic DOM - Console Capture
+ * 
+ * Opt-in record of console.* calls, uncaught exceptions and unhandled
+ * promise rejections in a bounded ring buffer, so an agent can see what
+ * the page logged and which errors an action raised even when the action
+ * itself succeeded. Console.start() wraps the current window's console
+ * and listens for its error events; anything logged before that is not
+ * seen. The library logs its own errors past the capture, so they are
+ * never reported as page errors.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { 
+  createSuccessResult,
+  createErrorResult
+} from './utils.js';
+
+/**
+ * Console methods captured, from least to most severe
+ * @type {string[]}
+ */
+const CONSOLE_LEVELS = ['debug', 'log', 'info', 'warn', 'error'];
+
+/**
+ * Where entries come from
+ * @type {string[]}
+ */
+const ENTRY_SOURCES = ['console', 'exception', 'rejection'];
+
+/**
+ * Most entries the buffer keeps; older ones are overwritten
+ * @type {number}
+ */
+const BUFFER_CAPACITY = 500;
+
+/**
+ * Longest message kept, in characters
+ * @type {number}
+ */
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Most error summaries attached to an action result
+ * @type {number}
+ */
+const MAX_SUMMARIES = 5;
+
+/**
+ * Ring buffer of entries; entry n lives at (n - 1) % BUFFER_CAPACITY
+ * @type {Array<Object>}
+ */
+const buffer = new Array(BUFFER_CAPACITY);
+
+// Id of the next entry; ids start at 1 and never repeat
+let nextEntryId = 1;
+
+// Id of the first entry since the buffer was last cleared
+let firstEntryId = 1;
+
+/**
+ * Running capture: the console it wrapped and the methods it replaced, by level
+ * @type {Object|null}
+ */
+let capture = null;
+
+/**
+ * Shorten text to the message limit
+ * @param {string} text - Text to shorten
+ * @returns {string} - At most MAX_MESSAGE_LENGTH characters
+ */
+function truncate(text) {
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.substring(0, MAX_MESSAGE_LENGTH)}...` : text;
+}
+
+/**
+ * Describe a logged value the way a console would print it on one line
+ * @param {*} value - Logged value
+ * @returns {string} - Text for the value
+ */
+function describeValue(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (typeof value === 'function') return `function ${value.name || '(anonymous)'}`;
+  if (typeof value === 'symbol' || typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return String(value);
+  
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    const id = value.id ? `#${value.id}` : '';
+    const classes = typeof value.className === 'string' && value.className.trim()
+      ? `.${value.className.trim().split(/\s+/).join('.')}`
+      : '';
+    return `<${value.tagName.toLowerCase()}${id}${classes}>`;
+  }
+  
+  try {
+    const json = JSON.stringify(value);
+    if (json !== undefined) return json;
+  } catch (e) {
+    // Circular or otherwise unserializable
+  }
+  
+  return Object.prototype.toString.call(value);
+}
+
+/**
+ * Get the stack of an error value
+ * @param {*} value - Thrown or rejected value
+ * @returns {string|null} - Stack trace, or null if it has none
+ */
+function getStack(value) {
+  return value && typeof value.stack === 'string' ? truncate(value.stack) : null;
+}
+
+/**
+ * Add an entry to the buffer
+ * @param {Object} fields - Entry fields: level, source, message, stack and location
+ */
+function record(fields) {
+  const id = nextEntryId++;
+  
+  buffer[(id - 1) % BUFFER_CAPACITY] = {
+    id,
+    level: fields.level,
+    source: fields.source,
+    message: truncate(fields.message),
+    stack: fields.stack || null,
+    location: fields.location || null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Count the entries the buffer holds
+ * @returns {number} - Entries recorded since the last clear, at most the capacity
+ */
+function getRecordedCount() {
+  return Math.min(nextEntryId - firstEntryId, BUFFER_CAPACITY);
+}
+
+/**
+ * Record an uncaught exception
+ * @param {ErrorEvent} event - Error event fired on the window
+ */
+function handleError(event) {
+  const location = event.filename
+    ? `${event.filename}:${event.lineno || 0}:${event.colno || 0}`
+    : null;
+  
+  record({
+    level: 'error',
+    source: 'exception',
+    message: event.message || describeValue(event.error),
+    stack: getStack(event.error),
+    location
+  });
+}
+
+/**
+ * Record an unhandled promise rejection
+ * @param {PromiseRejectionEvent} event - Rejection event fired on the window
+ */
+function handleRejection(event) {
+  record({
+    level: 'error',
+    source: 'rejection',
+    message: `Unhandled rejection: ${describeValue(event.reason)}`,
+    stack: getStack(event.reason)
+  });
+}
+
+/**
+ * Get the id of the last entry recorded, to find the entries that come after it
+ * @returns {number} - Entry id, 0 before the first entry
+ */
+export function getConsoleCursor() {
+  return nextEntryId - 1;
+}
+
+/**
+ * Get the buffered entries that match a filter
+ * 
+ * @param {Object} [filter={}] - Entry filter
+ * @param {string} [filter.level] - Minimum level: "debug", "log", "info", "warn" or "error"
+ * @param {string|string[]} [filter.source] - "console", "exception" or "rejection"
+ * @param {string} [filter.since] - Only entries recorded at or after this ISO timestamp
+ * @param {number} [filter.afterId] - Only entries recorded after this one
+ * @returns {{entries: Array<Object>, dropped: number}}
+ *   Copies of the matching entries, oldest first, and how many entries were overwritten since the buffer was cleared
+ */
+export function getConsoleEntries(filter = {}) {
+  const {
+    level,
+    source,
+    since,
+    afterId = 0
+  } = filter;
+  
+  if (level !== undefined && !CONSOLE_LEVELS.includes(level)) {
+    throw new Error(`Invalid level: ${level}. Must be one of: ${CONSOLE_LEVELS.join(', ')}`);
+  }
+  
+  const sources = source === undefined ? ENTRY_SOURCES : [].concat(source);
+  for (const value of sources) {
+    if (!ENTRY_SOURCES.includes(value)) {
+      throw new Error(`Invalid source: ${value}. Must be one of: ${ENTRY_SOURCES.join(', ')}`);
+    }
+  }
+  
+  const sinceTime = since === undefined ? null : new Date(since).getTime();
+  if (sinceTime !== null && isNaN(sinceTime)) {
+    throw new Error(`Invalid since: ${since}`);
+  }
+  
+  const minimum = level === undefined ? 0 : CONSOLE_LEVELS.indexOf(level);
+  const dropped = Math.max(nextEntryId - firstEntryId - BUFFER_CAPACITY, 0);
+  const entries = [];
+  
+  for (let id = Math.max(firstEntryId + dropped, afterId + 1); id < nextEntryId; id++) {
+    const entry = buffer[(id - 1) % BUFFER_CAPACITY];
+    
+    if (CONSOLE_LEVELS.indexOf(entry.level) < minimum) continue;
+    if (!sources.includes(entry.source)) continue;
+    if (sinceTime !== null && new Date(entry.timestamp).getTime() < sinceTime) continue;
+    
+    entries.push({ ...entry });
+  }
+  
+  return { entries, dropped };
+}
+
+/**
+ * Summarize the errors recorded after a cursor, for an action result
+ * 
+ * Counts console.error calls, uncaught exceptions and unhandled rejections.
+ * 
+ * @param {number} cursor - Value of getConsoleCursor() when the action started
+ * @returns {{count: number, summary: string[]}} - Number of errors and a line for each of the first few
+ */
+export function summarizeErrors(cursor) {
+  const { entries } = getConsoleEntries({ level: 'error', afterId: cursor });
+  
+  return {
+    count: entries.length,
+    summary: entries.slice(0, MAX_SUMMARIES).map(entry => {
+      const line = entry.location ? `${entry.message} (${entry.location})` : entry.message;
+      return line.length > 200 ? `${line.substring(0, 200)}...` : line;
+    })
+  };
+}
+
+/**
+ * Log an error of the library itself, past the capture
+ * 
+ * The library's own failures (an XPath that did not evaluate, a throwing
+ * callback) are not the page's errors and must not show up in pageErrors.
+ * 
+ * @param {...*} args - Values to log, as for console.error
+ */
+export function logLibraryError(...args) {
+  const log = capture && capture.replaced.error ? capture.replaced.error.original : console.error;
+  log.apply(console, args);
+}
+
+/**
+ * Check whether console capture is running
+ * @returns {boolean} - Whether Console.start() was called and not stopped
+ */
+export function isConsoleCapturing() {
+  return capture !== null;
+}
+
+/**
+ * Start capturing the page's console calls and runtime errors
+ * 
+ * Call it as early as possible: anything logged before it is not seen.
+ * 
+ * @returns {Object} Result with the capture status
+ */
+function start() {
+  try {
+    if (capture) {
+      return createSuccessResult({ capturing: true, alreadyRunning: true, capacity: BUFFER_CAPACITY });
+    }
+    
+    const replaced = {};
+    const pageConsole = window.console;
+    
+    for (const level of CONSOLE_LEVELS) {
+      const original = pageConsole && pageConsole[level];
+      if (typeof original !== 'function') continue;
+      
+      const wrapper = function (...args) {
+        try {
+          const error = args.find(arg => arg instanceof Error);
+          
+          record({
+            level,
+            source: 'console',
+            message: args.map(describeValue).join(' '),
+            stack: level === 'error' ? getStack(error) : null
+          });
+        } catch (e) {
+          // Never let capture break the page's logging
+        }
+        
+        return original.apply(this, args);
+      };
+      
+      replaced[level] = { original, wrapper };
+      pageConsole[level] = wrapper;
+    }
+    
+    window.addEventListener('error', handleError);
+    window.addEventListener('unhandledrejection', handleRejection);
+    
+    capture = { console: pageConsole, replaced };
+    
+    return createSuccessResult({
+      capturing: true,
+      alreadyRunning: false,
+      capacity: BUFFER_CAPACITY,
+      levels: Object.keys(replaced)
+    });
+  } catch (error) {
+    return createErrorResult(`Failed to start console capture: ${error.message}`);
+  }
+}
+
+/**
+ * Stop capturing console calls and runtime errors
+ * 
+ * The page's console methods are put back unless the page replaced them
+ * again in the meantime; those wrappers then keep recording until then.
+ * Captured entries are kept until clear().
+ * 
+ * @returns {Object} Result with the number of entries kept
+ */
+function stop() {
+  try {
+    if (!capture) {
+      return createSuccessResult({ capturing: false, wasRunning: false, recorded: getRecordedCount() });
+    }
+    
+    for (const [level, { original, wrapper }] of Object.entries(capture.replaced)) {
+      if (capture.console[level] === wrapper) capture.console[level] = original;
+    }
+    
+    window.removeEventListener('error', handleError);
+    window.removeEventListener('unhandledrejection', handleRejection);
+    capture = null;
+    
+    return createSuccessResult({ capturing: false, wasRunning: true, recorded: getRecordedCount() });
+  } catch (error) {
+    return createErrorResult(`Failed to stop console capture: ${error.message}`);
+  }
+}
+
+/**
+ * Forget the captured entries
+ * 
+ * @returns {Object} Result with the number of entries removed
+ */
+function clear() {
+  try {
+    const cleared = getRecordedCount();
+    
+    firstEntryId = nextEntryId;
+    buffer.fill(undefined);
+    
+    return createSuccessResult({ cleared });
+  } catch (error) {
+    return createErrorResult(`Failed to clear console entries: ${error.message}`);
+  }
+}
+
+/**
+ * Get the capture status
+ * 
+ * @returns {Object} Result with whether it runs and how many entries the buffer holds
+ */
+function status() {
+  try {
+    return createSuccessResult({
+      capturing: capture !== null,
+      recorded: getRecordedCount(),
+      capacity: BUFFER_CAPACITY
+    });
+  } catch (error) {
+    return createErrorResult(`Failed to read console capture status: ${error.message}`);
+  }
+}
+
+// Export the Console tool
+export default {
+  start,
+  stop,
+  clear,
+  status
+};
@@ -9,7 +9,14 @@
  */
 
 import { 
+  FRAME_DOCUMENT_SEGMENT,
+  findElementByXPath,
+  getAccessibleDocuments,
+  getElementRect,
+  getElementRef,
+  getFramePath,
   getXPath,
+  SHADOW_ROOT_SEGMENT,
   takeSnapshot
 } from '../core.js';
 
@@ -22,6 +29,23 @@ import {
   getViewportInfo
 } from './utils.js';
 
+import { 
+  getFormFields,
+  getSubmitButtons
+} from './forms.js';
+
+import { 
+  getConsoleEntries,
+  isConsoleCapturing
+} from './console.js';
+
+import { 
+  getNetworkActivity,
+  getNetworkRequests
+} from './network.js';
+
+import { getAccessibleName } from '../aria.js';
+
 /**
  * Extract elements and data from the DOM
  * 
@@ -31,6 +55,7 @@ import {
  * @param {boolean} [options.visible=true] - Only return visible elements
  * @param {boolean} [options.inViewport=false] - Only return elements in viewport
  * @param {number} [options.limit=50] - Maximum number of results to return
+ * @param {boolean} [options.includeFrames=true] - Also search same-origin iframes
  * @param {Object} [options.extract] - What to extract from elements
  * @param {boolean} [options.extract.text=true] - Extract text content
  * @param {boolean} [options.extract.html=false] - Extract HTML content
@@ -46,6 +71,7 @@ function elements(query, options = {}) {
       visible = true,
       inViewport = false,
       limit = 50,
+      includeFrames = true,
       extract = {
         text: true,
         html: false,
@@ -55,40 +81,59 @@ function elements(query, options = {}) {
       }
     } = options;
     
+    // Documents to search: the top document plus same-origin frames
+    const documents = includeFrames
+      ? getAccessibleDocuments().map(entry => entry.document)
+      : [document];
+    
     // Find elements based on query type
     let elements = [];
     
     switch (queryType.toLowerCase()) {
       case "css":
-        elements = Array.from(document.querySelectorAll(query));
+        for (const doc of documents) {
+          elements.push(...doc.querySelectorAll(query));
+        }
         break;
-        
+      
       case "xpath":
-        const xpathResult = document.evaluate(
-          query,
-          document,
-          null,
-          XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-          null
-        );
+        // Composite shadow DOM and frame locators resolve to a single element
+        if (query.includes(SHADOW_ROOT_SEGMENT) || query.includes(FRAME_DOCUMENT_SEGMENT)) {
+          const locatedElement = findElementByXPath(query);
+          if (locatedElement) elements.push(locatedElement);
+          break;
+        }
         
-        for (let i = 0; i < xpathResult.snapshotLength; i++) {
-          elements.push(xpathResult.snapshotItem(i));
+        for (const doc of documents) {
+          const xpathResult = doc.evaluate(
+            query,
+            doc,
+            null,
+            XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+            null
+          );
+          
+          for (let i = 0; i < xpathResult.snapshotLength; i++) {
+            elements.push(xpathResult.snapshotItem(i));
+          }
         }
         break;
-        
+      
       case "text":
         // This is a simplified implementation - for production,
         // you'd want more sophisticated text search
-        const allElements = document.querySelectorAll('*');
         const lowerQuery = query.toLowerCase();
         
-        elements = Array.from(allElements).filter(el => {
-          const text = el.textContent || '';
-          return text.toLowerCase().includes(lowerQuery);
-        });
+        for (const doc of documents) {
+          const allElements = doc.querySelectorAll('*');
+          
+          elements.push(...Array.from(allElements).filter(el => {
+            const text = el.textContent || '';
+            return text.toLowerCase().includes(lowerQuery);
+          }));
+        }
         break;
-        
+      
       default:
         throw new Error(`Invalid queryType: ${queryType}`);
     }
@@ -100,7 +145,7 @@ function elements(query, options = {}) {
     
     if (inViewport) {
       elements = elements.filter(el => {
-        const rect = el.getBoundingClientRect();
+        const rect = getElementRect(el);
         return (
           rect.top < window.innerHeight &&
           rect.left < window.innerWidth &&
@@ -122,6 +167,7 @@ function elements(query, options = {}) {
     const results = elements.map(element => {
       // Get basic element info
       const result = {
+        ref: getElementRef(element),
         tag: element.tagName.toLowerCase(),
         xpath: getXPath(element),
       };
@@ -136,8 +182,14 @@ function elements(query, options = {}) {
         result.html = element.outerHTML;
       }
       
-      // Extract position
-      const rect = element.getBoundingClientRect();
+      // Tag elements that live inside a frame
+      const frame = getFramePath(element);
+      if (frame) {
+        result.frame = frame;
+      }
+      
+      // Extract position, relative to the top-level viewport
+      const rect = getElementRect(element);
       result.position = {
         x: Math.round(rect.left),
         y: Math.round(rect.top),
@@ -249,6 +301,84 @@ function elements(query, options = {}) {
   }
 }
 
+/**
+ * Extract every form on the page with its fields
+ * 
+ * Each form lists its fields in document order with their label, type,
+ * name, required flag, current value, options and element reference.
+ * Radio buttons sharing a name are one field whose options are the
+ * radios. Fields outside any form are returned as a formless group per
+ * document. Password values are never returned.
+ * 
+ * @param {Object} [options] - Extraction options
+ * @param {boolean} [options.visible=true] - Only include visible fields
+ * @param {boolean} [options.includeFrames=true] - Also search same-origin iframes
+ * @returns {Object} Result with the forms and their fields
+ */
+function forms(options = {}) {
+  try {
+    const {
+      visible = true,
+      includeFrames = true
+    } = options;
+    
+    const documents = includeFrames
+      ? getAccessibleDocuments().map(entry => entry.document)
+      : [document];
+    
+    const results = [];
+    
+    for (const doc of documents) {
+      for (const form of doc.querySelectorAll('form')) {
+        const fields = getFormFields(form, { visible });
+        if (fields.length === 0) continue;
+        
+        const entry = {
+          ref: getElementRef(form),
+          xpath: getXPath(form),
+          formless: false
+        };
+        
+        const label = getAccessibleName(form) || form.getAttribute('name') || form.id;
+        if (label) entry.label = label;
+        
+        if (form.hasAttribute('action')) entry.action = form.action;
+        entry.method = (form.getAttribute('method') || 'get').toLowerCase();
+        
+        entry.fields = fields.map(field => field.description);
+        entry.submit = getSubmitButtons(form).map(button => ({
+          ref: getElementRef(button),
+          xpath: getXPath(button),
+          text: (button.textContent || button.value || '').trim()
+        }));
+        
+        results.push(entry);
+      }
+      
+      // Fields outside any form, such as client-side rendered sign-up steps
+      const root = doc.body || doc.documentElement;
+      const formlessFields = root ? getFormFields(root, { visible, formless: true }) : [];
+      
+      if (formlessFields.length > 0) {
+        results.push({
+          ref: null,
+          xpath: null,
+          formless: true,
+          fields: formlessFields.map(field => field.description),
+          submit: []
+        });
+      }
+    }
+    
+    return createSuccessResult({
+      count: results.length,
+      forms: results
+    });
+  } catch (error) {
+    return createErrorResult(`Failed to extract forms: ${error.message}`);
+  }
+}
+
 /**
  * Extract page metadata and context
  * 
@@ -285,8 +415,102 @@ function pageInfo() {
   }
 }
 
+/**
+ * Extract the console messages and runtime errors captured by the console capture
+ * 
+ * Needs Console.start(); covers console.* calls, uncaught exceptions and
+ * unhandled promise rejections from then on, kept in a ring buffer of the
+ * latest 500 entries.
+ * 
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.since] - Only entries recorded at or after this ISO timestamp
+ * @param {string} [options.level] - Minimum level: "debug", "log", "info", "warn" or "error"
+ * @param {string|string[]} [options.source] - "console", "exception" or "rejection"
+ * @param {number} [options.limit=100] - Maximum number of entries to return, the most recent
+ * @returns {Object} Result with the matching entries, oldest first
+ */
+function consoleEntries(options = {}) {
+  try {
+    const {
+      since,
+      level,
+      source,
+      limit = 100
+    } = options;
+    
+    const { entries, dropped } = getConsoleEntries({ since, level, source });
+    
+    if (!isConsoleCapturing() && getConsoleEntries().entries.length === 0) {
+      return createErrorResult(
+        'Console capture is not running - call Console.start() before the messages to record',
+        { capturing: false }
+      );
+    }
+    
+    return createSuccessResult({
+      capturing: isConsoleCapturing(),
+      total: entries.length,
+      count: Math.min(entries.length, limit),
+      dropped,
+      entries: entries.slice(Math.max(entries.length - limit, 0))
+    });
+  } catch (error) {
+    return createErrorResult(`Failed to extract console entries: ${error.message}`);
+  }
+}
+
+/**
+ * Extract the network requests recorded by the network monitor
+ * 
+ * Needs Network.start(); requests are recorded from then on.
+ * 
+ * @param {Object} [options] - Extraction options
+ * @param {Object} [options.filter] - Only requests matching every given field
+ * @param {string|RegExp} [options.filter.url] - Substring, "*" glob or RegExp of the URL
+ * @param {string} [options.filter.method] - HTTP method
+ * @param {string|string[]} [options.filter.type] - "fetch", "xhr", "beacon" or "websocket"
+ * @param {string|string[]} [options.filter.state] - "pending", "complete", "failed", "aborted", "open" or "closed"
+ * @param {number|Object} [options.filter.status] - Status code, exact or { min, max }
+ * @param {string} [options.filter.since] - Only requests started at or after this ISO timestamp
+ * @param {number} [options.limit=100] - Maximum number of requests to return, the most recent
+ * @returns {Object} Result with the matching requests, oldest first
+ */
+function network(options = {}) {
+  try {
+    const {
+      filter = {},
+      limit = 100
+    } = options;
+    
+    const activity = getNetworkActivity();
+    const matched = getNetworkRequests(filter);
+    
+    if (!activity.monitoring && getNetworkRequests().length === 0) {
+      return createErrorResult(
+        'Network monitor is not running - call Network.start() before the requests to record',
+        { monitoring: false }
+      );
+    }
+    
+    return createSuccessResult({
+      monitoring: activity.monitoring,
+      inFlight: activity.inFlight,
+      idleFor: activity.idleFor,
+      total: matched.length,
+      count: Math.min(matched.length, limit),
+      requests: matched.slice(Math.max(matched.length - limit, 0))
+    });
+  } catch (error) {
+    return createErrorResult(`Failed to extract network requests: ${error.message}`);
+  }
+}
+
 // Export the Extract tool
 export default {
   elements,
+  forms,
+  // Named so the module does not shadow the global console
+  console: consoleEntries,
+  network,
   pageInfo
 };
\ No newline at end of file
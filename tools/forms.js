@@ -0,0 +1,307 @@
+/**
+ * BrowserMagic DOM - Form Discovery
+ * 
+ * Shared helpers that find the fields of forms (and of field groups
+ * outside any form), describe them for agents, and match field names
+ * given by an agent to the fields they mean.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { 
+  getElementRef,
+  getXPath
+} from '../core.js';
+
+import { getAccessibleName } from '../aria.js';
+
+import { isElementVisible } from './utils.js';
+
+/**
+ * Selector for elements that take user input
+ * @type {string}
+ */
+const FIELD_SELECTOR = [
+  'input:not([type="hidden" i]):not([type="submit" i]):not([type="button" i]):not([type="reset" i]):not([type="image" i])',
+  'textarea',
+  'select',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[role="checkbox"]',
+  '[role="switch"]'
+].join(', ');
+
+/**
+ * Selector for the buttons that submit a form
+ * @type {string}
+ */
+const SUBMIT_SELECTOR = 'button:not([type]), button[type="submit" i], input[type="submit" i], input[type="image" i]';
+
+/**
+ * Get the type of a field: the input type, or "textarea", "select",
+ * "contenteditable", "checkbox" or "switch" for other fields
+ * @param {Element} field - Form field
+ * @returns {string} - Field type
+ */
+export function getFieldType(field) {
+  const tag = field.tagName.toLowerCase();
+  
+  if (tag === 'input') return (field.getAttribute('type') || 'text').toLowerCase();
+  if (tag === 'textarea' || tag === 'select') return tag;
+  
+  const role = field.getAttribute('role');
+  if (role === 'checkbox' || role === 'switch') return role;
+  
+  return 'contenteditable';
+}
+
+/**
+ * Get the checked state of a checkbox, radio button or switch
+ * @param {Element} element - Native input or ARIA widget
+ * @returns {boolean|string} - true, false or "mixed"
+ */
+export function getCheckedState(element) {
+  if (element.tagName.toLowerCase() === 'input') {
+    return element.indeterminate ? 'mixed' : element.checked;
+  }
+  
+  const state = element.getAttribute('aria-checked');
+  return state === 'mixed' ? 'mixed' : state === 'true';
+}
+
+/**
+ * Get the label an agent would use for a field
+ * @param {Element} field - Form field
+ * @returns {string} - Accessible name, or placeholder when it has none
+ */
+function getFieldLabel(field) {
+  const name = getAccessibleName(field).trim();
+  if (name) return name;
+  
+  return (field.getAttribute('placeholder') || '').trim();
+}
+
+/**
+ * Get the legend of the fieldset a field belongs to
+ * @param {Element} field - Form field
+ * @returns {string|null} - Legend text
+ */
+function getFieldGroup(field) {
+  const fieldset = field.closest('fieldset');
+  if (!fieldset) return null;
+  
+  const legend = Array.from(fieldset.children).find(child => child.tagName.toLowerCase() === 'legend');
+  const text = legend ? legend.textContent.trim() : '';
+  
+  return text || null;
+}
+
+/**
+ * Describe a field for agents
+ * 
+ * Password values are never included; `filled` tells whether one is set.
+ * 
+ * @param {Element} field - Form field
+ * @returns {Object} - Field description with ref, label, type, name, required and value
+ */
+export function describeField(field) {
+  const type = getFieldType(field);
+  const description = {
+    ref: getElementRef(field),
+    xpath: getXPath(field),
+    tag: field.tagName.toLowerCase(),
+    type,
+    label: getFieldLabel(field)
+  };
+  
+  for (const attribute of ['name', 'id', 'placeholder', 'autocomplete']) {
+    const value = field.getAttribute(attribute);
+    if (value) description[attribute] = value;
+  }
+  
+  const group = getFieldGroup(field);
+  if (group) description.group = group;
+  
+  description.required = field.required === true || field.getAttribute('aria-required') === 'true';
+  description.disabled = field.disabled === true || field.getAttribute('aria-disabled') === 'true';
+  
+  if (field.readOnly === true || field.getAttribute('aria-readonly') === 'true') {
+    description.readOnly = true;
+  }
+  
+  if (type === 'checkbox' || type === 'switch') {
+    description.checked = getCheckedState(field);
+  } else if (type === 'select') {
+    description.multiple = field.multiple;
+    description.value = field.multiple
+      ? Array.from(field.selectedOptions).map(option => option.value)
+      : field.value;
+    description.options = Array.from(field.options).map(option => ({
+      value: option.value,
+      text: option.text.trim(),
+      selected: option.selected
+    }));
+  } else if (type === 'file') {
+    description.multiple = field.multiple;
+    if (field.accept) description.accept = field.accept;
+    description.value = Array.from(field.files || []).map(file => file.name);
+  } else if (type === 'password') {
+    description.filled = field.value.length > 0;
+  } else if (type === 'contenteditable') {
+    description.value = field.textContent;
+  } else {
+    description.value = field.value;
+  }
+  
+  return description;
+}
+
+/**
+ * Describe a radio group as one field whose options are its radios
+ * @param {Element[]} radios - Radio inputs sharing a name
+ * @returns {Object} - Field description with the checked value and the options
+ */
+function describeRadioGroup(radios) {
+  const first = radios[0];
+  const checked = radios.find(radio => radio.checked);
+  const description = {
+    ref: getElementRef(first),
+    xpath: getXPath(first),
+    tag: 'input',
+    type: 'radio',
+    label: getFieldGroup(first) || getFieldLabel(first),
+    name: first.getAttribute('name'),
+    required: radios.some(radio => radio.required),
+    disabled: radios.every(radio => radio.disabled),
+    value: checked ? checked.value : null,
+    options: radios.map(radio => ({
+      ref: getElementRef(radio),
+      value: radio.value,
+      text: getFieldLabel(radio),
+      selected: radio.checked
+    }))
+  };
+  
+  return description;
+}
+
+/**
+ * Get the fields of a form or container, in document order
+ * 
+ * Fields associated with a form through the `form` attribute count as
+ * part of it. Radio buttons sharing a name are returned as one group.
+ * 
+ * @param {Element} container - Form element or any container
+ * @param {Object} [options] - Field options
+ * @param {boolean} [options.visible=true] - Skip fields that are not visible
+ * @param {boolean} [options.formless=false] - Only fields that belong to no form
+ * @returns {Array<{element: Element, elements: Element[], description: Object}>} - Fields with their elements
+ */
+export function getFormFields(container, options = {}) {
+  const {
+    visible = true,
+    formless = false
+  } = options;
+  
+  let candidates = Array.from(container.querySelectorAll(FIELD_SELECTOR));
+  
+  if (container.tagName && container.tagName.toLowerCase() === 'form' && container.elements) {
+    const associated = Array.from(container.elements).filter(element =>
+      element.matches(FIELD_SELECTOR) && !candidates.includes(element));
+    candidates = candidates.concat(associated);
+    
+    // Keep document order when form-associated fields live outside the form
+    candidates.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  }
+  
+  const fields = [];
+  const radioGroups = new Map();
+  
+  for (const element of candidates) {
+    if (formless && (element.form || element.closest('form'))) continue;
+    
+    // Nested contenteditable elements belong to their editing host
+    if (getFieldType(element) === 'contenteditable' && element.parentElement &&
+        element.parentElement.closest('[contenteditable]:not([contenteditable="false"])')) continue;
+    
+    // Hidden native checkboxes are often styled through their label
+    const labelVisible = element.labels && Array.from(element.labels).some(isElementVisible);
+    if (visible && !isElementVisible(element) && !labelVisible) continue;
+    
+    if (getFieldType(element) === 'radio' && element.getAttribute('name')) {
+      const name = element.getAttribute('name');
+      
+      if (!radioGroups.has(name)) {
+        const group = { element, elements: [], description: null };
+        radioGroups.set(name, group);
+        fields.push(group);
+      }
+      
+      radioGroups.get(name).elements.push(element);
+      continue;
+    }
+    
+    fields.push({ element, elements: [element], description: describeField(element) });
+  }
+  
+  for (const group of radioGroups.values()) {
+    group.description = describeRadioGroup(group.elements);
+  }
+  
+  return fields;
+}
+
+/**
+ * Get the submit buttons of a form
+ * @param {HTMLFormElement} form - The form
+ * @returns {Element[]} - Submit buttons, including those associated through the form attribute
+ */
+export function getSubmitButtons(form) {
+  return Array.from(form.elements || []).filter(element => element.matches(SUBMIT_SELECTOR));
+}
+
+/**
+ * Normalize a label or key for matching: lower case, no punctuation or
+ * required markers, single spaces
+ * @param {string} text - Label, name or key
+ * @returns {string} - Normalized text
+ */
+function normalizeLabel(text) {
+  return String(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[_\-*:.()[\]]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Score how well a key names a field
+ * 
+ * Exact label matches beat exact name, id or autocomplete matches, which
+ * beat placeholder matches; partial label matches score lowest.
+ * 
+ * @param {string} key - Key given by the agent, e.g. "Email" or "country"
+ * @param {Object} description - Field description
+ * @returns {number} - Match score, 0 for no match
+ */
+export function scoreFieldMatch(key, description) {
+  const wanted = normalizeLabel(key);
+  if (!wanted) return 0;
+  
+  const label = normalizeLabel(description.label || '');
+  
+  if (label === wanted) return 5;
+  
+  for (const attribute of ['name', 'id', 'autocomplete']) {
+    if (description[attribute] && normalizeLabel(description[attribute]) === wanted) return 4;
+  }
+  
+  if (description.placeholder && normalizeLabel(description.placeholder) === wanted) return 3;
+  
+  if (label && (label.includes(wanted) || wanted.includes(label))) return 2;
+  
+  if (description.placeholder && normalizeLabel(description.placeholder).includes(wanted)) return 1;
+  
+  return 0;
+}
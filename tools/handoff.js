@@ -0,0 +1,275 @@
+/**
+ * BrowserMagic DOM - Navigation Handoff
+ * 
+ * Lets the result of an action that loads a new page reach the caller.
+ * A full navigation destroys the page's JavaScript context, and with it
+ * the promise the caller is awaiting, so the pending operation is stored
+ * in sessionStorage before navigating. When the library loads on the
+ * next page it picks the operation up, finishes waiting for the load and
+ * delivers the result to callbacks registered with Handoff.onResult and
+ * as a window message.
+ * 
+ * sessionStorage is per origin, so only same-origin navigations can be
+ * handed off.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { 
+  createSuccessResult,
+  createErrorResult,
+  getSessionStorage
+} from './utils.js';
+
+import { logLibraryError } from './console.js';
+
+import { 
+  addUrlChange,
+  getWaitUntil,
+  waitForDocumentLoad
+} from './navigation.js';
+
+/**
+ * sessionStorage key of the pending operation
+ * @type {string}
+ */
+const HANDOFF_STORAGE_KEY = 'browsermagic-dom:handoff';
+
+/**
+ * Channel name of the window messages carrying handed-off results
+ * @type {string}
+ */
+const HANDOFF_CHANNEL = 'browsermagic-dom:handoff';
+
+/**
+ * Callbacks registered for handed-off results
+ * @type {Set<Function>}
+ */
+const resultCallbacks = new Set();
+
+/**
+ * Results delivered before any callback was registered
+ * @type {Array<Object>}
+ */
+const undeliveredResults = [];
+
+// Counter used to build operation ids
+let nextOperationId = 1;
+
+/**
+ * Read the pending operation
+ * @returns {Object|null} - Stored operation, or null if there is none or it is unreadable
+ */
+function readOperation() {
+  const storage = getSessionStorage();
+  if (!storage) return null;
+  
+  try {
+    const stored = storage.getItem(HANDOFF_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remove the pending operation
+ */
+function clearOperation() {
+  const storage = getSessionStorage();
+  if (!storage) return;
+  
+  try {
+    storage.removeItem(HANDOFF_STORAGE_KEY);
+  } catch (e) {
+    // Nothing to clean up
+  }
+}
+
+/**
+ * Store an operation that may outlive this page
+ * 
+ * Call it right before starting a navigation, and endHandoff once the
+ * wait settles in this page (a same-document navigation, or a timeout).
+ * 
+ * @param {string} method - Operation such as "Navigate.to"
+ * @param {Object} data - Result data so far; the page state after loading is added to it
+ * @param {Object} [options] - Wait options to finish on the next page
+ * @param {string} [options.waitUntil='load'] - Load state to wait for
+ * @param {boolean} [options.waitForLoad=true] - Without waitUntil, false stands for "commit"
+ * @param {number} [options.timeout=30000] - Timeout in ms, counted from now
+ * @returns {string|null} - Operation id, or null when sessionStorage is unavailable
+ */
+export function beginHandoff(method, data, options = {}) {
+  const {
+    timeout = 30000
+  } = options;
+  
+  const storage = getSessionStorage();
+  if (!storage) return null;
+  
+  const startedAt = Date.now();
+  const operation = {
+    id: `${startedAt.toString(36)}-${nextOperationId++}`,
+    method,
+    data,
+    waitUntil: getWaitUntil(options),
+    // Same-origin frames share sessionStorage with the top page
+    topLevel: window === window.top,
+    startedAt,
+    deadline: timeout ? startedAt + timeout : null
+  };
+  
+  try {
+    storage.setItem(HANDOFF_STORAGE_KEY, JSON.stringify(operation));
+    return operation.id;
+  } catch (e) {
+    // Storage full or data not serializable
+    return null;
+  }
+}
+
+/**
+ * Drop a stored operation that finished without leaving the page
+ * @param {string|null} id - Operation id returned by beginHandoff
+ */
+export function endHandoff(id) {
+  if (!id) return;
+  
+  const operation = readOperation();
+  if (operation && operation.id === id) clearOperation();
+}
+
+/**
+ * Pass a handed-off result to the registered callbacks and post it as a window message
+ * @param {Object} operation - Stored operation
+ * @param {Object} result - Result object
+ */
+function deliverResult(operation, result) {
+  const delivery = {
+    id: operation.id,
+    method: operation.method,
+    result
+  };
+  
+  if (resultCallbacks.size === 0) {
+    undeliveredResults.push(delivery);
+  }
+  
+  for (const callback of Array.from(resultCallbacks)) {
+    try {
+      callback(delivery);
+    } catch (e) {
+      logLibraryError('Error in handoff callback:', e);
+    }
+  }
+  
+  // "/" targets this window's own origin and, unlike location.origin, works when it is opaque
+  try {
+    window.postMessage({
+      channel: HANDOFF_CHANNEL,
+      type: 'result',
+      ...delivery
+    }, '/');
+  } catch (e) {
+    logLibraryError('Error posting handoff result:', e);
+  }
+}
+
+/**
+ * Finish an operation handed off by the previous page, if there is one
+ * @returns {Promise<Object|null>} - Result delivered, or null if nothing was pending
+ */
+export async function resumeHandoff() {
+  const operation = readOperation();
+  if (!operation || operation.topLevel !== (window === window.top)) return null;
+  
+  // Take the operation so a later page load cannot deliver it twice
+  clearOperation();
+  
+  const handoff = {
+    id: operation.id,
+    method: operation.method,
+    startedAt: new Date(operation.startedAt).toISOString()
+  };
+  
+  let result;
+  
+  try {
+    const remaining = operation.deadline ? operation.deadline - Date.now() : 0;
+    
+    if (operation.deadline && remaining <= 0) {
+      throw new Error(`Navigation timeout after ${operation.deadline - operation.startedAt}ms`);
+    }
+    
+    const loadData = await waitForDocumentLoad({
+      waitUntil: operation.waitUntil,
+      timeout: remaining
+    });
+    
+    result = createSuccessResult(addUrlChange({ ...operation.data, ...loadData, handoff }));
+  } catch (error) {
+    result = createErrorResult(
+      error.message,
+      { ...operation.data, url: window.location.href, handoff }
+    );
+  }
+  
+  deliverResult(operation, result);
+  return result;
+}
+
+/**
+ * Register a callback for results handed off from the previous page
+ * 
+ * Results that arrived before any callback was registered are passed to
+ * the first one.
+ * 
+ * @param {Function} callback - Called with { id, method, result }
+ * @returns {Function} Function that unregisters the callback
+ */
+function onResult(callback) {
+  if (typeof callback !== 'function') {
+    throw new Error('onResult requires a callback function');
+  }
+  
+  resultCallbacks.add(callback);
+  
+  for (const delivery of undeliveredResults.splice(0)) {
+    try {
+      callback(delivery);
+    } catch (e) {
+      logLibraryError('Error in handoff callback:', e);
+    }
+  }
+  
+  return () => resultCallbacks.delete(callback);
+}
+
+/**
+ * Get the operation waiting to be finished by the next page
+ * 
+ * @returns {Object} Result with the pending operation, or null
+ */
+function pending() {
+  try {
+    return createSuccessResult({
+      available: getSessionStorage() !== null,
+      operation: readOperation()
+    });
+  } catch (error) {
+    return createErrorResult(`Failed to read pending handoff: ${error.message}`);
+  }
+}
+
+// Pick up an operation the previous page handed off
+if (typeof window !== 'undefined') {
+  resumeHandoff().catch(error => logLibraryError('Error resuming handoff:', error));
+}
+
+// Export the Handoff tool
+export default {
+  onResult,
+  pending
+};
@@ -0,0 +1,1348 @@
+/**
+ * BrowserMagic DOM - Input Simulation
+ * 
+ * Shared helpers that reproduce the event sequences real user input
+ * produces, and the actionability checks made before input is sent.
+ * 
+ * Events are created with the constructors of the element's own window,
+ * so elements inside same-origin frames receive events from their realm,
+ * and coordinates are relative to the element's own viewport.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { 
+  getElementRef,
+  getXPath
+} from '../core.js';
+
+import { isElementVisible } from './utils.js';
+
+/**
+ * MouseEvent.button values by button name
+ * @type {Object<string, number>}
+ */
+const BUTTON_CODES = { left: 0, middle: 1, right: 2 };
+
+/**
+ * MouseEvent.buttons bits by button name
+ * @type {Object<string, number>}
+ */
+const BUTTON_MASKS = { left: 1, right: 2, middle: 4 };
+
+/**
+ * Event init properties by modifier key name
+ * @type {Object<string, string>}
+ */
+const MODIFIER_KEYS = {
+  alt: 'altKey',
+  control: 'ctrlKey',
+  ctrl: 'ctrlKey',
+  meta: 'metaKey',
+  cmd: 'metaKey',
+  command: 'metaKey',
+  option: 'altKey',
+  shift: 'shiftKey'
+};
+
+/**
+ * Selector for elements that can receive focus from a click
+ * @type {string}
+ */
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable]:not([contenteditable="false"])';
+
+/**
+ * Build the modifier flags of an event init dictionary
+ * @param {string[]} [modifiers=[]] - Modifier names: "Alt", "Control", "Meta" or "Shift"
+ * @returns {{altKey: boolean, ctrlKey: boolean, metaKey: boolean, shiftKey: boolean}} - Modifier flags
+ */
+export function getModifierState(modifiers = []) {
+  const state = { altKey: false, ctrlKey: false, metaKey: false, shiftKey: false };
+  
+  for (const modifier of modifiers) {
+    const key = MODIFIER_KEYS[String(modifier).toLowerCase()];
+    if (!key) throw new Error(`Unknown modifier key: ${modifier}`);
+    state[key] = true;
+  }
+  
+  return state;
+}
+
+/**
+ * Get the point to send pointer input to, in the element's viewport coordinates
+ * @param {Element} element - Target element
+ * @param {{x: number, y: number}} [position] - Offset from the element's top-left corner, center by default
+ * @returns {{x: number, y: number}} - Client coordinates
+ */
+export function getInputPoint(element, position = null) {
+  const rect = element.getBoundingClientRect();
+  
+  return position
+    ? { x: rect.left + position.x, y: rect.top + position.y }
+    : { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+/**
+ * Scroll an element into the center of its viewport unless it is fully visible
+ * @param {Element} element - Element to reveal
+ */
+export function scrollIntoViewIfNeeded(element) {
+  const view = element.ownerDocument.defaultView;
+  const rect = element.getBoundingClientRect();
+  
+  const visible = rect.top >= 0 && rect.left >= 0 &&
+    rect.bottom <= view.innerHeight && rect.right <= view.innerWidth;
+  
+  if (!visible && typeof element.scrollIntoView === 'function') {
+    element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+  }
+}
+
+/**
+ * Check whether a hit-tested element is the target or inside it,
+ * following shadow hosts back out of shadow trees
+ * @param {Element} element - Target element
+ * @param {Element} hit - Element found at the input point
+ * @returns {boolean} - Whether input at the point reaches the target
+ */
+function isHitTarget(element, hit) {
+  for (let node = hit; node; node = node.parentNode || node.host) {
+    if (node === element) return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Describe an element for actionability errors
+ * @param {Element} element - The element
+ * @returns {{ref: string, tag: string, xpath: string}} - Short description
+ */
+function describeElement(element) {
+  return {
+    ref: getElementRef(element),
+    tag: element.tagName.toLowerCase(),
+    xpath: getXPath(element)
+  };
+}
+
+/**
+ * Check whether an element can receive pointer input right now
+ * 
+ * An element is actionable when it is attached, visible, enabled, accepts
+ * pointer events and is the topmost element at the input point.
+ * 
+ * @param {Element} element - Target element
+ * @param {Object} [options] - Check options
+ * @param {{x: number, y: number}} [options.position] - Offset of the input point within the element
+ * @param {boolean} [options.requireEnabled=true] - Fail on disabled elements
+ * @returns {{actionable: boolean, reason?: string, obscuredBy?: Object, point?: {x: number, y: number}}} - Check outcome
+ */
+export function checkActionability(element, options = {}) {
+  const {
+    position = null,
+    requireEnabled = true
+  } = options;
+  
+  if (!element.isConnected) {
+    return { actionable: false, reason: 'element is detached from the document' };
+  }
+  
+  if (!isElementVisible(element)) {
+    return { actionable: false, reason: 'element is not visible' };
+  }
+  
+  const doc = element.ownerDocument;
+  const view = doc.defaultView;
+  
+  if (view.getComputedStyle(element).pointerEvents === 'none') {
+    return { actionable: false, reason: 'element does not receive pointer events (pointer-events: none)' };
+  }
+  
+  if (requireEnabled) {
+    let disabled = element.closest('[aria-disabled="true"]') !== null;
+    try {
+      disabled = disabled || element.matches(':disabled');
+    } catch (e) {
+      disabled = disabled || element.disabled === true;
+    }
+    
+    if (disabled) {
+      return { actionable: false, reason: 'element is disabled' };
+    }
+  }
+  
+  const point = getInputPoint(element, position);
+  
+  if (point.x < 0 || point.y < 0 || point.x >= view.innerWidth || point.y >= view.innerHeight) {
+    return { actionable: false, reason: 'element is outside the viewport', point };
+  }
+  
+  // Hit test in the element's own tree, so shadow DOM content can be matched
+  const root = element.getRootNode();
+  const hitTester = typeof root.elementFromPoint === 'function' ? root : doc;
+  
+  if (typeof hitTester.elementFromPoint === 'function') {
+    const hit = hitTester.elementFromPoint(point.x, point.y);
+    
+    // No hit means the layout engine cannot tell, not that the element is covered
+    if (hit && !isHitTarget(element, hit)) {
+      return {
+        actionable: false,
+        reason: `element is obscured by another element (<${hit.tagName.toLowerCase()}>)`,
+        obscuredBy: describeElement(hit),
+        point
+      };
+    }
+  }
+  
+  return { actionable: true, point };
+}
+
+/**
+ * Wait for the next animation frame of a window, or a short timer in
+ * background tabs where animation frames are paused
+ * @param {Window} view - Window to wait on
+ * @returns {Promise<void>} Resolves after the frame
+ */
+export function nextFrame(view) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, 50);
+    
+    if (typeof view.requestAnimationFrame === 'function') {
+      view.requestAnimationFrame(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    }
+  });
+}
+
+/**
+ * Wait until an element is actionable and stable
+ * 
+ * Stable means its bounding box did not change between two consecutive
+ * frames, so animations and layout shifts have settled.
+ * 
+ * @param {Element} element - Target element
+ * @param {Object} [options] - Wait options, plus those of checkActionability
+ * @param {number} [options.timeout=5000] - Maximum wait in ms
+ * @returns {Promise<Object>} Last checkActionability outcome
+ */
+export async function waitForActionable(element, options = {}) {
+  const { timeout = 5000 } = options;
+  const deadline = Date.now() + timeout;
+  const view = element.ownerDocument.defaultView;
+  let previousRect = null;
+  
+  while (true) {
+    let state = checkActionability(element, options);
+    const rect = element.getBoundingClientRect();
+    
+    if (state.actionable && previousRect && (
+      rect.x !== previousRect.x || rect.y !== previousRect.y ||
+      rect.width !== previousRect.width || rect.height !== previousRect.height
+    )) {
+      state = { actionable: false, reason: 'element is not stable (moving or resizing)', point: state.point };
+    }
+    
+    // Stability needs two measurements, so the first one never decides alone
+    if (previousRect && (state.actionable || Date.now() >= deadline)) return state;
+    
+    previousRect = rect;
+    await nextFrame(view);
+  }
+}
+
+/**
+ * Find the element a click at the target would focus
+ * @param {Element} element - Clicked element
+ * @returns {Element|null} - Closest focusable ancestor-or-self
+ */
+function getFocusTarget(element) {
+  for (let node = element; node; node = node.parentNode || node.host) {
+    if (node.nodeType === Node.ELEMENT_NODE && node.matches(FOCUSABLE_SELECTOR) && !node.matches(':disabled')) {
+      return node;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Dispatch a pointer or mouse event with the element's realm constructors
+ * 
+ * PointerEvent is used when the environment has it, MouseEvent otherwise.
+ * 
+ * @param {Element} element - Event target
+ * @param {string} type - Event type, e.g. "pointerdown" or "click"
+ * @param {Object} init - Event init dictionary
+ * @returns {boolean} - False if the event was canceled
+ */
+export function dispatchMouseEvent(element, type, init) {
+  const view = element.ownerDocument.defaultView;
+  const isPointer = type.startsWith('pointer');
+  const EventConstructor = isPointer && typeof view.PointerEvent === 'function'
+    ? view.PointerEvent
+    : view.MouseEvent;
+  
+  const bubbles = !['mouseenter', 'mouseleave', 'pointerenter', 'pointerleave'].includes(type);
+  
+  const event = new EventConstructor(type, {
+    bubbles,
+    cancelable: bubbles,
+    composed: true,
+    view,
+    ...(isPointer ? { pointerId: 1, pointerType: 'mouse', isPrimary: true, width: 1, height: 1 } : {}),
+    ...init
+  });
+  
+  return element.dispatchEvent(event);
+}
+
+/**
+ * Move the pointer onto an element: pointerover, pointerenter, mouseover,
+ * mouseenter, pointermove, mousemove
+ * @param {Element} element - Element under the pointer
+ * @param {Object} init - Coordinates and modifier flags
+ */
+export function dispatchPointerEnter(element, init) {
+  dispatchMouseEvent(element, 'pointerover', init);
+  dispatchMouseEvent(element, 'pointerenter', init);
+  dispatchMouseEvent(element, 'mouseover', init);
+  dispatchMouseEvent(element, 'mouseenter', init);
+  dispatchMouseEvent(element, 'pointermove', init);
+  dispatchMouseEvent(element, 'mousemove', init);
+}
+
+/**
+ * Move the pointer off an element: pointerout, pointerleave, mouseout,
+ * mouseleave
+ * @param {Element} element - Element the pointer leaves
+ * @param {Object} init - Coordinates and modifier flags
+ */
+export function dispatchPointerLeave(element, init) {
+  dispatchMouseEvent(element, 'pointerout', init);
+  dispatchMouseEvent(element, 'pointerleave', init);
+  dispatchMouseEvent(element, 'mouseout', init);
+  dispatchMouseEvent(element, 'mouseleave', init);
+}
+
+/**
+ * Dispatch the full event sequence of a mouse click
+ * 
+ * For each click: pointerdown, mousedown, focus, pointerup, mouseup, then
+ * click (left button), auxclick (middle) or auxclick and contextmenu
+ * (right). A second left click is followed by dblclick. A canceled
+ * pointerdown suppresses the compatibility mouse events, and a canceled
+ * mousedown suppresses the focus change, as in browsers.
+ * 
+ * @param {Element} element - Element to click
+ * @param {Object} [options] - Click options
+ * @param {string} [options.button='left'] - "left", "middle" or "right"
+ * @param {number} [options.clickCount=1] - Number of clicks, 2 for a double-click
+ * @param {string[]} [options.modifiers=[]] - Modifier keys held during the click
+ * @param {{x: number, y: number}} [options.point] - Client coordinates, the element center by default
+ * @returns {{x: number, y: number}} - Client coordinates the click was sent to
+ */
+export function dispatchClickSequence(element, options = {}) {
+  const {
+    button = 'left',
+    clickCount = 1,
+    modifiers = [],
+    point = getInputPoint(element)
+  } = options;
+  
+  if (!(button in BUTTON_CODES)) {
+    throw new Error(`Invalid button: ${button}. Must be 'left', 'middle', or 'right'`);
+  }
+  
+  const view = element.ownerDocument.defaultView;
+  const base = {
+    clientX: point.x,
+    clientY: point.y,
+    screenX: point.x + (view.screenX || 0),
+    screenY: point.y + (view.screenY || 0),
+    ...getModifierState(modifiers)
+  };
+  
+  dispatchPointerEnter(element, { ...base, button: 0, buttons: 0 });
+  
+  for (let detail = 1; detail <= clickCount; detail++) {
+    const down = { ...base, button: BUTTON_CODES[button], buttons: BUTTON_MASKS[button], detail };
+    const up = { ...base, button: BUTTON_CODES[button], buttons: 0, detail };
+    
+    const pointerDownAllowed = dispatchMouseEvent(element, 'pointerdown', down);
+    
+    if (pointerDownAllowed) {
+      const mouseDownAllowed = dispatchMouseEvent(element, 'mousedown', down);
+      
+      // The default action of mousedown moves focus
+      if (mouseDownAllowed) {
+        const focusTarget = getFocusTarget(element);
+        
+        if (focusTarget && typeof focusTarget.focus === 'function') {
+          focusTarget.focus({ preventScroll: true });
+        } else if (element.ownerDocument.activeElement && element.ownerDocument.activeElement.blur) {
+          element.ownerDocument.activeElement.blur();
+        }
+      }
+    }
+    
+    dispatchMouseEvent(element, 'pointerup', up);
+    if (pointerDownAllowed) dispatchMouseEvent(element, 'mouseup', up);
+    
+    if (button === 'left') {
+      // Dispatching click runs the element's activation behavior (links, checkboxes, submit)
+      dispatchMouseEvent(element, 'click', up);
+      if (detail === 2) dispatchMouseEvent(element, 'dblclick', up);
+    } else {
+      dispatchMouseEvent(element, 'auxclick', up);
+      if (button === 'right') dispatchMouseEvent(element, 'contextmenu', up);
+    }
+  }
+  
+  return point;
+}
+
+/**
+ * DataTransfer formats with a legacy alias
+ * @type {Object<string, string>}
+ */
+const DATA_FORMAT_ALIASES = { text: 'text/plain', url: 'text/uri-list' };
+
+/**
+ * Create a DataTransfer for synthetic drag and drop or file assignment
+ * 
+ * Uses the window's DataTransfer constructor where there is one, and a
+ * stand-in with the same data methods otherwise. Only a real DataTransfer
+ * can be assigned to input.files.
+ * 
+ * @param {Window} view - Window whose realm the transfer belongs to
+ * @returns {DataTransfer|Object} - Empty data transfer
+ */
+export function createDataTransfer(view) {
+  if (typeof view.DataTransfer === 'function') {
+    try {
+      return new view.DataTransfer();
+    } catch (e) {
+      // Older browsers expose DataTransfer without a constructor
+    }
+  }
+  
+  const data = new Map();
+  const files = [];
+  const normalize = format => {
+    const lower = String(format).toLowerCase();
+    return DATA_FORMAT_ALIASES[lower] || lower;
+  };
+  
+  return {
+    dropEffect: 'none',
+    effectAllowed: 'uninitialized',
+    files,
+    items: {
+      add: (item, type) => {
+        if (typeof item === 'string') {
+          data.set(normalize(type), item);
+        } else {
+          files.push(item);
+        }
+      }
+    },
+    get types() {
+      return [...data.keys(), ...(files.length > 0 ? ['Files'] : [])];
+    },
+    setData: (format, value) => data.set(normalize(format), String(value)),
+    getData: format => data.get(normalize(format)) || '',
+    clearData: format => (format === undefined ? data.clear() : data.delete(normalize(format))),
+    setDragImage: () => {}
+  };
+}
+
+/**
+ * Dispatch a drag event carrying a data transfer
+ * 
+ * DragEvent is used when the environment has it and the transfer is a
+ * real DataTransfer; otherwise a MouseEvent with a dataTransfer property.
+ * 
+ * @param {Element} element - Event target
+ * @param {string} type - Event type, e.g. "dragstart" or "drop"
+ * @param {Object} init - Coordinates and modifier flags
+ * @param {DataTransfer|Object} dataTransfer - Transfer shared by the whole drag
+ * @returns {boolean} - False if the event was canceled
+ */
+export function dispatchDragEvent(element, type, init, dataTransfer) {
+  const view = element.ownerDocument.defaultView;
+  const native = typeof view.DragEvent === 'function' &&
+    typeof view.DataTransfer === 'function' && dataTransfer instanceof view.DataTransfer;
+  
+  const eventInit = {
+    bubbles: true,
+    cancelable: !['dragleave', 'dragend'].includes(type),
+    composed: true,
+    view,
+    ...init
+  };
+  
+  const event = native
+    ? new view.DragEvent(type, { ...eventInit, dataTransfer })
+    : new view.MouseEvent(type, eventInit);
+  
+  if (!native) {
+    Object.defineProperty(event, 'dataTransfer', { get: () => dataTransfer });
+  }
+  
+  return element.dispatchEvent(event);
+}
+
+/**
+ * Find the element at a point of a document's viewport
+ * @param {Document} doc - Document to hit test
+ * @param {{x: number, y: number}} point - Client coordinates
+ * @returns {Element|null} - Topmost element, or null if there is none or no layout engine
+ */
+function getElementAtPoint(doc, point) {
+  if (typeof doc.elementFromPoint !== 'function') return null;
+  return doc.elementFromPoint(point.x, point.y);
+}
+
+/**
+ * Get the points a drag passes through, excluding its start
+ * @param {{x: number, y: number}} from - Start point
+ * @param {{x: number, y: number}} to - End point
+ * @param {number} steps - Number of moves
+ * @returns {Array<{x: number, y: number}>} - Evenly spaced points, ending at `to`
+ */
+function interpolatePoints(from, to, steps) {
+  const points = [];
+  
+  for (let i = 1; i <= steps; i++) {
+    points.push({
+      x: from.x + (to.x - from.x) * i / steps,
+      y: from.y + (to.y - from.y) * i / steps
+    });
+  }
+  
+  return points;
+}
+
+/**
+ * Drag from one point to another with HTML5 drag and drop: dragstart on
+ * the source, drag/dragenter/dragover/dragleave along the way, drop where
+ * the last dragover was canceled, and dragend
+ * 
+ * Mouse events stop once dragstart fires, as in browsers. Elements under
+ * the pointer are found with elementFromPoint; where the layout engine
+ * cannot tell, the final point falls back to `dropTarget`.
+ * 
+ * @param {Element} source - Dragged element
+ * @param {Object} options - Drag options
+ * @param {{x: number, y: number}} options.from - Start point in client coordinates
+ * @param {{x: number, y: number}} options.to - End point in client coordinates
+ * @param {Element} [options.dropTarget] - Element at the end point when hit testing is unavailable
+ * @param {number} [options.steps=10] - Number of intermediate moves
+ * @param {number} [options.delay=0] - Delay between moves in ms
+ * @param {string[]} [options.modifiers=[]] - Modifier keys held during the drag
+ * @returns {Promise<{started: boolean, dropped: boolean, dropTarget: Element|null, dropEffect: string}>} Drag outcome
+ */
+export async function dispatchDragAndDrop(source, options) {
+  const {
+    from,
+    to,
+    dropTarget = null,
+    steps = 10,
+    delay = 0,
+    modifiers = []
+  } = options;
+  
+  const doc = source.ownerDocument;
+  const view = doc.defaultView;
+  const modifierState = getModifierState(modifiers);
+  const at = point => ({
+    clientX: point.x,
+    clientY: point.y,
+    screenX: point.x + (view.screenX || 0),
+    screenY: point.y + (view.screenY || 0),
+    ...modifierState
+  });
+  
+  dispatchPointerEnter(source, { ...at(from), button: 0, buttons: 0 });
+  
+  const down = { ...at(from), button: 0, buttons: 1, detail: 1 };
+  if (dispatchMouseEvent(source, 'pointerdown', down)) {
+    dispatchMouseEvent(source, 'mousedown', down);
+  }
+  
+  const dataTransfer = createDataTransfer(view);
+  
+  // A canceled dragstart means no drag; the press ends as a plain mouse up
+  if (!dispatchDragEvent(source, 'dragstart', at(from), dataTransfer)) {
+    const up = { ...at(from), button: 0, buttons: 0, detail: 1 };
+    dispatchMouseEvent(source, 'pointerup', up);
+    dispatchMouseEvent(source, 'mouseup', up);
+    return { started: false, dropped: false, dropTarget: null, dropEffect: 'none' };
+  }
+  
+  // The browser picks an operation the source allows, preferring move
+  const allowed = dataTransfer.effectAllowed;
+  const operation = /^(uninitialized|all)$|move/i.test(allowed) ? 'move'
+    : /copy/i.test(allowed) ? 'copy'
+    : /link/i.test(allowed) ? 'link'
+    : 'none';
+  
+  const points = interpolatePoints(from, to, steps);
+  let current = null;
+  let dropAllowed = false;
+  
+  for (let i = 0; i < points.length; i++) {
+    const last = i === points.length - 1;
+    const hit = getElementAtPoint(doc, points[i]) || (last ? dropTarget : null);
+    
+    dispatchDragEvent(source, 'drag', at(points[i]), dataTransfer);
+    
+    if (hit !== current) {
+      if (hit) dispatchDragEvent(hit, 'dragenter', at(points[i]), dataTransfer);
+      if (current) dispatchDragEvent(current, 'dragleave', at(points[i]), dataTransfer);
+      current = hit;
+    }
+    
+    // Drop targets opt in by canceling dragover
+    dataTransfer.dropEffect = operation;
+    dropAllowed = !!current && !dispatchDragEvent(current, 'dragover', at(points[i]), dataTransfer);
+    
+    if (delay > 0 && !last) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  
+  let dropped = false;
+  
+  if (dropAllowed && operation !== 'none') {
+    dataTransfer.dropEffect = operation;
+    dispatchDragEvent(current, 'drop', at(to), dataTransfer);
+    dropped = true;
+  } else {
+    if (current) dispatchDragEvent(current, 'dragleave', at(to), dataTransfer);
+    dataTransfer.dropEffect = 'none';
+  }
+  
+  dispatchDragEvent(source, 'dragend', at(to), dataTransfer);
+  
+  return {
+    started: true,
+    dropped,
+    dropTarget: dropped ? current : null,
+    dropEffect: dropped ? operation : 'none'
+  };
+}
+
+/**
+ * Drag from one point to another with pointer events: pointerdown and
+ * mousedown on the source, interpolated pointermove and mousemove, then
+ * pointerup and mouseup where the pointer ends
+ * 
+ * This is what pointer-driven libraries (SortableJS in fallback mode,
+ * dnd-kit, sliders) listen to. Moves go to the element under the pointer;
+ * where the layout engine cannot tell, to the source, and finally to
+ * `dropTarget`.
+ * 
+ * @param {Element} source - Pressed element
+ * @param {Object} options - Drag options, as for dispatchDragAndDrop
+ * @returns {Promise<{dropTarget: Element}>} Element the pointer was released over
+ */
+export async function dispatchPointerDrag(source, options) {
+  const {
+    from,
+    to,
+    dropTarget = null,
+    steps = 10,
+    delay = 0,
+    modifiers = []
+  } = options;
+  
+  const doc = source.ownerDocument;
+  const view = doc.defaultView;
+  const modifierState = getModifierState(modifiers);
+  const at = (point, buttons) => ({
+    clientX: point.x,
+    clientY: point.y,
+    screenX: point.x + (view.screenX || 0),
+    screenY: point.y + (view.screenY || 0),
+    button: 0,
+    buttons,
+    ...modifierState
+  });
+  
+  dispatchPointerEnter(source, at(from, 0));
+  
+  // A canceled pointerdown suppresses the compatibility mouse events
+  const mouseEvents = dispatchMouseEvent(source, 'pointerdown', { ...at(from, 1), detail: 1 });
+  if (mouseEvents) dispatchMouseEvent(source, 'mousedown', { ...at(from, 1), detail: 1 });
+  
+  const points = interpolatePoints(from, to, steps);
+  let current = source;
+  
+  for (let i = 0; i < points.length; i++) {
+    const last = i === points.length - 1;
+    current = getElementAtPoint(doc, points[i]) || (last && dropTarget) || source;
+    
+    dispatchMouseEvent(current, 'pointermove', { ...at(points[i], 1), button: -1 });
+    if (mouseEvents) dispatchMouseEvent(current, 'mousemove', at(points[i], 1));
+    
+    if (delay > 0 && !last) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  
+  dispatchMouseEvent(current, 'pointerup', { ...at(to, 0), detail: 1 });
+  if (mouseEvents) dispatchMouseEvent(current, 'mouseup', { ...at(to, 0), detail: 1 });
+  
+  return { dropTarget: current };
+}
+
+/**
+ * Named keys with their KeyboardEvent.code, legacy keyCode and location
+ * @type {Object<string, {code: string, keyCode: number, location?: number}>}
+ */
+const NAMED_KEYS = {
+  Alt: { code: 'AltLeft', keyCode: 18, location: 1 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  CapsLock: { code: 'CapsLock', keyCode: 20 },
+  ContextMenu: { code: 'ContextMenu', keyCode: 93 },
+  Control: { code: 'ControlLeft', keyCode: 17, location: 1 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  End: { code: 'End', keyCode: 35 },
+  Enter: { code: 'Enter', keyCode: 13 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Home: { code: 'Home', keyCode: 36 },
+  Insert: { code: 'Insert', keyCode: 45 },
+  Meta: { code: 'MetaLeft', keyCode: 91, location: 1 },
+  PageDown: { code: 'PageDown', keyCode: 34 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  Shift: { code: 'ShiftLeft', keyCode: 16, location: 1 },
+  Tab: { code: 'Tab', keyCode: 9 }
+};
+
+for (let n = 1; n <= 12; n++) {
+  NAMED_KEYS[`F${n}`] = { code: `F${n}`, keyCode: 111 + n };
+}
+
+/**
+ * Alternative spellings of named keys, lower-case
+ * @type {Object<string, string>}
+ */
+const KEY_ALIASES = {
+  cmd: 'Meta',
+  command: 'Meta',
+  ctrl: 'Control',
+  del: 'Delete',
+  down: 'ArrowDown',
+  esc: 'Escape',
+  left: 'ArrowLeft',
+  option: 'Alt',
+  return: 'Enter',
+  right: 'ArrowRight',
+  space: ' ',
+  up: 'ArrowUp'
+};
+
+/**
+ * US keyboard layout for punctuation: code and keyCode, unshifted and shifted characters
+ * @type {Array<[string, number, string, string]>}
+ */
+const PUNCTUATION_KEYS = [
+  ['Backquote', 192, '`', '~'],
+  ['Minus', 189, '-', '_'],
+  ['Equal', 187, '=', '+'],
+  ['BracketLeft', 219, '[', '{'],
+  ['BracketRight', 221, ']', '}'],
+  ['Backslash', 220, '\\', '|'],
+  ['Semicolon', 186, ';', ':'],
+  ['Quote', 222, "'", '"'],
+  ['Comma', 188, ',', '<'],
+  ['Period', 190, '.', '>'],
+  ['Slash', 191, '/', '?']
+];
+
+/**
+ * Characters typed with Shift on a digit key, in digit order 0-9
+ * @type {string}
+ */
+const SHIFTED_DIGITS = ')!@#$%^&*(';
+
+/**
+ * Modifier keys, in the order they are pressed
+ * @type {string[]}
+ */
+const MODIFIER_NAMES = ['Control', 'Alt', 'Shift', 'Meta'];
+
+/**
+ * Input types that hold editable text
+ * 
+ * Number inputs are left out: they sanitize their value, so the partial
+ * values of typing one key at a time ("-", "1.") would be cleared.
+ * 
+ * @type {Set<string>}
+ */
+const TEXT_INPUT_TYPES = new Set(['', 'text', 'search', 'url', 'tel', 'email', 'password']);
+
+/**
+ * Input types where Enter submits the form, and which keep a form
+ * without a submit button from submitting when there is more than one
+ * @type {Set<string>}
+ */
+const IMPLICIT_SUBMISSION_TYPES = new Set([...TEXT_INPUT_TYPES, 'number']);
+
+/**
+ * Input types whose Enter/Space activation is a click
+ * @type {Set<string>}
+ */
+const BUTTON_INPUT_TYPES = new Set(['button', 'submit', 'reset', 'image']);
+
+/**
+ * Describe a printable character as a key press on a US keyboard
+ * @param {string} char - Single character
+ * @returns {{key: string, code: string, keyCode: number, text: string, shift: boolean}} - Key definition
+ */
+function getCharacterKey(char) {
+  const base = { key: char, code: '', keyCode: 0, text: char, shift: false };
+  
+  if (/^[a-z]$/.test(char)) return { ...base, code: `Key${char.toUpperCase()}`, keyCode: char.toUpperCase().charCodeAt(0) };
+  if (/^[A-Z]$/.test(char)) return { ...base, code: `Key${char}`, keyCode: char.charCodeAt(0), shift: true };
+  if (/^[0-9]$/.test(char)) return { ...base, code: `Digit${char}`, keyCode: char.charCodeAt(0) };
+  if (char === ' ') return { ...base, code: 'Space', keyCode: 32 };
+  
+  const digit = SHIFTED_DIGITS.indexOf(char);
+  if (digit !== -1) return { ...base, code: `Digit${digit}`, keyCode: 48 + digit, shift: true };
+  
+  for (const [code, keyCode, plain, shifted] of PUNCTUATION_KEYS) {
+    if (char === plain) return { ...base, code, keyCode };
+    if (char === shifted) return { ...base, code, keyCode, shift: true };
+  }
+  
+  // Characters outside the layout are typed without a physical key code
+  return base;
+}
+
+/**
+ * Resolve a key name or character to a key definition
+ * @param {string} name - Key name ("Enter", "esc", "ArrowLeft") or a single character
+ * @returns {{key: string, code: string, keyCode: number, location?: number, text?: string, shift?: boolean}} - Key definition
+ */
+export function getKeyDefinition(name) {
+  if ([...name].length === 1) return getCharacterKey(name);
+  
+  const lower = name.toLowerCase();
+  const aliased = KEY_ALIASES[lower];
+  if (aliased) return getKeyDefinition(aliased);
+  
+  // Resolve to the platform's primary shortcut modifier
+  if (lower === 'controlormeta') {
+    const platform = (typeof navigator !== 'undefined' && navigator.platform) || '';
+    return getKeyDefinition(/mac|iphone|ipad/i.test(platform) ? 'Meta' : 'Control');
+  }
+  
+  const key = Object.keys(NAMED_KEYS).find(candidate => candidate.toLowerCase() === lower);
+  if (!key) throw new Error(`Unknown key: ${name}`);
+  
+  return { key, ...NAMED_KEYS[key], text: key === 'Enter' ? '\r' : undefined };
+}
+
+/**
+ * Parse a key combination such as "Control+Shift+A" or "Meta++"
+ * @param {string} combo - Modifiers and a key, joined with "+"
+ * @returns {{modifiers: string[], key: Object}} - Modifier names and the main key definition
+ */
+export function parseKeyCombo(combo) {
+  if (typeof combo !== 'string' || !combo) throw new Error('Key combination must be a non-empty string');
+  
+  // Split on "+" unless it is the key itself ("Control++")
+  const parts = combo.split(/\+(?=.)/);
+  const key = getKeyDefinition(parts.pop());
+  
+  const modifiers = parts.map(part => {
+    const definition = getKeyDefinition(part);
+    if (!MODIFIER_NAMES.includes(definition.key)) throw new Error(`Not a modifier key: ${part}`);
+    return definition.key;
+  });
+  
+  return { modifiers, key };
+}
+
+/**
+ * Dispatch a keyboard event with legacy keyCode/which/charCode values,
+ * which KeyboardEvent's constructor cannot set but older code still reads
+ * @param {Element} target - Event target
+ * @param {string} type - "keydown", "keypress" or "keyup"
+ * @param {Object} key - Key definition
+ * @param {Object} modifierState - Modifier flags
+ * @returns {boolean} - False if the event was canceled
+ */
+function dispatchKeyboardEvent(target, type, key, modifierState) {
+  const view = target.ownerDocument.defaultView;
+  const event = new view.KeyboardEvent(type, {
+    key: key.key,
+    code: key.code,
+    location: key.location || 0,
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    view,
+    ...modifierState
+  });
+  
+  const charCode = type === 'keypress' && key.text ? key.text.charCodeAt(0) : 0;
+  const keyCode = type === 'keypress' ? charCode : key.keyCode;
+  
+  Object.defineProperty(event, 'keyCode', { get: () => keyCode });
+  Object.defineProperty(event, 'which', { get: () => keyCode });
+  Object.defineProperty(event, 'charCode', { get: () => charCode });
+  
+  return target.dispatchEvent(event);
+}
+
+/**
+ * Dispatch a beforeinput or input event
+ * @param {Element} target - Edited element
+ * @param {string} type - "beforeinput" or "input"
+ * @param {string} inputType - InputEvent.inputType, e.g. "insertText"
+ * @param {string|null} data - Inserted text
+ * @returns {boolean} - False if the event was canceled
+ */
+export function dispatchInputEvent(target, type, inputType, data = null) {
+  const view = target.ownerDocument.defaultView;
+  const init = { bubbles: true, cancelable: type === 'beforeinput', composed: true, inputType, data };
+  const event = typeof view.InputEvent === 'function'
+    ? new view.InputEvent(type, init)
+    : new view.Event(type, init);
+  
+  return target.dispatchEvent(event);
+}
+
+/**
+ * Check whether an element is a text input or textarea
+ * @param {Element} element - The element
+ * @returns {boolean} - Whether it holds editable text in its value
+ */
+export function isTextField(element) {
+  const tag = element.tagName.toLowerCase();
+  if (tag === 'textarea') return true;
+  return tag === 'input' && TEXT_INPUT_TYPES.has((element.getAttribute('type') || '').toLowerCase());
+}
+
+/**
+ * Check whether an element is contenteditable
+ * @param {Element} element - The element
+ * @returns {boolean} - Whether its content is editable
+ */
+export function isContentEditable(element) {
+  if (typeof element.isContentEditable === 'boolean' && element.isContentEditable) return true;
+  
+  const host = element.closest('[contenteditable]');
+  return !!host && host.getAttribute('contenteditable') !== 'false';
+}
+
+/**
+ * Set the value of a form field through the native prototype setter
+ * 
+ * React replaces the `value` property of controlled inputs with a tracker
+ * that records assignments, and ignores input events whose value matches
+ * the recorded one. Assigning through the element would update the
+ * tracker and the framework would never see the change; the prototype's
+ * setter bypasses it, as typing does.
+ * 
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Field to update
+ * @param {string} value - New value
+ */
+export function setFieldValue(field, value) {
+  const view = field.ownerDocument.defaultView;
+  const constructor = ['HTMLInputElement', 'HTMLTextAreaElement', 'HTMLSelectElement']
+    .map(name => view[name])
+    .find(candidate => typeof candidate === 'function' && field instanceof candidate);
+  const descriptor = constructor && Object.getOwnPropertyDescriptor(constructor.prototype, 'value');
+  
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(field, value);
+  } else {
+    field.value = value;
+  }
+}
+
+/**
+ * Get the selection of a text field, or null for input types without one
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - Text field
+ * @returns {{start: number, end: number}|null} - Selected range
+ */
+function getFieldSelection(field) {
+  try {
+    if (typeof field.selectionStart === 'number') {
+      return { start: field.selectionStart, end: field.selectionEnd };
+    }
+  } catch (e) {
+    // email and number inputs throw on selection access
+  }
+  
+  return null;
+}
+
+/**
+ * Replace the selected text of a text field, or delete next to the caret
+ * @param {HTMLInputElement|HTMLTextAreaElement} field - Text field
+ * @param {string} text - Text to insert, empty to delete
+ * @param {string} [direction] - "backward" or "forward" when deleting with a collapsed selection
+ */
+function editField(field, text, direction = null) {
+  const value = field.value;
+  const selection = getFieldSelection(field) || { start: value.length, end: value.length };
+  let { start, end } = selection;
+  
+  if (start === end && direction === 'backward') start = Math.max(0, start - 1);
+  if (start === end && direction === 'forward') end = Math.min(value.length, end + 1);
+  
+  // Inserted text is cut off at maxlength, as when typing
+  let inserted = text;
+  if (field.maxLength > 0) {
+    inserted = inserted.slice(0, Math.max(0, field.maxLength - (value.length - (end - start))));
+  }
+  
+  setFieldValue(field, value.slice(0, start) + inserted + value.slice(end));
+  
+  const caret = start + inserted.length;
+  if (getFieldSelection(field)) field.setSelectionRange(caret, caret);
+}
+
+/**
+ * Replace the selection within a contenteditable element, or delete next to the caret
+ * @param {Element} element - Editable element
+ * @param {string} text - Text to insert, empty to delete
+ * @param {string} [direction] - "backward" or "forward" when deleting with a collapsed selection
+ */
+function editContent(element, text, direction = null) {
+  const doc = element.ownerDocument;
+  const selection = doc.getSelection ? doc.getSelection() : null;
+  let range;
+  
+  if (selection && selection.rangeCount > 0 && element.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+    range = selection.getRangeAt(0);
+  } else {
+    // Without a caret inside the element, edit at its end
+    range = doc.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+  }
+  
+  if (range.collapsed && direction && range.startContainer.nodeType === 3) {
+    const node = range.startContainer;
+    if (direction === 'backward' && range.startOffset > 0) range.setStart(node, range.startOffset - 1);
+    if (direction === 'forward' && range.endOffset < node.length) range.setEnd(node, range.endOffset + 1);
+  }
+  
+  range.deleteContents();
+  
+  if (text) {
+    const node = doc.createTextNode(text);
+    range.insertNode(node);
+    range.setStartAfter(node);
+    range.collapse(true);
+  }
+  
+  if (selection) {
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+/**
+ * Edit the text of a field or contenteditable element the way user input
+ * does: beforeinput (cancelable), the edit, then input
+ * @param {Element} element - Edited element
+ * @param {string} inputType - InputEvent.inputType, e.g. "insertText" or "deleteContentBackward"
+ * @param {string} [text=''] - Text to insert
+ * @returns {boolean} - Whether the edit happened
+ */
+export function editText(element, inputType, text = '') {
+  const data = inputType.startsWith('insert') ? text : null;
+  if (!dispatchInputEvent(element, 'beforeinput', inputType, data)) return false;
+  
+  const direction = inputType === 'deleteContentBackward' ? 'backward'
+    : inputType === 'deleteContentForward' ? 'forward'
+    : null;
+  
+  if (isTextField(element)) {
+    editField(element, text, direction);
+  } else {
+    editContent(element, text, direction);
+  }
+  
+  dispatchInputEvent(element, 'input', inputType, data);
+  return true;
+}
+
+/**
+ * Get the elements Tab moves focus between, in tab order
+ * @param {Document} doc - Document to search
+ * @returns {Element[]} - Tabbable elements: positive tabindex first, then document order
+ */
+function getTabbableElements(doc) {
+  const candidates = Array.from(doc.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element =>
+    element.tabIndex >= 0 && !element.matches(':disabled') && !element.closest('[inert]') &&
+    isElementVisible(element));
+  
+  const positive = candidates.filter(element => element.tabIndex > 0)
+    .sort((a, b) => a.tabIndex - b.tabIndex);
+  
+  return [...positive, ...candidates.filter(element => element.tabIndex === 0)];
+}
+
+/**
+ * Submit the form of a text field as pressing Enter does (implicit submission)
+ * @param {HTMLInputElement} field - Field Enter was pressed in
+ * @returns {boolean} - Whether a submission was started
+ */
+function submitImplicitly(field) {
+  const form = field.form;
+  if (!form) return false;
+  
+  // The default button is the form's first submit button
+  const defaultButton = Array.from(form.elements).find(element =>
+    (element.tagName.toLowerCase() === 'button' && (element.getAttribute('type') || 'submit').toLowerCase() === 'submit') ||
+    (element.tagName.toLowerCase() === 'input' && ['submit', 'image'].includes((element.getAttribute('type') || '').toLowerCase())));
+  
+  if (defaultButton) {
+    if (defaultButton.matches(':disabled')) return false;
+    defaultButton.click();
+    return true;
+  }
+  
+  // Without a submit button, only forms with a single text field submit
+  const blockingFields = Array.from(form.elements).filter(element =>
+    element.tagName.toLowerCase() === 'input' && IMPLICIT_SUBMISSION_TYPES.has((element.getAttribute('type') || '').toLowerCase()));
+  if (blockingFields.length > 1) return false;
+  
+  if (typeof form.requestSubmit === 'function') {
+    form.requestSubmit();
+  } else if (form.dispatchEvent(new (form.ownerDocument.defaultView.Event)('submit', { bubbles: true, cancelable: true }))) {
+    form.submit();
+  }
+  
+  return true;
+}
+
+/**
+ * Check whether Enter or Space activates an element like a click
+ * @param {Element} element - Focused element
+ * @param {string} key - "Enter" or " "
+ * @returns {boolean} - Whether the key clicks the element
+ */
+function isKeyActivated(element, key) {
+  const tag = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  
+  if (tag === 'button' || tag === 'summary' || (tag === 'input' && BUTTON_INPUT_TYPES.has(type))) return true;
+  if (key === 'Enter') return tag === 'a' && element.hasAttribute('href');
+  return tag === 'input' && (type === 'checkbox' || type === 'radio');
+}
+
+/**
+ * Run the browser's default action for a key press that was not canceled
+ * @param {Element} target - Element that received the key press
+ * @param {Object} key - Key definition
+ * @param {Object} modifierState - Modifier flags
+ * @returns {string|null} - Name of the default action taken
+ */
+function runKeyDefaultAction(target, key, modifierState) {
+  const doc = target.ownerDocument;
+  const shortcut = modifierState.ctrlKey || modifierState.metaKey;
+  const editable = isTextField(target) || isContentEditable(target);
+  
+  // Select all
+  if (shortcut && key.key.toLowerCase() === 'a') {
+    if (isTextField(target)) {
+      target.select();
+    } else if (doc.getSelection) {
+      doc.getSelection().selectAllChildren(isContentEditable(target) ? target : doc.body);
+    }
+    return 'selectAll';
+  }
+  
+  if (shortcut || modifierState.altKey) return null;
+  
+  switch (key.key) {
+    case 'Enter':
+      if (target.tagName.toLowerCase() === 'textarea' || (editable && !isTextField(target))) {
+        return editText(target, 'insertLineBreak', '\n') ? 'insertLineBreak' : null;
+      }
+      if (target.tagName.toLowerCase() === 'input' &&
+        IMPLICIT_SUBMISSION_TYPES.has((target.getAttribute('type') || '').toLowerCase())) {
+        return submitImplicitly(target) ? 'submit' : null;
+      }
+      if (isKeyActivated(target, 'Enter')) {
+        target.click();
+        return 'click';
+      }
+      return null;
+    
+    case 'Tab': {
+      const tabbable = getTabbableElements(doc);
+      if (tabbable.length === 0) return null;
+      
+      const index = tabbable.indexOf(doc.activeElement);
+      const step = modifierState.shiftKey ? -1 : 1;
+      const next = index === -1
+        ? tabbable[step > 0 ? 0 : tabbable.length - 1]
+        : tabbable[(index + step + tabbable.length) % tabbable.length];
+      
+      next.focus();
+      return modifierState.shiftKey ? 'focusPrevious' : 'focusNext';
+    }
+    
+    case 'Backspace':
+    case 'Delete':
+      if (!editable) return null;
+      return editText(target, key.key === 'Backspace' ? 'deleteContentBackward' : 'deleteContentForward')
+        ? 'delete'
+        : null;
+    
+    case 'Escape': {
+      const dialog = target.closest('dialog[open]');
+      if (!dialog) return null;
+      
+      const view = doc.defaultView;
+      if (!dialog.dispatchEvent(new view.Event('cancel', { cancelable: true }))) return null;
+      
+      // Browsers without HTMLDialogElement only have the open attribute
+      if (typeof dialog.close === 'function') {
+        dialog.close();
+      } else {
+        dialog.removeAttribute('open');
+      }
+      return 'closeDialog';
+    }
+    
+    case 'ArrowLeft':
+    case 'ArrowRight':
+    case 'Home':
+    case 'End': {
+      const selection = isTextField(target) ? getFieldSelection(target) : null;
+      if (!selection) return null;
+      
+      const length = target.value.length;
+      const caret = {
+        ArrowLeft: selection.start === selection.end ? Math.max(0, selection.start - 1) : selection.start,
+        ArrowRight: selection.start === selection.end ? Math.min(length, selection.end + 1) : selection.end,
+        Home: 0,
+        End: length
+      }[key.key];
+      
+      target.setSelectionRange(caret, caret);
+      return 'moveCaret';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Press a key on an element: keydown, keypress and text input for
+ * printable keys, the key's default action, then keyup
+ * 
+ * Modifier keys are pressed before and released after the main key.
+ * Default actions include text insertion and deletion, implicit form
+ * submission on Enter, Enter/Space activation of buttons and links, Tab
+ * focus navigation, Escape closing a <dialog> and Control/Meta+A.
+ * 
+ * @param {Element} target - Element receiving the key events
+ * @param {Object} key - Key definition from getKeyDefinition
+ * @param {string[]} [modifiers=[]] - Modifier keys held during the press
+ * @returns {{defaultPrevented: boolean, defaultAction: string|null}} - What the press did
+ */
+export function pressKey(target, key, modifiers = []) {
+  const held = [];
+  const stateOf = names => {
+    const state = getModifierState(names);
+    if (key.shift) state.shiftKey = true;
+    return state;
+  };
+  
+  for (const modifier of modifiers) {
+    held.push(modifier);
+    dispatchKeyboardEvent(target, 'keydown', getKeyDefinition(modifier), getModifierState(held));
+  }
+  
+  const modifierState = stateOf(modifiers);
+  let defaultPrevented = !dispatchKeyboardEvent(target, 'keydown', key, modifierState);
+  let defaultAction = null;
+  
+  if (!defaultPrevented) {
+    const producesText = key.text && !modifierState.ctrlKey && !modifierState.metaKey;
+    
+    // keypress only fires for keys that produce a character
+    if (producesText) {
+      defaultPrevented = !dispatchKeyboardEvent(target, 'keypress', key, modifierState);
+    }
+    
+    if (!defaultPrevented) {
+      const editable = isTextField(target) || isContentEditable(target);
+      
+      if (producesText && key.key !== 'Enter' && editable) {
+        defaultAction = editText(target, 'insertText', key.text) ? 'insertText' : null;
+      } else if (key.key !== ' ') {
+        defaultAction = runKeyDefaultAction(target, key, modifierState);
+      }
+    }
+  }
+  
+  // Focus may have moved (Tab), keyup goes to the focused element
+  const doc = target.ownerDocument;
+  const keyupTarget = defaultAction && defaultAction.startsWith('focus') ? doc.activeElement : target;
+  dispatchKeyboardEvent(keyupTarget, 'keyup', key, modifierState);
+  
+  // Space activates buttons, checkboxes and radios when released
+  if (key.key === ' ' && !defaultPrevented && !defaultAction && isKeyActivated(target, ' ')) {
+    target.click();
+    defaultAction = 'click';
+  }
+  
+  for (const modifier of [...modifiers].reverse()) {
+    held.pop();
+    dispatchKeyboardEvent(keyupTarget, 'keyup', getKeyDefinition(modifier), getModifierState(held));
+  }
+  
+  return { defaultPrevented, defaultAction };
+}
+
+/**
+ * Type text one key press at a time
+ * 
+ * "\n" is typed as Enter and "\t" as Tab; every other character is a
+ * printable key press with a US-layout key and code where one exists.
+ * 
+ * @param {Element} target - Element receiving the key events
+ * @param {string} text - Text to type
+ * @param {Object} [options] - Typing options
+ * @param {number} [options.delay=0] - Delay between keystrokes in ms
+ * @returns {Promise<void>} Resolves when all characters are typed
+ */
+export async function typeText(target, text, options = {}) {
+  const { delay = 0 } = options;
+  const chars = [...text];
+  
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const key = char === '\n' ? getKeyDefinition('Enter')
+      : char === '\t' ? getKeyDefinition('Tab')
+      : getCharacterKey(char);
+    
+    pressKey(target, key);
+    
+    if (delay > 0 && i < chars.length - 1) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
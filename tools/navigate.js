@@ -10,52 +10,118 @@
 
 import { 
   createSuccessResult, 
-  createErrorResult, 
-  createLoadPromise 
+  createErrorResult 
 } from './utils.js';
 
+import { 
+  addUrlChange,
+  createNavigationPromise
+} from './navigation.js';
+
+import { 
+  beginHandoff,
+  endHandoff
+} from './handoff.js';
+
+import { 
+  expectTraversal,
+  getSessionHistory
+} from './session-history.js';
+
+/**
+ * Resolve a URL and query parameters against the current location
+ * @param {string} url - Absolute or relative URL; empty for the current location
+ * @param {Object|null} query - Query parameters to set: arrays add one parameter per item, null or undefined removes one
+ * @returns {URL} - Absolute URL
+ */
+function resolveUrl(url, query) {
+  const resolved = new URL(url || '', window.location.href);
+  
+  if (query === null || query === undefined) return resolved;
+  
+  if (typeof query !== 'object' || Array.isArray(query)) {
+    throw new Error('query must be an object of parameter names and values');
+  }
+  
+  for (const [name, value] of Object.entries(query)) {
+    resolved.searchParams.delete(name);
+    if (value === null || value === undefined) continue;
+    
+    for (const item of Array.isArray(value) ? value : [value]) {
+      resolved.searchParams.append(name, String(item));
+    }
+  }
+  
+  return resolved;
+}
+
 /**
  * Navigate to a URL
  * 
- * @param {string} url - URL to navigate to
+ * Relative URLs ("/orders", "?page=2", "#reviews") and query objects are
+ * resolved against the current location. Resolves once `waitUntil` is
+ * reached: for full navigations on the next page, through Handoff.onResult,
+ * and for same-document ones (hash changes, or routes a client-side
+ * router intercepts) in this page; `navigation` reports which happened.
+ * The result tells the requested URL from the final one, so redirects
+ * show up as `redirected`, and `urlChange` says which part of the URL
+ * changed.
+ * 
+ * @param {string} url - Absolute or relative URL to navigate to
  * @param {Object} [options] - Navigation options
- * @param {boolean} [options.waitForLoad=true] - Wait for page to fully load
+ * @param {Object} [options.query] - Query parameters to set on the URL, e.g. { page: 2, tag: ['a', 'b'] }
+ * @param {string} [options.waitUntil='load'] - "commit", "domcontentloaded", "load", "networkidle", "domstable" or "selector:<css>"
+ * @param {boolean} [options.waitForLoad=true] - Without waitUntil, false stands for "commit"
  * @param {number} [options.timeout=30000] - Maximum wait time in ms
  * @returns {Promise<Object>} Result with page information
  */
 async function to(url, options = {}) {
+  let requestedUrl = url;
+  
   try {
-    // Validate URL
-    new URL(url); // Will throw if invalid
+    const destination = resolveUrl(url, options.query);
+    requestedUrl = destination.href;
     
     const currentUrl = window.location.href;
     
     // Create result data with basic info
     const resultData = {
-      url,
+      requestedUrl,
       previousUrl: currentUrl,
       timestamp: new Date().toISOString()
     };
     
     // Create a promise that resolves when the page loads
-    const navigationPromise = createLoadPromise(options);
+    const navigationPromise = createNavigationPromise(options);
     
-    // Navigate to the URL
-    window.location.href = url;
+    // Let the next page finish the operation if this one unloads; other
+    // origins cannot read this origin's sessionStorage
+    const handoffId = destination.origin === window.location.origin
+      ? beginHandoff('Navigate.to', { ...resultData, loadSuccess: true }, options)
+      : null;
     
-    // Wait for navigation to complete
-    const loadData = await navigationPromise;
+    let loadData;
+    try {
+      // Navigate to the URL
+      window.location.href = requestedUrl;
+      
+      // Wait for navigation to complete
+      loadData = await navigationPromise;
+    } finally {
+      endHandoff(handoffId);
+    }
     
     // Merge load data with result data
     Object.assign(resultData, loadData);
     resultData.loadSuccess = true;
     
-    return createSuccessResult(resultData);
+    return createSuccessResult(addUrlChange(resultData));
   } catch (error) {
     return createErrorResult(
       `Navigation failed: ${error.message}`,
       {
         url,
+        requestedUrl,
         currentUrl: window.location.href
       }
     );
@@ -63,11 +129,59 @@ async function to(url, options = {}) {
 }
 
 /**
- * Navigate browser history (back, forward, refresh)
+ * Work out how many entries a history navigation moves
+ * @param {string} direction - "back", "forward" or "go"
+ * @param {Object} options - Navigation options with delta or index for "go"
+ * @param {number} currentIndex - Index of the current entry
+ * @returns {number} - Entries to move, negative for back
+ */
+function getHistoryDelta(direction, options, currentIndex) {
+  if (direction === 'back') return -1;
+  if (direction === 'forward') return 1;
+  
+  const { delta, index } = options;
+  
+  if ((delta === undefined) === (index === undefined)) {
+    throw new Error("'go' needs either a delta or an entry index");
+  }
+  
+  const value = index === undefined ? delta : index - currentIndex;
+  
+  if (!Number.isInteger(value)) {
+    throw new Error(`${index === undefined ? 'delta' : 'index'} must be an integer`);
+  }
+  
+  if (value === 0) {
+    throw new Error(index === undefined ? 'delta must not be 0' : `Entry ${index} is the current entry`);
+  }
+  
+  return value;
+}
+
+/**
+ * Navigate browser history (back, forward, go, refresh)
+ * 
+ * Moves are checked against the tab's session history (see
+ * Navigate.getState), so going back from the first entry or forward
+ * from the last fails at once instead of timing out. "go" moves by
+ * `delta` entries or jumps to the entry at `index`.
  * 
- * @param {string} direction - Direction: "back", "forward", or "refresh"
+ * Without the Navigation API, the library's log only starts at the first
+ * page that used it, so moving back past its start is still attempted
+ * when history.length shows earlier entries; the result's index is then
+ * null.
+ * 
+ * Going back or forward between entries of a single-page app resolves
+ * on popstate instead of waiting for a load event that never comes.
+ * Results of full navigations are handed off to the next page, as for
+ * Navigate.to.
+ * 
+ * @param {string} direction - Direction: "back", "forward", "go", or "refresh"
  * @param {Object} [options] - Navigation options
- * @param {boolean} [options.waitForLoad=true] - Wait for page to fully load
+ * @param {number} [options.delta] - For "go": entries to move, negative for back
+ * @param {number} [options.index] - For "go": index of the entry to jump to, from Navigate.getState
+ * @param {string} [options.waitUntil='load'] - Load state to wait for, as for Navigate.to
+ * @param {boolean} [options.waitForLoad=true] - Without waitUntil, false stands for "commit"
  * @param {number} [options.timeout=30000] - Maximum wait time in ms
  * @returns {Promise<Object>} Result with page information
  */
@@ -77,46 +191,74 @@ async function history(direction, options = {}) {
     const currentTitle = document.title;
     
     // Validate direction
-    if (!['back', 'forward', 'refresh'].includes(direction)) {
-      throw new Error(`Invalid direction: ${direction}. Must be 'back', 'forward', or 'refresh'`);
+    if (!['back', 'forward', 'go', 'refresh'].includes(direction)) {
+      throw new Error(`Invalid direction: ${direction}. Must be 'back', 'forward', 'go', or 'refresh'`);
     }
     
+    const resultData = {
+      previousUrl: currentUrl,
+      previousTitle: currentTitle,
+      direction
+    };
+    
     // Check if we can navigate as requested
-    if (direction === 'back' && window.history.length <= 1) {
-      return createErrorResult(
-        'Cannot go back - no previous page in history',
-        { currentUrl, direction }
-      );
+    if (direction !== 'refresh') {
+      const session = getSessionHistory();
+      const delta = getHistoryDelta(direction, options, session.index);
+      const target = session.index + delta;
+      
+      // The log starts at the first page that loaded the library, so earlier
+      // entries (another origin, or a page without it) are only seen in history.length
+      const beforeLog = session.source === 'log' && target < 0 &&
+        -target <= window.history.length - session.entries.length;
+      
+      if ((target < 0 || target >= session.entries.length) && !beforeLog) {
+        const message = direction === 'back'
+          ? 'Cannot go back - no previous page in history'
+          : direction === 'forward'
+            ? 'Cannot go forward - no next page in history'
+            : `Cannot go to entry ${target} - history has entries 0 to ${session.entries.length - 1}`;
+        
+        return createErrorResult(message, {
+          currentUrl,
+          direction,
+          index: session.index,
+          length: session.entries.length
+        });
+      }
+      
+      resultData.delta = delta;
+      resultData.index = beforeLog ? null : target;
     }
     
     // Create promise for navigation
-    const navigationPromise = createLoadPromise(options);
-    
-    // Perform the navigation
-    switch (direction) {
-      case 'back':
-        window.history.back();
-        break;
-      case 'forward':
-        window.history.forward();
-        break;
-      case 'refresh':
+    const navigationPromise = createNavigationPromise(options);
+    
+    // Let the next page finish the operation if this one unloads
+    const handoffId = beginHandoff('Navigate.history', resultData, options);
+    
+    let loadData;
+    try {
+      // Perform the navigation
+      if (direction === 'refresh') {
         window.location.reload();
-        break;
+      } else {
+        // An entry the log does not hold cannot be followed exactly
+        expectTraversal(resultData.index === null ? null : resultData.delta);
+        window.history.go(resultData.delta);
+      }
+      
+      // Wait for navigation to complete
+      loadData = await navigationPromise;
+    } finally {
+      endHandoff(handoffId);
+      if (direction !== 'refresh') expectTraversal(null);
     }
     
-    // Wait for navigation to complete
-    const loadData = await navigationPromise;
-    
-    // Create result with navigation information
-    const resultData = {
-      previousUrl: currentUrl,
-      previousTitle: currentTitle,
-      direction,
-      ...loadData
-    };
+    // Merge load data with result data
+    Object.assign(resultData, loadData);
     
-    return createSuccessResult(resultData);
+    return createSuccessResult(addUrlChange(resultData));
   } catch (error) {
     return createErrorResult(
       `History navigation failed: ${error.message}`,
@@ -131,17 +273,36 @@ async function history(direction, options = {}) {
 /**
  * Get current browser navigation state
  * 
+ * canGoBack and canGoForward come from the tab's session history, which
+ * the library tracks itself, rather than from history.length.
+ * 
+ * @param {Object} [options] - State options
+ * @param {boolean} [options.includeEntries=true] - Include the session history entries
  * @returns {Object} Result with navigation state
  */
-function getState() {
+function getState(options = {}) {
   try {
-    return createSuccessResult({
+    const {
+      includeEntries = true
+    } = options;
+    
+    const session = getSessionHistory();
+    
+    const state = {
       url: window.location.href,
       title: document.title,
       historyLength: window.history.length,
-      canGoBack: window.history.length > 1,
+      canGoBack: session.canGoBack,
+      canGoForward: session.canGoForward,
+      index: session.index,
+      entryCount: session.entries.length,
+      source: session.source,
       timestamp: new Date().toISOString()
-    });
+    };
+    
+    if (includeEntries) state.entries = session.entries;
+    
+    return createSuccessResult(state);
   } catch (error) {
     return createErrorResult(`Failed to get navigation state: ${error.message}`);
   }
@@ -0,0 +1,426 @@
+/**
+ * BrowserMagic DOM - Navigation Tracking
+ * 
+ * Detects when a navigation completes, whether it loads a new document
+ * (full navigation) or stays in the same one (soft navigation): History
+ * API calls, popstate, hashchange and Navigation API navigations, which
+ * is how client-side routers change pages without a load event.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { waitForCondition } from './wait.js';
+
+/**
+ * Load states a navigation can wait for, besides "selector:<css>"
+ * @type {string[]}
+ */
+const LOAD_STATES = ['commit', 'domcontentloaded', 'load', 'networkidle', 'domstable'];
+
+/**
+ * Prefix of the waitUntil value that waits for an element
+ * @type {string}
+ */
+const SELECTOR_PREFIX = 'selector:';
+
+/**
+ * Time without network requests after which the network counts as idle, in ms
+ * @type {number}
+ */
+const NETWORK_IDLE_TIME = 500;
+
+/**
+ * Time without DOM mutations after which the DOM counts as stable, in ms
+ * @type {number}
+ */
+const DOM_STABLE_TIME = 500;
+
+/**
+ * Delay after a load event, for immediate post-load work, in ms
+ * @type {number}
+ */
+const LOAD_SETTLE = 500;
+
+/**
+ * Delay after a soft navigation, for the router to render the new route, in ms
+ * @type {number}
+ */
+const SOFT_NAVIGATION_SETTLE = 100;
+
+/**
+ * Listeners notified of every soft navigation
+ * @type {Set<Function>}
+ */
+const softNavigationListeners = new Set();
+
+/**
+ * Whether the History API hooks and event listeners are installed
+ * @type {boolean}
+ */
+let trackingInstalled = false;
+
+/**
+ * Notify listeners of a soft navigation
+ * @param {string} trigger - What caused it: "pushState", "replaceState", "popstate", "hashchange" or "navigate"
+ */
+function notifySoftNavigation(trigger) {
+  for (const listener of Array.from(softNavigationListeners)) {
+    listener(trigger);
+  }
+}
+
+/**
+ * Listen for every soft navigation
+ * 
+ * Starts navigation tracking if needed. Listeners run right after the
+ * URL changes, with the trigger ("pushState", "replaceState",
+ * "popstate", "hashchange" or "navigate"); one navigation can notify
+ * more than once, e.g. popstate followed by hashchange.
+ * 
+ * @param {Function} listener - Called with the trigger
+ * @returns {Function} - Function that removes the listener
+ */
+export function addSoftNavigationListener(listener) {
+  installNavigationTracking();
+  softNavigationListeners.add(listener);
+  
+  return () => softNavigationListeners.delete(listener);
+}
+
+/**
+ * Events a document fires when a full navigation commits and it is about to be left
+ * @type {string[]}
+ */
+const UNLOAD_TRIGGERS = ['beforeunload', 'pagehide'];
+
+/**
+ * Describe the page after a navigation
+ * 
+ * A full navigation that commits is seen from the page being left, which
+ * cannot know the new URL or title yet; both are null then.
+ * 
+ * @param {string} navigation - "full" or "soft"
+ * @param {string|null} trigger - What caused the navigation
+ * @param {string} waitUntil - Load state that was waited for
+ * @returns {Object} - URL, title, navigation, trigger, waitUntil and timestamp
+ */
+function getNavigationData(navigation, trigger, waitUntil) {
+  const leaving = UNLOAD_TRIGGERS.includes(trigger);
+  
+  return {
+    url: leaving ? null : window.location.href,
+    title: leaving ? null : document.title,
+    navigation,
+    trigger,
+    waitUntil,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Get the load state navigation options ask for
+ * 
+ * `waitUntil` wins; without it, `waitForLoad: false` stands for "commit".
+ * 
+ * @param {Object} [options] - Navigation options
+ * @param {string} [options.waitUntil] - "commit", "domcontentloaded", "load", "networkidle", "domstable" or "selector:<css>"
+ * @param {boolean} [options.waitForLoad=true] - Wait for the load event
+ * @returns {string} - Load state
+ */
+export function getWaitUntil(options = {}) {
+  const {
+    waitUntil,
+    waitForLoad = true
+  } = options;
+  
+  const state = waitUntil === undefined || waitUntil === null
+    ? (waitForLoad ? 'load' : 'commit')
+    : waitUntil;
+  
+  const isSelector = typeof state === 'string' && state.startsWith(SELECTOR_PREFIX) &&
+    state.length > SELECTOR_PREFIX.length;
+  
+  if (!LOAD_STATES.includes(state) && !isSelector) {
+    throw new Error(`Invalid waitUntil: ${state}. Must be one of: ${LOAD_STATES.join(', ')} or selector:<css>`);
+  }
+  
+  return state;
+}
+
+/**
+ * Describe how a URL differs from another
+ * @param {string} from - URL before
+ * @param {string} to - URL after
+ * @returns {string} - "none", "hash", "query", "path" or "origin": the most significant part that changed
+ */
+export function describeUrlChange(from, to) {
+  const before = new URL(from);
+  const after = new URL(to);
+  
+  if (before.href === after.href) return 'none';
+  if (before.origin !== after.origin) return 'origin';
+  if (before.pathname !== after.pathname) return 'path';
+  if (before.search !== after.search) return 'query';
+  
+  return 'hash';
+}
+
+/**
+ * Add what changed to the data of a finished navigation: urlChange
+ * against previousUrl and, when a requestedUrl is known, whether the
+ * navigation was redirected elsewhere
+ * @param {Object} data - Navigation result data with url and previousUrl
+ * @returns {Object} - The same data
+ */
+export function addUrlChange(data) {
+  if (data.previousUrl && data.url) {
+    data.urlChange = describeUrlChange(data.previousUrl, data.url);
+  }
+  
+  if (data.requestedUrl && data.url) {
+    data.redirected = data.url !== data.requestedUrl;
+  }
+  
+  return data;
+}
+
+/**
+ * Start tracking soft navigations
+ * 
+ * Wraps history.pushState and history.replaceState, and listens for
+ * popstate, hashchange and, where the Navigation API exists, for
+ * navigations that complete in the same document (including those a
+ * router intercepted). Safe to call more than once.
+ */
+export function installNavigationTracking() {
+  if (trackingInstalled) return;
+  trackingInstalled = true;
+  
+  let lastUrl = window.location.href;
+  
+  /**
+   * Report a navigation and remember the URL it led to
+   * @param {string} trigger - What caused the navigation
+   */
+  const report = trigger => {
+    lastUrl = window.location.href;
+    notifySoftNavigation(trigger);
+  };
+  
+  for (const method of ['pushState', 'replaceState']) {
+    const original = window.history[method];
+    
+    window.history[method] = function (...args) {
+      const result = original.apply(this, args);
+      
+      // Routers also call replaceState just to store state such as scroll positions
+      if (method === 'pushState' || window.location.href !== lastUrl) report(method);
+      
+      return result;
+    };
+  }
+  
+  window.addEventListener('popstate', () => report('popstate'));
+  window.addEventListener('hashchange', () => report('hashchange'));
+  
+  // Routers built on the Navigation API intercept navigations without
+  // touching the History API; navigatesuccess fires once they have finished
+  if (window.navigation && typeof window.navigation.addEventListener === 'function') {
+    window.navigation.addEventListener('navigatesuccess', () => report('navigate'));
+  }
+}
+
+/**
+ * Wait for the document to reach a ready state
+ * @param {string} state - "interactive" or "complete"
+ * @param {number} deadline - Time to give up at, from Date.now()
+ * @returns {Promise<void>} - Resolves when reached, rejects at the deadline
+ */
+function waitForReadyState(state, deadline) {
+  const reached = () => document.readyState === 'complete' ||
+    (state === 'interactive' && document.readyState === 'interactive');
+  
+  if (reached()) return Promise.resolve();
+  
+  return new Promise((resolve, reject) => {
+    let timeoutId;
+    
+    const handleChange = () => {
+      if (!reached()) return;
+      
+      if (timeoutId) clearTimeout(timeoutId);
+      document.removeEventListener('readystatechange', handleChange);
+      resolve();
+    };
+    
+    if (deadline !== Infinity) {
+      timeoutId = setTimeout(() => {
+        document.removeEventListener('readystatechange', handleChange);
+        reject(new Error(`document did not reach readyState "${state}"`));
+      }, Math.max(deadline - Date.now(), 0));
+    }
+    
+    document.addEventListener('readystatechange', handleChange);
+  });
+}
+
+/**
+ * Wait for the current document to reach a load state
+ * 
+ * - commit: nothing to wait for
+ * - domcontentloaded: the document is parsed
+ * - load: the load event has fired, plus a short settle delay
+ * - networkidle: loaded, and no requests in flight for 500ms (Network.start()
+ *   lets it see pending requests, otherwise only finished ones count)
+ * - domstable: parsed, and no DOM mutations for 500ms
+ * - selector:<css>: the element is visible
+ * 
+ * @param {string} waitUntil - Load state, as returned by getWaitUntil
+ * @param {Object} [options] - Wait options
+ * @param {number} [options.timeout=30000] - Timeout in ms, 0 for none
+ * @returns {Promise<void>} - Resolves when reached; rejects with a timeout error naming the state
+ */
+export async function waitForLoadState(waitUntil, options = {}) {
+  const {
+    timeout = 30000
+  } = options;
+  
+  const deadline = timeout ? Date.now() + timeout : Infinity;
+  
+  try {
+    if (waitUntil === 'commit') return;
+    
+    await waitForReadyState(waitUntil === 'load' || waitUntil === 'networkidle' ? 'complete' : 'interactive', deadline);
+    
+    if (waitUntil === 'load') {
+      await new Promise(resolve => setTimeout(resolve, LOAD_SETTLE));
+    } else if (waitUntil !== 'domcontentloaded') {
+      const condition = waitUntil === 'networkidle' ? { networkIdle: NETWORK_IDLE_TIME }
+        : waitUntil === 'domstable' ? { domQuiet: DOM_STABLE_TIME }
+        : { target: waitUntil.slice(SELECTOR_PREFIX.length) };
+      
+      const outcome = await waitForCondition(condition, {
+        timeout: Math.max(deadline - Date.now(), 0),
+        polling: waitUntil.startsWith(SELECTOR_PREFIX) ? 'raf' : 'mutation'
+      });
+      
+      if (!outcome.met) {
+        throw new Error(outcome.failed.map(failure => failure.description).join(' and '));
+      }
+    }
+  } catch (error) {
+    throw new Error(`Timed out waiting for ${waitUntil}: ${error.message}`);
+  }
+}
+
+/**
+ * Create a promise that resolves when the next navigation completes
+ * 
+ * Create it before starting the navigation. Soft navigations resolve it
+ * shortly after the URL changes, full navigations on the load event, or
+ * for "commit" when the page starts unloading; waitUntil states beyond
+ * "load" are then waited for in the document. Nothing resolves it but a
+ * navigation: without one it times out.
+ * 
+ * @param {Object} [options] - Navigation options
+ * @param {string} [options.waitUntil='load'] - Load state to wait for, see waitForLoadState
+ * @param {boolean} [options.waitForLoad=true] - Without waitUntil, false stands for "commit"
+ * @param {number} [options.timeout=30000] - Timeout in ms
+ * @returns {Promise<{url: string, title: string, navigation: string, trigger: string|null, waitUntil: string, timestamp: string}>}
+ *   Page after the navigation; navigation is "full" or "soft", trigger what caused it ("load" for full loads,
+ *   "beforeunload" or "pagehide" for full navigations that committed, with url and title null)
+ */
+export function createNavigationPromise(options = {}) {
+  const {
+    timeout = 30000
+  } = options;
+  
+  const waitUntil = getWaitUntil(options);
+  const start = Date.now();
+  
+  installNavigationTracking();
+  
+  const committed = new Promise((resolve, reject) => {
+    let settled = false;
+    let timeoutId;
+    
+    const cleanup = () => {
+      if (timeoutId) clearTimeout(timeoutId);
+      window.removeEventListener('load', handleLoad);
+      for (const type of UNLOAD_TRIGGERS) window.removeEventListener(type, handleUnload);
+      softNavigationListeners.delete(handleSoftNavigation);
+    };
+    
+    /**
+     * Resolve once the settle delay has passed
+     * @param {string} navigation - "full" or "soft"
+     * @param {string|null} trigger - What caused the navigation
+     * @param {number} delay - Settle delay in ms
+     */
+    const finish = (navigation, trigger, delay) => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+      
+      setTimeout(() => resolve({ navigation, trigger }), delay);
+    };
+    
+    const handleLoad = () => finish('full', 'load', LOAD_SETTLE);
+    
+    // The page is being left: the full navigation has committed
+    const handleUnload = event => finish('full', event.type, 0);
+    
+    const handleSoftNavigation = trigger => finish('soft', trigger, waitUntil === 'commit' ? 0 : SOFT_NAVIGATION_SETTLE);
+    
+    if (timeout) {
+      timeoutId = setTimeout(() => {
+        settled = true;
+        cleanup();
+        reject(new Error(`Navigation timeout after ${timeout}ms`));
+      }, timeout);
+    }
+    
+    softNavigationListeners.add(handleSoftNavigation);
+    
+    if (waitUntil !== 'commit') {
+      window.addEventListener('load', handleLoad, { once: true });
+    } else {
+      for (const type of UNLOAD_TRIGGERS) window.addEventListener(type, handleUnload);
+    }
+  });
+  
+  return committed.then(async ({ navigation, trigger }) => {
+    // The document is already loaded; later states still need waiting for
+    if (waitUntil === 'networkidle' || waitUntil === 'domstable' || waitUntil.startsWith(SELECTOR_PREFIX)) {
+      await waitForLoadState(waitUntil, {
+        timeout: timeout ? Math.max(timeout - (Date.now() - start), 1) : 0
+      });
+    }
+    
+    return getNavigationData(navigation, trigger, waitUntil);
+  });
+}
+
+/**
+ * Wait for the current document to reach a load state after a full navigation
+ * 
+ * Used on the page a full navigation led to, where the load event may
+ * already have fired by the time the library runs.
+ * 
+ * @param {Object} [options] - Load options
+ * @param {string} [options.waitUntil='load'] - Load state to wait for, see waitForLoadState
+ * @param {number} [options.timeout=30000] - Timeout in ms, 0 for none
+ * @returns {Promise<{url: string, title: string, navigation: string, trigger: string, waitUntil: string, timestamp: string}>}
+ *   Page after loading, described like the result of createNavigationPromise
+ */
+export async function waitForDocumentLoad(options = {}) {
+  const {
+    waitUntil = 'load',
+    timeout = 30000
+  } = options;
+  
+  await waitForLoadState(waitUntil, { timeout });
+  
+  return getNavigationData('full', 'load', waitUntil);
+}
@@ -0,0 +1,558 @@
+/**
+ * BrowserMagic DOM - Network Monitor
+ * 
+ * Opt-in record of the requests the page makes through fetch,
+ * XMLHttpRequest, navigator.sendBeacon and WebSocket, so agents can tell
+ * whether data is still loading after an action and read what was sent.
+ * Network.start() wraps those APIs in the current window; requests made
+ * before it, by other frames, or by the browser itself (images, scripts,
+ * stylesheets) are not recorded.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { 
+  createSuccessResult,
+  createErrorResult,
+  globToRegExp
+} from './utils.js';
+
+/**
+ * Request types the monitor records
+ * @type {string[]}
+ */
+const REQUEST_TYPES = ['fetch', 'xhr', 'beacon', 'websocket'];
+
+/**
+ * Request states: pending until a response, then complete, failed or aborted; WebSockets are open until closed
+ * @type {string[]}
+ */
+const REQUEST_STATES = ['pending', 'complete', 'failed', 'aborted', 'open', 'closed'];
+
+/**
+ * Running monitor: the options it was started with and the APIs it replaced
+ * @type {Object|null}
+ */
+let monitor = null;
+
+/**
+ * Recorded requests, oldest first
+ * @type {Array<Object>}
+ */
+let requests = [];
+
+/**
+ * Requests that have not finished, WebSockets only while connecting
+ * @type {Set<Object>}
+ */
+const inFlight = new Set();
+
+/**
+ * Monotonic start time of each request, for its duration
+ * @type {WeakMap<Object, number>}
+ */
+const startTimes = new WeakMap();
+
+// Time of the last request start or finish, from Date.now()
+let lastActivity = Date.now();
+
+// Counter used to build request ids
+let nextRequestId = 1;
+
+/**
+ * Resolve a request URL against the page
+ * @param {*} url - URL string, URL object or Request
+ * @returns {string} - Absolute URL, or the URL as given if it cannot be parsed
+ */
+function resolveRequestUrl(url) {
+  const raw = url && typeof url === 'object' && 'url' in url ? url.url : String(url);
+  
+  try {
+    return new URL(raw, window.location.href).href;
+  } catch (e) {
+    return raw;
+  }
+}
+
+/**
+ * Measure a request or message body
+ * @param {*} body - Body as passed to fetch, send or sendBeacon
+ * @returns {number|null} - Size in bytes, or null if it cannot be told without reading a stream
+ */
+function getBodySize(body) {
+  if (body === undefined || body === null) return 0;
+  if (typeof body === 'string') return new Blob([body]).size;
+  if (typeof Blob === 'function' && body instanceof Blob) return body.size;
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+  if (typeof URLSearchParams === 'function' && body instanceof URLSearchParams) return new Blob([body.toString()]).size;
+  return null;
+}
+
+/**
+ * Start recording a request
+ * @param {string} type - "fetch", "xhr", "beacon" or "websocket"
+ * @param {string} method - HTTP method
+ * @param {*} url - Request URL
+ * @param {*} body - Request body
+ * @returns {Object} - Request record
+ */
+function beginRequest(type, method, url, body) {
+  const record = {
+    id: `req-${nextRequestId++}`,
+    type,
+    method: String(method || 'GET').toUpperCase(),
+    url: resolveRequestUrl(url),
+    state: 'pending',
+    status: null,
+    statusText: null,
+    requestSize: getBodySize(body),
+    size: null,
+    startedAt: new Date().toISOString(),
+    duration: null,
+    error: null
+  };
+  
+  startTimes.set(record, performance.now());
+  requests.push(record);
+  inFlight.add(record);
+  lastActivity = Date.now();
+  
+  // Drop the oldest finished requests past the limit
+  const excess = requests.length - monitor.maxEntries;
+  if (excess > 0) {
+    let dropped = 0;
+    requests = requests.filter(entry => {
+      if (dropped >= excess || inFlight.has(entry)) return true;
+      dropped++;
+      return false;
+    });
+  }
+  
+  return record;
+}
+
+/**
+ * Finish recording a request
+ * @param {Object} record - Request record
+ * @param {Object} fields - Fields to set, such as state, status and size
+ */
+function finishRequest(record, fields) {
+  if (!inFlight.has(record) && record.state !== 'open') return;
+  
+  Object.assign(record, fields);
+  record.duration = Math.round(performance.now() - startTimes.get(record));
+  inFlight.delete(record);
+  lastActivity = Date.now();
+}
+
+/**
+ * Wrap window.fetch
+ * @param {Function} originalFetch - Page's fetch
+ * @returns {Function} - Recording fetch
+ */
+function wrapFetch(originalFetch) {
+  return function fetch(input, init) {
+    if (!monitor) return originalFetch.apply(this, arguments);
+    
+    const method = (init && init.method) || (input && typeof input === 'object' && input.method) || 'GET';
+    const record = beginRequest('fetch', method, input, init ? init.body : undefined);
+    
+    return originalFetch.apply(this, arguments).then(response => {
+      const length = response.headers.get('content-length');
+      
+      finishRequest(record, {
+        state: 'complete',
+        status: response.status,
+        statusText: response.statusText,
+        size: length === null ? null : Number(length)
+      });
+      
+      return response;
+    }, error => {
+      finishRequest(record, {
+        state: error && error.name === 'AbortError' ? 'aborted' : 'failed',
+        error: error && error.message ? error.message : String(error)
+      });
+      
+      throw error;
+    });
+  };
+}
+
+/**
+ * Wrap XMLHttpRequest.prototype.open and send
+ * @param {Function} originalOpen - Page's open
+ * @param {Function} originalSend - Page's send
+ * @returns {{open: Function, send: Function}} - Recording open and send
+ */
+function wrapXhr(originalOpen, originalSend) {
+  const requestInfo = new WeakMap();
+  
+  return {
+    open(method, url) {
+      requestInfo.set(this, { method, url });
+      return originalOpen.apply(this, arguments);
+    },
+    send(body) {
+      const info = requestInfo.get(this);
+      if (!monitor || !info) return originalSend.apply(this, arguments);
+      
+      const record = beginRequest('xhr', info.method, info.url, body);
+      let outcome = 'complete';
+      
+      this.addEventListener('error', () => { outcome = 'failed'; });
+      this.addEventListener('timeout', () => { outcome = 'failed'; });
+      this.addEventListener('abort', () => { outcome = 'aborted'; });
+      this.addEventListener('loadend', event => {
+        finishRequest(record, {
+          state: outcome,
+          status: outcome === 'complete' ? this.status : null,
+          statusText: outcome === 'complete' ? this.statusText : null,
+          size: event.loaded,
+          error: outcome === 'failed' ? 'Network error' : null
+        });
+      });
+      
+      try {
+        return originalSend.apply(this, arguments);
+      } catch (error) {
+        finishRequest(record, { state: 'failed', error: error.message });
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Wrap navigator.sendBeacon
+ * @param {Function} originalSendBeacon - Page's sendBeacon
+ * @returns {Function} - Recording sendBeacon
+ */
+function wrapSendBeacon(originalSendBeacon) {
+  return function sendBeacon(url, data) {
+    if (!monitor) return originalSendBeacon.apply(this, arguments);
+    
+    const record = beginRequest('beacon', 'POST', url, data);
+    const queued = originalSendBeacon.apply(this, arguments);
+    
+    // The browser sends beacons in the background and never reports a response
+    finishRequest(record, {
+      state: queued ? 'complete' : 'failed',
+      error: queued ? null : 'Beacon was not queued'
+    });
+    
+    return queued;
+  };
+}
+
+/**
+ * Wrap the WebSocket constructor
+ * @param {Function} OriginalWebSocket - Page's WebSocket
+ * @returns {Function} - Recording WebSocket constructor
+ */
+function wrapWebSocket(OriginalWebSocket) {
+  function WebSocket(url, protocols) {
+    const socket = protocols === undefined
+      ? new OriginalWebSocket(url)
+      : new OriginalWebSocket(url, protocols);
+    
+    if (!monitor) return socket;
+    
+    const record = beginRequest('websocket', 'GET', url);
+    record.messages = { sent: 0, received: 0 };
+    record.size = 0;
+    record.requestSize = 0;
+    
+    const originalSocketSend = socket.send;
+    socket.send = function send(data) {
+      record.messages.sent++;
+      record.requestSize += getBodySize(data) || 0;
+      return originalSocketSend.apply(this, arguments);
+    };
+    
+    socket.addEventListener('open', () => {
+      // An open socket does not keep the network busy
+      finishRequest(record, { state: 'open', status: 101, statusText: 'Switching Protocols' });
+    });
+    socket.addEventListener('message', event => {
+      record.messages.received++;
+      record.size += getBodySize(event.data) || 0;
+    });
+    socket.addEventListener('error', () => {
+      if (inFlight.has(record)) finishRequest(record, { state: 'failed', error: 'Connection failed' });
+    });
+    socket.addEventListener('close', event => {
+      if (record.state === 'open' || inFlight.has(record)) {
+        finishRequest(record, { state: 'closed', closeCode: event.code });
+      } else {
+        record.closeCode = event.code;
+      }
+    });
+    
+    return socket;
+  }
+  
+  WebSocket.prototype = OriginalWebSocket.prototype;
+  
+  for (const key of ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED']) {
+    WebSocket[key] = OriginalWebSocket[key];
+  }
+  
+  return WebSocket;
+}
+
+/**
+ * Check whether a request matches a filter
+ * 
+ * @param {Object} request - Request record
+ * @param {Object} filter - Request filter
+ * @returns {boolean} - Whether every given field matches
+ */
+function matchesFilter(request, filter) {
+  const {
+    url,
+    method,
+    type,
+    state,
+    status,
+    since
+  } = filter;
+  
+  if (url !== undefined) {
+    const expected = url instanceof RegExp ? url : String(url);
+    
+    if (expected instanceof RegExp) {
+      expected.lastIndex = 0;
+      if (!expected.test(request.url)) return false;
+    } else if (expected.includes('*')) {
+      if (!globToRegExp(expected).test(request.url)) return false;
+    } else if (!request.url.includes(expected)) {
+      return false;
+    }
+  }
+  
+  if (method !== undefined && request.method !== String(method).toUpperCase()) return false;
+  
+  if (type !== undefined && ![].concat(type).includes(request.type)) return false;
+  
+  if (state !== undefined && ![].concat(state).includes(request.state)) return false;
+  
+  if (status !== undefined) {
+    if (request.status === null) return false;
+    
+    const range = typeof status === 'number' ? { min: status, max: status } : status;
+    if (range.min !== undefined && request.status < range.min) return false;
+    if (range.max !== undefined && request.status > range.max) return false;
+  }
+  
+  if (since !== undefined && new Date(request.startedAt) < new Date(since)) return false;
+  
+  return true;
+}
+
+/**
+ * Validate a request filter
+ * @param {Object} filter - Request filter
+ */
+function validateFilter(filter) {
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('filter must be an object');
+  }
+  
+  for (const value of [].concat(filter.type === undefined ? [] : filter.type)) {
+    if (!REQUEST_TYPES.includes(value)) {
+      throw new Error(`Invalid type: ${value}. Must be one of: ${REQUEST_TYPES.join(', ')}`);
+    }
+  }
+  
+  for (const value of [].concat(filter.state === undefined ? [] : filter.state)) {
+    if (!REQUEST_STATES.includes(value)) {
+      throw new Error(`Invalid state: ${value}. Must be one of: ${REQUEST_STATES.join(', ')}`);
+    }
+  }
+  
+  const { status } = filter;
+  if (status !== undefined && typeof status !== 'number' &&
+    (!status || typeof status !== 'object' || (status.min === undefined && status.max === undefined))) {
+    throw new Error('status must be a number or { min, max }');
+  }
+  
+  if (filter.since !== undefined && isNaN(new Date(filter.since).getTime())) {
+    throw new Error(`Invalid since: ${filter.since}`);
+  }
+}
+
+/**
+ * Get the recorded requests that match a filter
+ * 
+ * @param {Object} [filter={}] - Request filter
+ * @param {string|RegExp} [filter.url] - Substring, "*" glob or RegExp of the URL
+ * @param {string} [filter.method] - HTTP method
+ * @param {string|string[]} [filter.type] - "fetch", "xhr", "beacon" or "websocket"
+ * @param {string|string[]} [filter.state] - "pending", "complete", "failed", "aborted", "open" or "closed"
+ * @param {number|{min?: number, max?: number}} [filter.status] - Status code, exact or a range
+ * @param {string} [filter.since] - Only requests started at or after this ISO timestamp
+ * @returns {Array<Object>} - Copies of the matching request records, oldest first
+ */
+export function getNetworkRequests(filter = {}) {
+  validateFilter(filter);
+  
+  return requests
+    .filter(request => matchesFilter(request, filter))
+    .map(request => request.messages ? { ...request, messages: { ...request.messages } } : { ...request });
+}
+
+/**
+ * Get what the network is doing right now
+ * @returns {{monitoring: boolean, inFlight: number, idleFor: number}}
+ *   Whether the monitor runs, requests in flight and ms since the last request started or finished
+ */
+export function getNetworkActivity() {
+  return {
+    monitoring: monitor !== null,
+    inFlight: inFlight.size,
+    idleFor: inFlight.size > 0 ? 0 : Date.now() - lastActivity
+  };
+}
+
+/**
+ * Start recording the page's network requests
+ * 
+ * Call it as early as possible: requests already in flight when it
+ * starts are not seen.
+ * 
+ * @param {Object} [options] - Monitor options
+ * @param {number} [options.maxEntries=500] - Most requests to keep; the oldest finished ones are dropped
+ * @returns {Object} Result with the monitor status
+ */
+function start(options = {}) {
+  try {
+    const {
+      maxEntries = 500
+    } = options;
+    
+    if (typeof maxEntries !== 'number' || maxEntries < 1) {
+      return createErrorResult('maxEntries must be a positive number');
+    }
+    
+    if (monitor) {
+      monitor.maxEntries = maxEntries;
+      return createSuccessResult({ monitoring: true, alreadyRunning: true, maxEntries });
+    }
+    
+    const replaced = [];
+    
+    /**
+     * Swap an API for its recording wrapper, remembering how to put it back
+     * @param {Object} owner - Object holding the API
+     * @param {string} name - Property name
+     * @param {Function} wrapper - Recording wrapper
+     */
+    const replace = (owner, name, wrapper) => {
+      replaced.push({ owner, name, original: owner[name], wrapper });
+      owner[name] = wrapper;
+    };
+    
+    if (typeof window.fetch === 'function') {
+      replace(window, 'fetch', wrapFetch(window.fetch));
+    }
+    
+    if (typeof window.XMLHttpRequest === 'function') {
+      const { prototype } = window.XMLHttpRequest;
+      const wrapped = wrapXhr(prototype.open, prototype.send);
+      replace(prototype, 'open', wrapped.open);
+      replace(prototype, 'send', wrapped.send);
+    }
+    
+    if (window.navigator && typeof window.navigator.sendBeacon === 'function') {
+      replace(window.navigator, 'sendBeacon', wrapSendBeacon(window.navigator.sendBeacon));
+    }
+    
+    if (typeof window.WebSocket === 'function') {
+      replace(window, 'WebSocket', wrapWebSocket(window.WebSocket));
+    }
+    
+    monitor = { maxEntries, replaced };
+    lastActivity = Date.now();
+    
+    return createSuccessResult({
+      monitoring: true,
+      alreadyRunning: false,
+      maxEntries,
+      apis: replaced.map(({ name }) => name)
+    });
+  } catch (error) {
+    return createErrorResult(`Failed to start network monitor: ${error.message}`);
+  }
+}
+
+/**
+ * Stop recording network requests
+ * 
+ * The page's own APIs are put back unless the page wrapped them again
+ * in the meantime; those wrappers then pass calls straight through.
+ * Recorded requests are kept until clear().
+ * 
+ * @returns {Object} Result with the number of requests recorded
+ */
+function stop() {
+  try {
+    if (!monitor) {
+      return createSuccessResult({ monitoring: false, wasRunning: false, recorded: requests.length });
+    }
+    
+    for (const { owner, name, original, wrapper } of monitor.replaced.reverse()) {
+      if (owner[name] === wrapper) owner[name] = original;
+    }
+    
+    monitor = null;
+    
+    return createSuccessResult({ monitoring: false, wasRunning: true, recorded: requests.length });
+  } catch (error) {
+    return createErrorResult(`Failed to stop network monitor: ${error.message}`);
+  }
+}
+
+/**
+ * Forget the recorded requests
+ * 
+ * Requests still in flight stay, so their outcome is recorded.
+ * 
+ * @returns {Object} Result with the number of requests removed
+ */
+function clear() {
+  try {
+    const before = requests.length;
+    requests = requests.filter(request => inFlight.has(request));
+    
+    return createSuccessResult({ cleared: before - requests.length });
+  } catch (error) {
+    return createErrorResult(`Failed to clear network requests: ${error.message}`);
+  }
+}
+
+/**
+ * Get the monitor status
+ * 
+ * @returns {Object} Result with whether it runs, requests recorded and in flight, and ms since the last activity
+ */
+function status() {
+  try {
+    return createSuccessResult({
+      ...getNetworkActivity(),
+      recorded: requests.length,
+      maxEntries: monitor ? monitor.maxEntries : null
+    });
+  } catch (error) {
+    return createErrorResult(`Failed to read network monitor status: ${error.message}`);
+  }
+}
+
+// Export the Network tool
+export default {
+  start,
+  stop,
+  clear,
+  status
+};
@@ -10,25 +10,87 @@
 
 import { 
   getXPath,
+  getElementRef,
+  getFrameOffset,
   findElementByXPath
 } from '../core.js';
 
 import { 
   createSuccessResult, 
   createErrorResult,
+  createNotFoundResult,
   findElement,
   getElementInfo,
+  isElementVisible,
   waitForElement
 } from './utils.js';
 
+import { 
+  createDataTransfer,
+  dispatchClickSequence,
+  dispatchDragAndDrop,
+  dispatchDragEvent,
+  dispatchInputEvent,
+  dispatchPointerDrag,
+  dispatchPointerEnter,
+  dispatchPointerLeave,
+  getInputPoint,
+  isContentEditable,
+  isTextField,
+  nextFrame,
+  parseKeyCombo,
+  pressKey,
+  scrollIntoViewIfNeeded,
+  setFieldValue,
+  typeText,
+  waitForActionable
+} from './input.js';
+
+import { 
+  getCheckedState,
+  getFormFields,
+  getSubmitButtons,
+  scoreFieldMatch
+} from './forms.js';
+
+import { 
+  isRemoteTarget,
+  relayAction
+} from './relay.js';
+
+import { createNavigationPromise } from './navigation.js';
+
+import { 
+  beginHandoff,
+  endHandoff
+} from './handoff.js';
+
+import { waitForCondition } from './wait.js';
+
+import { 
+  getConsoleCursor,
+  isConsoleCapturing,
+  summarizeErrors
+} from './console.js';
+
 /**
  * Click an element
  * 
- * @param {string} target - CSS selector or XPath of element to click
+ * The element is scrolled into view, and the click waits until it is
+ * visible, enabled, stable and not obscured by another element, then
+ * dispatches the pointer and mouse event sequence a real click produces.
+ * 
+ * @param {string} target - Element reference, CSS selector or XPath of element to click
  * @param {Object} [options] - Click options
- * @param {boolean} [options.waitForNavigation=false] - Wait for resulting navigation
+ * @param {boolean} [options.waitForNavigation=false] - Wait for resulting navigation, full or same-document; a full navigation's result is delivered through Handoff.onResult
  * @param {string} [options.waitForSelector] - Wait for this selector to appear after click
  * @param {boolean} [options.rightClick=false] - Perform right-click instead of left-click
+ * @param {string} [options.button='left'] - Mouse button: "left", "middle" or "right"
+ * @param {boolean} [options.doubleClick=false] - Perform a double-click
+ * @param {string[]} [options.modifiers=[]] - Modifier keys to hold: "Alt", "Control", "Meta", "Shift"
+ * @param {{x: number, y: number}} [options.position] - Click offset from the element's top-left corner, center by default
+ * @param {boolean} [options.force=false] - Skip the actionability checks
+ * @param {number} [options.actionTimeout=5000] - How long to wait for the element to become actionable in ms
  * @param {number} [options.timeout=30000] - Timeout for waits in ms
  * @returns {Promise<Object>} Result of the click action
  */
@@ -38,87 +100,119 @@ async function click(target, options = {}) {
       waitForNavigation = false,
       waitForSelector = null,
       rightClick = false,
+      button = rightClick ? 'right' : 'left',
+      doubleClick = false,
+      modifiers = [],
+      position = null,
+      force = false,
+      actionTimeout = 5000,
       timeout = 30000
     } = options;
     
+    // Route targets inside cross-origin frames through the frame relay
+    if (isRemoteTarget(target)) {
+      return await relayAction('Perform.click', target, frameTarget => [frameTarget, options]);
+    }
+    
     // Find element
     const element = findElement(target);
     
     if (!element) {
-      return createErrorResult(
-        `Target element not found: ${target}`,
-        { target, options }
-      );
+      return createNotFoundResult(target, { options });
+    }
+    
+    const action = button === 'right' ? 'rightClick' : doubleClick ? 'doubleClick' : 'click';
+    
+    // Bring the element into view and wait until it can receive the click
+    scrollIntoViewIfNeeded(element);
+    
+    let point = getInputPoint(element, position);
+    
+    if (!force) {
+      const state = await waitForActionable(element, { position, timeout: actionTimeout });
+      
+      if (!state.actionable) {
+        return createErrorResult(
+          `Element is not clickable: ${state.reason}`,
+          {
+            target,
+            action,
+            element: getElementInfo(element, target),
+            reason: state.reason,
+            obscuredBy: state.obscuredBy
+          }
+        );
+      }
+      
+      point = state.point;
     }
     
     // Get element information
     const elementInfo = getElementInfo(element, target);
     
+    // Report the click point in top-level viewport coordinates
+    const frameOffset = getFrameOffset(element.ownerDocument);
+    
+    const data = {
+      action,
+      element: elementInfo,
+      button,
+      modifiers,
+      point: {
+        x: Math.round(point.x + frameOffset.x),
+        y: Math.round(point.y + frameOffset.y)
+      }
+    };
+    
     // Create promise for navigation or selector wait if requested
     let waitPromise = Promise.resolve();
+    let handoffId = null;
     
     if (waitForNavigation) {
-      waitPromise = new Promise((resolve, reject) => {
-        const currentUrl = window.location.href;
-        let timeoutId;
-        
-        // Set timeout
-        if (timeout) {
-          timeoutId = setTimeout(() => {
-            window.removeEventListener('load', handleLoad);
-            reject(new Error(`Navigation timeout after ${timeout}ms`));
-          }, timeout);
-        }
-        
-        // Handle load event
-        const handleLoad = () => {
-          if (timeoutId) clearTimeout(timeoutId);
-          resolve();
-        };
-        
-        window.addEventListener('load', handleLoad, { once: true });
-      });
+      waitPromise = createNavigationPromise({ timeout });
+      
+      // Let the next page finish the click if this one unloads
+      handoffId = beginHandoff('Perform.click', data, { timeout });
     } else if (waitForSelector) {
       waitPromise = waitForElement(waitForSelector, timeout);
     }
     
-    // Perform the click action
-    if (rightClick) {
-      // Simulate right-click
-      const event = new MouseEvent('contextmenu', {
-        bubbles: true,
-        cancelable: true,
-        view: window,
-        button: 2,
-        buttons: 2
-      });
-      element.dispatchEvent(event);
-    } else {
-      // Regular click
-      element.click();
-    }
-    
-    // Wait for navigation or selector if requested
+    let navigation;
     try {
-      await waitPromise;
+      // Perform the click action
+      dispatchClickSequence(element, {
+        button,
+        clickCount: doubleClick ? 2 : 1,
+        modifiers,
+        point
+      });
+      
+      // Wait for navigation or selector if requested
+      navigation = await waitPromise;
     } catch (error) {
       return createErrorResult(
         error.message,
         {
           element: elementInfo,
-          action: rightClick ? 'rightClick' : 'click',
+          action,
           waitType: waitForNavigation ? 'navigation' : 'selector',
           waitTarget: waitForNavigation ? true : waitForSelector
         }
       );
+    } finally {
+      endHandoff(handoffId);
     }
     
-    return createSuccessResult({
-      action: rightClick ? 'rightClick' : 'click',
-      element: elementInfo,
-      url: window.location.href,
-      timestamp: new Date().toISOString()
-    });
+    data.url = window.location.href;
+    data.timestamp = new Date().toISOString();
+    
+    // Say whether the click loaded a new page or changed routes in place
+    if (navigation) {
+      data.navigation = navigation.navigation;
+      data.trigger = navigation.trigger;
+    }
+    
+    return createSuccessResult(data);
   } catch (error) {
     return createErrorResult(
       `Click operation failed: ${error.message}`,
@@ -127,107 +221,173 @@ async function click(target, options = {}) {
   }
 }
 
+/**
+ * Work out the value a field should hold after typing into it
+ * @param {Element} element - Field or contenteditable element
+ * @param {string} base - Content before typing
+ * @param {string} text - Typed text
+ * @returns {string} - Expected value
+ */
+function getExpectedValue(element, base, text) {
+  if (!isTextField(element) && !isContentEditable(element)) return text;
+  
+  // Tab moves focus, and Enter only adds a line in multi-line fields
+  const multiline = element.tagName.toLowerCase() === 'textarea' || !isTextField(element);
+  const typed = text.replace(multiline ? /\t/g : /[\t\n]/g, '');
+  
+  const maxLength = isTextField(element) ? element.maxLength : -1;
+  if (maxLength > 0) {
+    return base + typed.slice(0, Math.max(0, maxLength - base.length));
+  }
+  
+  return base + typed;
+}
+
 /**
  * Type text into an element
  * 
- * @param {string} target - CSS selector or XPath of element
+ * Each character is a key press: keydown, keypress, beforeinput, input
+ * and keyup, with the key and code of a US keyboard. "\n" presses Enter,
+ * so typing into a single-line field can submit its form. A change event
+ * follows once all text is typed. Number, date, color and range inputs
+ * take the whole value at once, since their partial values are not valid.
+ * 
+ * Values are set through the native prototype setter so that React,
+ * Vue, Angular and Svelte bindings see the change. After typing, the
+ * value is read back on the next frame; if the page rejected or rewrote
+ * it (a controlled input that did not update its state, an input mask),
+ * the result is an error describing the mismatch.
+ * 
+ * @param {string} target - Element reference, CSS selector or XPath of element
  * @param {string} text - Text to type
  * @param {Object} [options] - Typing options
  * @param {boolean} [options.clear=true] - Clear field before typing
  * @param {boolean} [options.delay=0] - Delay between keystrokes in ms
+ * @param {boolean} [options.verify=true] - Read the value back and report a mismatch
  * @returns {Promise<Object>} Result of typing action
  */
 async function type(target, text, options = {}) {
   try {
     const {
       clear = true,
-      delay = 0
+      delay = 0,
+      verify = true
     } = options;
     
+    // Route targets inside cross-origin frames through the frame relay
+    if (isRemoteTarget(target)) {
+      return await relayAction('Perform.type', target, frameTarget => [frameTarget, text, options]);
+    }
+    
     // Find element
     const element = findElement(target);
     
     if (!element) {
-      return createErrorResult(
-        `Target element not found: ${target}`,
-        { target, options }
-      );
+      return createNotFoundResult(target, { options });
     }
     
     // Check if element is a valid input field
-    const validTags = ['input', 'textarea', 'select', '[contenteditable="true"]'];
+    const validTags = ['input', 'textarea', 'select'];
     const tag = element.tagName.toLowerCase();
-    const isContentEditable = element.hasAttribute('contenteditable') && 
-                            element.getAttribute('contenteditable') !== 'false';
+    const editable = isContentEditable(element);
     
-    if (!validTags.includes(tag) && !isContentEditable) {
+    if (!validTags.includes(tag) && !editable) {
       return createErrorResult(
         `Target is not a valid input field: ${target}`,
         { 
           target, 
           elementTag: tag, 
-          isContentEditable
+          isContentEditable: editable
         }
       );
     }
     
+    if (tag === 'input' && (element.getAttribute('type') || '').toLowerCase() === 'file') {
+      return createErrorResult(
+        `Cannot type into a file input, use Perform.upload: ${target}`,
+        { target, elementTag: tag }
+      );
+    }
+    
     // Get element information
     const elementInfo = getElementInfo(element, target);
+    const initialValue = editable ? element.textContent : element.value;
+    
+    element.focus();
     
     // Clear field if requested
-    if (clear) {
-      if (isContentEditable) {
+    if (clear && (editable ? element.textContent : element.value)) {
+      if (editable) {
         element.textContent = '';
       } else {
-        element.value = '';
+        setFieldValue(element, '');
       }
       
-      // Dispatch events for clearing
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-      element.dispatchEvent(new Event('change', { bubbles: true }));
+      dispatchInputEvent(element, 'input', 'deleteContent');
     }
     
-    // Type the text
-    if (delay > 0) {
-      // Type with delay between keystrokes
-      for (let i = 0; i < text.length; i++) {
-        const char = text[i];
-        
-        // Set value (different for regular inputs vs contenteditable)
-        if (isContentEditable) {
-          element.textContent += char;
-        } else {
-          element.value += char;
-        }
-        
-        // Dispatch events for typing
-        element.dispatchEvent(new Event('input', { bubbles: true }));
-        
-        // Wait for specified delay
-        if (i < text.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, delay));
+    if (isTextField(element) || editable) {
+      // Type at the end of the existing content
+      if (isTextField(element) && typeof element.setSelectionRange === 'function') {
+        try {
+          element.setSelectionRange(element.value.length, element.value.length);
+        } catch (e) {
+          // email and number inputs have no selection
         }
+      } else if (editable && element.ownerDocument.getSelection) {
+        element.ownerDocument.getSelection().selectAllChildren(element);
+        element.ownerDocument.getSelection().collapseToEnd();
       }
+      
+      await typeText(element, text, { delay });
     } else {
-      // Set value all at once
-      if (isContentEditable) {
-        element.textContent = text;
-      } else {
-        element.value = text;
-      }
+      // Numbers, dates, colors, ranges and selects take their value at once
+      setFieldValue(element, text);
+      dispatchInputEvent(element, 'input', 'insertReplacementText', text);
     }
     
-    // Dispatch final events
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-    element.dispatchEvent(new Event('change', { bubbles: true }));
+    // Dispatch final change event once the value has changed
+    const readValue = () => (editable ? element.textContent : element.value);
+    if (readValue() !== initialValue) {
+      element.dispatchEvent(new (element.ownerDocument.defaultView.Event)('change', { bubbles: true }));
+    }
     
-    return createSuccessResult({
+    const data = {
       action: 'type',
       element: elementInfo,
       text: text.length > 100 ? `${text.substring(0, 100)}...` : text,
       textLength: text.length,
       timestamp: new Date().toISOString()
-    });
+    };
+    
+    // Let the framework re-render, then check the value it kept
+    if (verify && element.isConnected) {
+      await nextFrame(element.ownerDocument.defaultView);
+      
+      const expected = getExpectedValue(element, clear ? '' : initialValue, text);
+      const actual = readValue();
+      
+      if (actual !== expected) {
+        // Never echo password values
+        const secret = element.tagName.toLowerCase() === 'input' &&
+          (element.getAttribute('type') || '').toLowerCase() === 'password';
+        
+        return createErrorResult(
+          secret
+            ? `Value mismatch after typing: expected ${expected.length} characters, field has ${actual.length}`
+            : `Value mismatch after typing: expected "${expected}", field has "${actual}"`,
+          {
+            ...data,
+            valueMismatch: true,
+            expectedLength: expected.length,
+            actualLength: actual.length,
+            ...(secret ? {} : { expectedValue: expected, actualValue: actual })
+          }
+        );
+      }
+    }
+    
+    return createSuccessResult(data);
   } catch (error) {
     return createErrorResult(
       `Type operation failed: ${error.message}`,
@@ -236,15 +396,116 @@ async function type(target, text, options = {}) {
   }
 }
 
+/**
+ * Press a key or key combination
+ * 
+ * Keys are named as in KeyboardEvent.key ("Enter", "ArrowDown", "a") and
+ * combined with modifiers using "+", e.g. "Control+Enter" or "Shift+Tab".
+ * "ControlOrMeta" resolves to Meta on macOS and Control elsewhere. The
+ * press runs the browser's default action unless a handler cancels it:
+ * Enter submits forms and activates buttons and links, Tab moves focus,
+ * Escape closes dialogs, and so on.
+ * 
+ * @param {string|null} target - Element reference, CSS selector or XPath of element; null for the focused element
+ * @param {string|string[]} keys - Key combination, or several pressed in order
+ * @param {Object} [options] - Press options
+ * @param {number} [options.count=1] - Number of times to press each combination
+ * @param {number} [options.delay=0] - Delay between presses in ms
+ * @returns {Promise<Object>} Result of press action, with the default actions taken
+ */
+async function press(target, keys, options = {}) {
+  try {
+    const {
+      count = 1,
+      delay = 0
+    } = options;
+    
+    // Route targets inside cross-origin frames through the frame relay
+    if (target && isRemoteTarget(target)) {
+      return await relayAction('Perform.press', target, frameTarget => [frameTarget, keys, options]);
+    }
+    
+    const combos = Array.isArray(keys) ? keys : [keys];
+    
+    if (combos.length === 0) {
+      return createErrorResult('No keys to press', { target, keys });
+    }
+    
+    let parsed;
+    try {
+      parsed = combos.map(parseKeyCombo);
+    } catch (error) {
+      return createErrorResult(error.message, { target, keys });
+    }
+    
+    // Find element, or use the focused one
+    const element = target
+      ? findElement(target)
+      : (document.activeElement || document.body);
+    
+    if (!element) {
+      return createNotFoundResult(target, { keys, options });
+    }
+    
+    const elementInfo = getElementInfo(element, target);
+    const doc = element.ownerDocument;
+    
+    if (target && doc.activeElement !== element && typeof element.focus === 'function') {
+      element.focus();
+    }
+    
+    const defaultActions = [];
+    let defaultPrevented = false;
+    let pressed = 0;
+    
+    for (const { modifiers, key } of parsed) {
+      for (let i = 0; i < count; i++) {
+        if (pressed > 0 && delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        
+        // Key events go to whatever has focus now, e.g. after a Tab
+        const active = doc.activeElement;
+        const receiver = active && active !== doc.body ? active : element;
+        const outcome = pressKey(receiver, key, modifiers);
+        
+        if (outcome.defaultAction) defaultActions.push(outcome.defaultAction);
+        if (outcome.defaultPrevented) defaultPrevented = true;
+        pressed++;
+      }
+    }
+    
+    const focused = doc.activeElement && doc.activeElement !== doc.body
+      ? getElementInfo(doc.activeElement)
+      : null;
+    
+    return createSuccessResult({
+      action: 'press',
+      element: elementInfo,
+      keys: combos,
+      count,
+      defaultActions,
+      defaultPrevented,
+      focused,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    return createErrorResult(
+      `Press operation failed: ${error.message}`,
+      { target, keys, options }
+    );
+  }
+}
+
 /**
  * Select an option from a dropdown
  * 
- * @param {string} target - CSS selector or XPath of select element
+ * @param {string} target - Element reference, CSS selector or XPath of select element
  * @param {string|string[]} value - Option value(s) or text to select
  * @param {Object} [options] - Selection options
  * @param {boolean} [options.byText=false] - Select by option text instead of value
  * @param {boolean} [options.multiple=false] - Allow multiple selections
- * @returns {Object} Result of select action
+ * @returns {Object|Promise<Object>} Result of select action (a Promise when the target is in a cross-origin frame)
  */
 function select(target, value, options = {}) {
   try {
@@ -253,14 +514,18 @@ function select(target, value, options = {}) {
       multiple = false
     } = options;
     
+    // Route targets inside cross-origin frames through the frame relay
+    if (isRemoteTarget(target)) {
+      // select stays synchronous for local targets, so a failed relay is caught here
+      return relayAction('Perform.select', target, frameTarget => [frameTarget, value, options])
+        .catch(error => createErrorResult(`Select operation failed: ${error.message}`, { target, value, options }));
+    }
+    
     // Find element
     const element = findElement(target);
     
     if (!element) {
-      return createErrorResult(
-        `Target element not found: ${target}`,
-        { target, options }
-      );
+      return createNotFoundResult(target, { options });
     }
     
     // Check if element is a select
@@ -385,7 +650,12 @@ function select(target, value, options = {}) {
 /**
  * Hover over an element
  * 
- * @param {string} target - CSS selector or XPath of element
+ * The pointer moves onto the element's center with the same pointer and
+ * mouse events a real pointer fires (pointerover, pointerenter, mouseover,
+ * mouseenter, pointermove, mousemove), and leaves it again after
+ * `duration` when one is given.
+ * 
+ * @param {string} target - Element reference, CSS selector or XPath of element
  * @param {Object} [options] - Hover options
  * @param {number} [options.duration=0] - How long to hover in ms
  * @returns {Promise<Object>} Result of hover action
@@ -396,36 +666,56 @@ async function hover(target, options = {}) {
       duration = 0
     } = options;
     
+    // Route targets inside cross-origin frames through the frame relay
+    if (isRemoteTarget(target)) {
+      return await relayAction('Perform.hover', target, frameTarget => [frameTarget, options]);
+    }
+    
     // Find element
     const element = findElement(target);
     
     if (!element) {
-      return createErrorResult(
-        `Target element not found: ${target}`,
-        { target, options }
-      );
+      return createNotFoundResult(target, { options });
     }
     
+    scrollIntoViewIfNeeded(element);
+    
     // Get element information
     const elementInfo = getElementInfo(element, target);
     
+    const point = getInputPoint(element);
+    const view = element.ownerDocument.defaultView;
+    const init = {
+      clientX: point.x,
+      clientY: point.y,
+      screenX: point.x + (view.screenX || 0),
+      screenY: point.y + (view.screenY || 0),
+      button: 0,
+      buttons: 0
+    };
+    
     // Dispatch hover events
-    element.dispatchEvent(new MouseEvent('mouseenter', { bubbles: true }));
-    element.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    dispatchPointerEnter(element, init);
     
     // Wait for duration if specified
     if (duration > 0) {
       await new Promise(resolve => setTimeout(resolve, duration));
       
-      // Dispatch mouseout events after duration
-      element.dispatchEvent(new MouseEvent('mouseout', { bubbles: true }));
-      element.dispatchEvent(new MouseEvent('mouseleave', { bubbles: true }));
+      // Move the pointer off the element after duration
+      dispatchPointerLeave(element, init);
     }
     
+    // Report the hover point in top-level viewport coordinates
+    const frameOffset = getFrameOffset(element.ownerDocument);
+    
     return createSuccessResult({
       action: 'hover',
       element: elementInfo,
       duration,
+      point: {
+        x: Math.round(point.x + frameOffset.x),
+        y: Math.round(point.y + frameOffset.y)
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -436,15 +726,848 @@ async function hover(target, options = {}) {
   }
 }
 
+/**
+ * Drag modes of Perform.drag
+ * @type {string[]}
+ */
+const DRAG_MODES = ['auto', 'html5', 'pointer'];
+
+/**
+ * Drag an element onto another element or to a point
+ * 
+ * In "html5" mode the drag runs as native drag and drop, with dragstart,
+ * dragenter, dragover, drop and dragend sharing one DataTransfer. In
+ * "pointer" mode it is a press, interpolated moves and a release, which
+ * is what pointer-driven libraries such as SortableJS (fallback mode),
+ * dnd-kit and sliders listen to. "auto" uses html5 for draggable sources
+ * and pointer otherwise.
+ * 
+ * The drop target must be in the source's document. When the source is
+ * inside a cross-origin frame, give the target as a locator within that
+ * frame or as coordinates in its viewport.
+ * 
+ * @param {string} source - Element reference, CSS selector or XPath of element to drag
+ * @param {string|{x: number, y: number}} target - Drop target element, or client coordinates
+ * @param {Object} [options] - Drag options
+ * @param {string} [options.mode='auto'] - "auto", "html5" or "pointer"
+ * @param {{x: number, y: number}} [options.sourcePosition] - Grab offset from the source's top-left corner, center by default
+ * @param {{x: number, y: number}} [options.targetPosition] - Drop offset from the target's top-left corner, center by default
+ * @param {number} [options.steps=10] - Number of intermediate moves
+ * @param {number} [options.delay=0] - Delay between moves in ms
+ * @param {string[]} [options.modifiers=[]] - Modifier keys to hold: "Alt", "Control", "Meta", "Shift"
+ * @param {boolean} [options.force=false] - Skip the actionability checks on the source
+ * @param {number} [options.actionTimeout=5000] - How long to wait for the source to become actionable in ms
+ * @returns {Promise<Object>} Result of the drag action
+ */
+async function drag(source, target, options = {}) {
+  try {
+    const {
+      mode = 'auto',
+      sourcePosition = null,
+      targetPosition = null,
+      steps = 10,
+      delay = 0,
+      modifiers = [],
+      force = false,
+      actionTimeout = 5000
+    } = options;
+    
+    // Route sources inside cross-origin frames through the frame relay
+    if (isRemoteTarget(source)) {
+      return await relayAction('Perform.drag', source, frameSource => [frameSource, target, options]);
+    }
+    
+    if (!DRAG_MODES.includes(mode)) {
+      return createErrorResult(
+        `Invalid drag mode: ${mode}. Must be 'auto', 'html5', or 'pointer'`,
+        { source, target, options }
+      );
+    }
+    
+    const coordinates = target && typeof target === 'object' &&
+      typeof target.x === 'number' && typeof target.y === 'number';
+    
+    if (!coordinates && typeof target !== 'string') {
+      return createErrorResult(
+        'Drag target must be an element locator or {x, y} coordinates',
+        { source, target, options }
+      );
+    }
+    
+    // Find elements
+    const element = findElement(source);
+    
+    if (!element) {
+      return createNotFoundResult(source, { target, options });
+    }
+    
+    const targetElement = coordinates ? null : findElement(target);
+    
+    if (!coordinates && !targetElement) {
+      return createNotFoundResult(target, { source, options });
+    }
+    
+    if (targetElement && targetElement.ownerDocument !== element.ownerDocument) {
+      return createErrorResult(
+        'Drag source and target must be in the same document',
+        { source, target, options }
+      );
+    }
+    
+    // Bring the source into view and wait until it can be grabbed
+    scrollIntoViewIfNeeded(element);
+    
+    let from = getInputPoint(element, sourcePosition);
+    
+    if (!force) {
+      const state = await waitForActionable(element, {
+        position: sourcePosition,
+        timeout: actionTimeout,
+        requireEnabled: false
+      });
+      
+      if (!state.actionable) {
+        return createErrorResult(
+          `Element is not draggable: ${state.reason}`,
+          {
+            source,
+            target,
+            element: getElementInfo(element, source),
+            reason: state.reason,
+            obscuredBy: state.obscuredBy
+          }
+        );
+      }
+      
+      from = state.point;
+    }
+    
+    const to = coordinates ? { x: target.x, y: target.y } : getInputPoint(targetElement, targetPosition);
+    const draggable = element.draggable === true || element.closest('[draggable="true"]') !== null;
+    const dragMode = mode === 'auto' ? (draggable ? 'html5' : 'pointer') : mode;
+    
+    const sequenceOptions = {
+      from,
+      to,
+      dropTarget: targetElement,
+      steps: Math.max(1, Math.round(steps)),
+      delay,
+      modifiers
+    };
+    
+    const outcome = dragMode === 'html5'
+      ? await dispatchDragAndDrop(element, sequenceOptions)
+      : await dispatchPointerDrag(element, sequenceOptions);
+    
+    const elementInfo = getElementInfo(element, source);
+    
+    // Report the drag path in top-level viewport coordinates
+    const frameOffset = getFrameOffset(element.ownerDocument);
+    
+    const data = {
+      action: 'drag',
+      mode: dragMode,
+      element: elementInfo,
+      from: { x: Math.round(from.x + frameOffset.x), y: Math.round(from.y + frameOffset.y) },
+      to: { x: Math.round(to.x + frameOffset.x), y: Math.round(to.y + frameOffset.y) },
+      dropTarget: outcome.dropTarget ? getElementInfo(outcome.dropTarget) : null,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (dragMode === 'html5') {
+      if (!outcome.started) {
+        return createErrorResult('Drag was canceled by a dragstart handler', data);
+      }
+      
+      data.dropped = outcome.dropped;
+      data.dropEffect = outcome.dropEffect;
+    }
+    
+    return createSuccessResult(data);
+  } catch (error) {
+    return createErrorResult(
+      `Drag operation failed: ${error.message}`,
+      { source, target, options }
+    );
+  }
+}
+
+/**
+ * MIME types of common file extensions, for files given without one
+ * @type {Object<string, string>}
+ */
+const MIME_TYPES = {
+  csv: 'text/csv',
+  gif: 'image/gif',
+  htm: 'text/html',
+  html: 'text/html',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  json: 'application/json',
+  md: 'text/markdown',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  txt: 'text/plain',
+  webp: 'image/webp',
+  xml: 'application/xml',
+  zip: 'application/zip'
+};
+
+/**
+ * Build a File from its description
+ * @param {Window} view - Window whose realm the file belongs to
+ * @param {Object} spec - File description
+ * @param {string} spec.name - File name
+ * @param {string} [spec.mimeType] - MIME type, guessed from the extension by default
+ * @param {string} [spec.content] - Text content
+ * @param {string} [spec.base64] - Binary content, base64-encoded
+ * @param {number} [spec.lastModified] - Modification time in ms since the epoch
+ * @returns {File} - The file
+ */
+function createFile(view, spec) {
+  if (!spec || typeof spec.name !== 'string' || !spec.name) {
+    throw new Error('Each file needs a name');
+  }
+  
+  if (spec.content !== undefined && spec.base64 !== undefined) {
+    throw new Error(`File ${spec.name} has both content and base64`);
+  }
+  
+  let part = spec.content !== undefined ? String(spec.content) : '';
+  
+  if (spec.base64 !== undefined) {
+    let binary;
+    try {
+      binary = view.atob(String(spec.base64).replace(/^data:[^,]*,/, '').replace(/\s/g, ''));
+    } catch (e) {
+      throw new Error(`File ${spec.name} has invalid base64 content`);
+    }
+    
+    part = Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+  
+  const extension = spec.name.includes('.') ? spec.name.split('.').pop().toLowerCase() : '';
+  const type = spec.mimeType || MIME_TYPES[extension] || 'application/octet-stream';
+  
+  return new view.File([part], spec.name, {
+    type,
+    lastModified: spec.lastModified || Date.now()
+  });
+}
+
+/**
+ * Check a file against an accept attribute
+ * @param {File} file - The file
+ * @param {string} accept - Comma-separated extensions (".pdf") and MIME types ("image/*", "text/csv")
+ * @returns {boolean} - Whether the file is accepted
+ */
+function isFileAccepted(file, accept) {
+  const tokens = accept.split(',').map(token => token.trim().toLowerCase()).filter(Boolean);
+  if (tokens.length === 0) return true;
+  
+  const name = file.name.toLowerCase();
+  const type = file.type.toLowerCase();
+  
+  return tokens.some(token => {
+    if (token.startsWith('.')) return name.endsWith(token);
+    if (token.endsWith('/*')) return type.startsWith(token.slice(0, -1));
+    return type === token;
+  });
+}
+
+/**
+ * Upload files to a file input or a drop zone
+ * 
+ * Files are given by name, MIME type and text or base64 content. On an
+ * `<input type="file">` they are assigned to `input.files` through a
+ * DataTransfer, followed by input and change events; the input's
+ * `accept` and `multiple` attributes are enforced. Any other element is
+ * treated as a drop zone and receives dragenter, dragover and drop
+ * events carrying the files.
+ * 
+ * @param {string} target - Element reference, CSS selector or XPath of file input or drop zone
+ * @param {Object|Object[]} files - File descriptions: { name, mimeType?, content? | base64?, lastModified? }
+ * @param {Object} [options] - Upload options
+ * @param {boolean} [options.append=false] - Keep files already selected in a multiple input
+ * @returns {Promise<Object>} Result of the upload action
+ */
+async function upload(target, files, options = {}) {
+  try {
+    const {
+      append = false
+    } = options;
+    
+    // Route targets inside cross-origin frames through the frame relay
+    if (isRemoteTarget(target)) {
+      return await relayAction('Perform.upload', target, frameTarget => [frameTarget, files, options]);
+    }
+    
+    const specs = Array.isArray(files) ? files : [files];
+    
+    if (specs.length === 0) {
+      return createErrorResult('No files to upload', { target });
+    }
+    
+    // Find element
+    const element = findElement(target);
+    
+    if (!element) {
+      return createNotFoundResult(target, { options });
+    }
+    
+    const view = element.ownerDocument.defaultView;
+    
+    let fileObjects;
+    try {
+      fileObjects = specs.map(spec => createFile(view, spec));
+    } catch (error) {
+      return createErrorResult(error.message, { target });
+    }
+    
+    const elementInfo = getElementInfo(element, target);
+    const fileInfo = fileObjects.map(file => ({ name: file.name, type: file.type, size: file.size }));
+    const isFileInput = element.tagName.toLowerCase() === 'input' &&
+      (element.getAttribute('type') || '').toLowerCase() === 'file';
+    
+    if (!isFileInput) {
+      // Drop the files onto the element, as if dragged in from the desktop
+      const dataTransfer = createDataTransfer(view);
+      fileObjects.forEach(file => dataTransfer.items.add(file));
+      
+      const point = getInputPoint(element);
+      const init = { clientX: point.x, clientY: point.y };
+      
+      dispatchDragEvent(element, 'dragenter', init, dataTransfer);
+      dataTransfer.dropEffect = 'copy';
+      
+      // Drop zones opt in by canceling dragover
+      if (dispatchDragEvent(element, 'dragover', init, dataTransfer)) {
+        dispatchDragEvent(element, 'dragleave', init, dataTransfer);
+        
+        return createErrorResult(
+          'Element is not a file input and did not accept the drop (dragover was not canceled)',
+          { target, element: elementInfo, files: fileInfo }
+        );
+      }
+      
+      dispatchDragEvent(element, 'drop', init, dataTransfer);
+      
+      return createSuccessResult({
+        action: 'upload',
+        mode: 'drop',
+        element: elementInfo,
+        files: fileInfo,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (element.disabled) {
+      return createErrorResult(`File input is disabled: ${target}`, { target, element: elementInfo });
+    }
+    
+    const existing = append && element.multiple ? Array.from(element.files || []) : [];
+    
+    if (!element.multiple && fileObjects.length > 1) {
+      return createErrorResult(
+        `File input accepts a single file, got ${fileObjects.length}`,
+        { target, element: elementInfo, files: fileInfo }
+      );
+    }
+    
+    const accept = element.getAttribute('accept') || '';
+    const rejected = fileObjects.filter(file => !isFileAccepted(file, accept));
+    
+    if (rejected.length > 0) {
+      return createErrorResult(
+        `File input only accepts ${accept}: ${rejected.map(file => `${file.name} (${file.type})`).join(', ')}`,
+        { target, element: elementInfo, files: fileInfo, accept }
+      );
+    }
+    
+    // Only a real DataTransfer yields the FileList that input.files accepts
+    const dataTransfer = createDataTransfer(view);
+    
+    if (typeof view.DataTransfer !== 'function' || !(dataTransfer instanceof view.DataTransfer)) {
+      return createErrorResult(
+        'This browser cannot assign files to inputs (no DataTransfer constructor)',
+        { target, element: elementInfo }
+      );
+    }
+    
+    [...existing, ...fileObjects].forEach(file => dataTransfer.items.add(file));
+    element.files = dataTransfer.files;
+    
+    element.dispatchEvent(new view.Event('input', { bubbles: true, composed: true }));
+    element.dispatchEvent(new view.Event('change', { bubbles: true }));
+    
+    return createSuccessResult({
+      action: 'upload',
+      mode: 'input',
+      element: elementInfo,
+      files: Array.from(element.files).map(file => ({ name: file.name, type: file.type, size: file.size })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    return createErrorResult(
+      `Upload operation failed: ${error.message}`,
+      { target, options }
+    );
+  }
+}
+
+/**
+ * Selector for checkable controls
+ * @type {string}
+ */
+const CHECKABLE_SELECTOR = 'input[type="checkbox" i], input[type="radio" i], [role="checkbox"], [role="switch"], [role="radio"], [role="menuitemcheckbox"], [role="menuitemradio"]';
+
+/**
+ * Resolve a target to the checkable control it stands for, and the
+ * element to click to toggle it
+ * 
+ * Labels resolve to their control; wrappers to the single control inside
+ * them. Native inputs that are visually hidden behind a styled label are
+ * toggled by clicking the label, as users do.
+ * 
+ * @param {Element} element - Target element
+ * @returns {{control: Element, clickTarget: Element}|null} - Control and click target, or null
+ */
+function resolveCheckable(element) {
+  if (element.tagName.toLowerCase() === 'label') {
+    const control = element.control || element.querySelector(CHECKABLE_SELECTOR);
+    return control && control.matches(CHECKABLE_SELECTOR) ? { control, clickTarget: element } : null;
+  }
+  
+  let control = element.matches(CHECKABLE_SELECTOR) ? element : null;
+  
+  if (!control) {
+    const inner = element.querySelectorAll(CHECKABLE_SELECTOR);
+    if (inner.length !== 1) return null;
+    control = inner[0];
+  }
+  
+  let clickTarget = control;
+  
+  if (!isElementVisible(control)) {
+    const label = control.labels && Array.from(control.labels).find(isElementVisible);
+    if (label) {
+      clickTarget = label;
+    } else if (control !== element) {
+      clickTarget = element;
+    }
+  }
+  
+  return { control, clickTarget };
+}
+
+/**
+ * Set a checkbox, radio button or switch to a given state
+ * 
+ * Idempotent: a control already in the wanted state is left alone, so
+ * repeating the step does not flip it back. Otherwise the control (or its
+ * visible label) is clicked like a user would, and the state is read
+ * again on the next frame to confirm the page kept it.
+ * 
+ * @param {string} target - Element reference, CSS selector or XPath of the control, its label or a wrapper
+ * @param {boolean} checked - Wanted state
+ * @param {Object} [options] - Click options, as for Perform.click
+ * @returns {Promise<Object>} Result with the final checked state
+ */
+async function setChecked(target, checked, options = {}) {
+  const action = checked ? 'check' : 'uncheck';
+  
+  try {
+    // Route targets inside cross-origin frames through the frame relay
+    if (isRemoteTarget(target)) {
+      return await relayAction('Perform.setChecked', target, frameTarget => [frameTarget, checked, options]);
+    }
+    
+    // Find element
+    const element = findElement(target);
+    
+    if (!element) {
+      return createNotFoundResult(target, { checked, options });
+    }
+    
+    const resolved = resolveCheckable(element);
+    
+    if (!resolved) {
+      return createErrorResult(
+        `Target is not a checkbox, radio button or switch: ${target}`,
+        { target, elementTag: element.tagName.toLowerCase() }
+      );
+    }
+    
+    const { control, clickTarget } = resolved;
+    const elementInfo = getElementInfo(control, target);
+    const isRadio = control.matches('input[type="radio" i], [role="radio"], [role="menuitemradio"]');
+    const before = getCheckedState(control);
+    
+    if (before === Boolean(checked)) {
+      return createSuccessResult({
+        action,
+        element: elementInfo,
+        checked: before,
+        changed: false,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (isRadio && !checked) {
+      return createErrorResult(
+        'A radio button cannot be unchecked; check another option of its group instead',
+        { target, element: elementInfo, checked: before }
+      );
+    }
+    
+    if (control.disabled === true || control.getAttribute('aria-disabled') === 'true') {
+      return createErrorResult(`Control is disabled: ${target}`, { target, element: elementInfo, checked: before });
+    }
+    
+    // A mixed checkbox may need a second click to land on the wanted state
+    const attempts = before === 'mixed' ? 2 : 1;
+    let after = before;
+    
+    for (let attempt = 0; attempt < attempts && after !== Boolean(checked); attempt++) {
+      const result = await click(`ref:${getElementRef(clickTarget)}`, options);
+      
+      if (!result.success) {
+        return createErrorResult(result.error, { ...result.data, target, element: elementInfo, checked: after });
+      }
+      
+      // Let the framework re-render before reading the state back
+      await nextFrame(control.ownerDocument.defaultView);
+      after = getCheckedState(control);
+    }
+    
+    if (after !== Boolean(checked)) {
+      return createErrorResult(
+        `Control is still ${after === 'mixed' ? 'mixed' : after ? 'checked' : 'unchecked'} after clicking it`,
+        { target, element: elementInfo, checked: after, changed: after !== before }
+      );
+    }
+    
+    return createSuccessResult({
+      action,
+      element: elementInfo,
+      checked: after,
+      changed: true,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    return createErrorResult(
+      `${action === 'check' ? 'Check' : 'Uncheck'} operation failed: ${error.message}`,
+      { target, options }
+    );
+  }
+}
+
+/**
+ * Check a checkbox, radio button or switch
+ * 
+ * @param {string} target - Element reference, CSS selector or XPath of the control, its label or a wrapper
+ * @param {Object} [options] - Click options, as for Perform.click
+ * @returns {Promise<Object>} Result with the final checked state
+ */
+function check(target, options = {}) {
+  return setChecked(target, true, options);
+}
+
+/**
+ * Uncheck a checkbox or switch
+ * 
+ * @param {string} target - Element reference, CSS selector or XPath of the control, its label or a wrapper
+ * @param {Object} [options] - Click options, as for Perform.click
+ * @returns {Promise<Object>} Result with the final checked state
+ */
+function uncheck(target, options = {}) {
+  return setChecked(target, false, options);
+}
+
+/**
+ * Field types whose value is typed
+ * @type {Set<string>}
+ */
+const TYPED_FIELD_TYPES = new Set([
+  'text', 'email', 'password', 'search', 'tel', 'url', 'number', 'textarea', 'contenteditable',
+  'date', 'datetime-local', 'month', 'week', 'time', 'color', 'range'
+]);
+
+/**
+ * Interpret a form value as a checkbox state
+ * @param {*} value - Value given for a checkbox
+ * @returns {boolean} - Whether the box should be checked
+ */
+function toChecked(value) {
+  if (typeof value === 'string') return ['true', 'yes', 'on', '1', 'checked'].includes(value.trim().toLowerCase());
+  return Boolean(value);
+}
+
+/**
+ * Fill one form field with the action its type needs
+ * @param {Object} field - Field from getFormFields
+ * @param {*} value - Value to fill in
+ * @returns {Promise<{action: string, result: Object}>} Action taken and its result
+ */
+async function fillField(field, value) {
+  const { description } = field;
+  const target = `ref:${description.ref}`;
+  
+  if (description.disabled) {
+    return { action: 'none', result: createErrorResult('Field is disabled') };
+  }
+  
+  switch (description.type) {
+    case 'select': {
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      const byValue = values.every(wanted => description.options.some(option => option.value === wanted));
+      return { action: 'select', result: select(target, values.length === 1 ? values[0] : values, { byText: !byValue }) };
+    }
+    
+    case 'checkbox':
+    case 'switch':
+      return {
+        action: toChecked(value) ? 'check' : 'uncheck',
+        result: await setChecked(target, toChecked(value))
+      };
+    
+    case 'radio': {
+      const wanted = String(value).trim().toLowerCase();
+      const option = description.options.find(candidate => candidate.value.toLowerCase() === wanted) ||
+        description.options.find(candidate => candidate.text.trim().toLowerCase() === wanted);
+      
+      if (!option) {
+        return {
+          action: 'none',
+          result: createErrorResult(`No option "${value}", expected one of: ${description.options.map(candidate => candidate.text || candidate.value).join(', ')}`)
+        };
+      }
+      
+      return { action: 'check', result: await setChecked(`ref:${option.ref}`, true) };
+    }
+    
+    case 'file':
+      return { action: 'upload', result: await upload(target, value) };
+    
+    default:
+      if (!TYPED_FIELD_TYPES.has(description.type)) {
+        return { action: 'none', result: createErrorResult(`Unsupported field type: ${description.type}`) };
+      }
+      
+      return { action: 'type', result: await type(target, String(value)) };
+  }
+}
+
+/**
+ * Fill a form in one call
+ * 
+ * Keys name fields by label, name, id, autocomplete token or placeholder
+ * (case and punctuation are ignored, exact label matches win), or by
+ * element reference. Each field is filled with the action its type
+ * needs: typing for text fields, option selection for selects, clicks
+ * for checkboxes (true/false) and radio groups (option value or label),
+ * and uploads for file inputs (file descriptions as for Perform.upload).
+ * 
+ * @param {string|null} target - Element reference, CSS selector or XPath of the form or field container; null for the whole page
+ * @param {Object<string, *>} values - Values by field key, e.g. { "Email": "a@b.de", "Country": "DE" }
+ * @param {Object} [options] - Fill options
+ * @param {boolean} [options.submit=false] - Submit the form once every field is filled
+ * @returns {Promise<Object>} Result with a report for every key
+ */
+async function fillForm(target, values, options = {}) {
+  try {
+    const {
+      submit = false
+    } = options;
+    
+    // Route targets inside cross-origin frames through the frame relay
+    if (target && isRemoteTarget(target)) {
+      return await relayAction('Perform.fillForm', target, frameTarget => [frameTarget, values, options]);
+    }
+    
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return createErrorResult('Form values must be an object of field keys and values', { target });
+    }
+    
+    // Find the form
+    const element = target ? findElement(target) : document.body;
+    
+    if (!element) {
+      return createNotFoundResult(target, { options });
+    }
+    
+    const elementInfo = getElementInfo(element, target);
+    const fields = getFormFields(element);
+    const used = new Set();
+    const report = [];
+    
+    for (const [key, value] of Object.entries(values)) {
+      let field = null;
+      
+      if (key.startsWith('ref:')) {
+        const keyElement = findElement(key);
+        field = fields.find(candidate => candidate.elements.includes(keyElement)) || null;
+      } else {
+        let bestScore = 0;
+        
+        for (const candidate of fields) {
+          if (used.has(candidate)) continue;
+          
+          const score = scoreFieldMatch(key, candidate.description);
+          if (score > bestScore) {
+            bestScore = score;
+            field = candidate;
+          }
+        }
+      }
+      
+      if (!field) {
+        report.push({ key, field: null, success: false, error: `No field matches "${key}"` });
+        continue;
+      }
+      
+      used.add(field);
+      
+      const { ref, label, name, type: fieldType } = field.description;
+      const { action, result } = await fillField(field, value);
+      
+      report.push({
+        key,
+        field: { ref, label, name, type: fieldType },
+        action,
+        success: result.success,
+        ...(result.success ? {} : { error: result.error })
+      });
+    }
+    
+    const failed = report.filter(entry => !entry.success);
+    const data = {
+      action: 'fillForm',
+      element: elementInfo,
+      fields: report,
+      filled: report.length - failed.length,
+      submitted: false,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (failed.length > 0) {
+      return createErrorResult(
+        `Could not fill ${failed.length} of ${report.length} fields: ${failed.map(entry => entry.key).join(', ')}`,
+        data
+      );
+    }
+    
+    if (submit) {
+      const form = element.tagName.toLowerCase() === 'form' ? element : element.closest('form') || element.querySelector('form');
+      
+      if (!form) {
+        return createErrorResult('Fields were filled but there is no form to submit', data);
+      }
+      
+      // Submit like a user would: through the first submit button if there is one
+      const [button] = getSubmitButtons(form);
+      
+      if (button) {
+        const result = await click(`ref:${getElementRef(button)}`);
+        if (!result.success) {
+          return createErrorResult(`Fields were filled but submitting failed: ${result.error}`, data);
+        }
+      } else if (typeof form.requestSubmit === 'function') {
+        form.requestSubmit();
+      } else {
+        form.submit();
+      }
+      
+      data.submitted = true;
+    }
+    
+    return createSuccessResult(data);
+  } catch (error) {
+    return createErrorResult(
+      `Fill form operation failed: ${error.message}`,
+      { target, options }
+    );
+  }
+}
+
+/**
+ * Wait until a condition holds
+ * 
+ * Conditions combine element states (target with state "attached",
+ * "detached", "visible", "hidden", "enabled" or "disabled"), text or
+ * pattern matches, field values, URL matches or changes, element counts,
+ * DOM quiet and network idle periods, and custom predicates; all parts
+ * must hold. A string waits for that element to be visible, a function
+ * for it to return a truthy value.
+ * 
+ * On timeout the result fails with the parts that did not hold and the
+ * last observation of each.
+ * 
+ * @param {Object|string|Function} condition - Wait condition, e.g. { target: '#results', state: 'visible', text: 'Done' }
+ * @param {Object} [options] - Wait options
+ * @param {number} [options.timeout=30000] - Maximum wait in ms
+ * @param {string|number} [options.polling='raf'] - "raf", "mutation" or an interval in ms
+ * @returns {Promise<Object>} Result of the wait
+ */
+async function waitFor(condition, options = {}) {
+  const {
+    timeout = 30000
+  } = options;
+  
+  try {
+    const normalized = typeof condition === 'string' ? { target: condition }
+      : typeof condition === 'function' ? { predicate: condition }
+      : condition;
+    
+    // Route conditions on cross-origin frame elements through the frame relay
+    if (normalized && typeof normalized.target === 'string' && isRemoteTarget(normalized.target)) {
+      return await relayAction('Perform.waitFor', normalized.target, frameTarget => [{ ...normalized, target: frameTarget }, options]);
+    }
+    
+    let outcome;
+    try {
+      outcome = await waitForCondition(normalized, options);
+    } catch (error) {
+      return createErrorResult(`Invalid wait condition: ${error.message}`, { options });
+    }
+    
+    const data = {
+      action: 'waitFor',
+      conditions: outcome.conditions,
+      elapsed: outcome.elapsed,
+      observed: outcome.observed,
+      timestamp: new Date().toISOString()
+    };
+    
+    const element = normalized.target ? findElement(normalized.target) : null;
+    if (element && element.isConnected) data.element = getElementInfo(element, normalized.target);
+    
+    if (!outcome.met) {
+      return createErrorResult(
+        `Timed out after ${timeout}ms waiting for ${outcome.failed.map(failure => failure.description).join(' and ')}`,
+        { ...data, timeout, failed: outcome.failed }
+      );
+    }
+    
+    return createSuccessResult(data);
+  } catch (error) {
+    return createErrorResult(
+      `Wait operation failed: ${error.message}`,
+      { options }
+    );
+  }
+}
+
 /**
  * Scroll page or element
  * 
  * @param {Object} options - Scroll options
- * @param {string} [options.target] - CSS selector or XPath of element to scroll
+ * @param {string} [options.target] - Element reference, CSS selector or XPath of element to scroll
  * @param {number} [options.x] - Horizontal scroll position
  * @param {number} [options.y] - Vertical scroll position
  * @param {string} [options.behavior='smooth'] - Scroll behavior: 'auto' or 'smooth'
- * @returns {Object} Result of scroll action
+ * @returns {Object|Promise<Object>} Result of scroll action (a Promise when the target is in a cross-origin frame)
  */
 function scroll(options = {}) {
   try {
@@ -455,16 +1578,20 @@ function scroll(options = {}) {
       behavior = 'smooth'
     } = options;
     
+    // Route targets inside cross-origin frames through the frame relay
+    if (target && isRemoteTarget(target)) {
+      // scroll stays synchronous for local targets, so a failed relay is caught here
+      return relayAction('Perform.scroll', target, frameTarget => [{ ...options, target: frameTarget }])
+        .catch(error => createErrorResult(`Scroll operation failed: ${error.message}`, { options }));
+    }
+    
     // If target is specified, scroll the element into view
     if (target) {
       // Find element
       const element = findElement(target);
       
       if (!element) {
-        return createErrorResult(
-          `Target element not found: ${target}`,
-          { options }
-        );
+        return createNotFoundResult(target, { options });
       }
       
       // Get element information
@@ -512,11 +1639,53 @@ function scroll(options = {}) {
   }
 }
 
+/**
+ * Report the page errors raised while an action ran in its result
+ * 
+ * While Console.start() capture runs, adds pageErrors: { count, summary }
+ * to the result data, counting console.error calls, uncaught exceptions
+ * and unhandled rejections. A result relayed from a frame already carries
+ * the frame's errors; this page's are added to them.
+ * 
+ * @param {Function} action - Perform method, sync or async
+ * @returns {Function} - Method with the same signature whose results carry pageErrors
+ */
+function withPageErrors(action) {
+  return function (...args) {
+    const capturing = isConsoleCapturing();
+    const cursor = getConsoleCursor();
+    
+    const addPageErrors = result => {
+      if (!capturing || !result || !result.data) return result;
+      
+      const errors = summarizeErrors(cursor);
+      const frameErrors = result.data.pageErrors;
+      
+      result.data.pageErrors = frameErrors
+        ? { count: frameErrors.count + errors.count, summary: [...frameErrors.summary, ...errors.summary] }
+        : errors;
+      
+      return result;
+    };
+    
+    const result = action.apply(this, args);
+    return result && typeof result.then === 'function' ? result.then(addPageErrors) : addPageErrors(result);
+  };
+}
+
 // Export the Perform tool
 export default {
-  click,
-  type,
-  select,
-  hover,
-  scroll
+  click: withPageErrors(click),
+  type: withPageErrors(type),
+  press: withPageErrors(press),
+  select: withPageErrors(select),
+  hover: withPageErrors(hover),
+  drag: withPageErrors(drag),
+  upload: withPageErrors(upload),
+  check: withPageErrors(check),
+  uncheck: withPageErrors(uncheck),
+  setChecked: withPageErrors(setChecked),
+  fillForm: withPageErrors(fillForm),
+  waitFor: withPageErrors(waitFor),
+  scroll: withPageErrors(scroll)
 };
\ No newline at end of file
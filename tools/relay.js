@@ -0,0 +1,675 @@
+/**
+ * BrowserMagic DOM - Frame Relay
+ * 
+ * postMessage relay that forwards tool calls to cross-origin iframes
+ * running their own copy of the library, and merges their results back
+ * into top-level coordinates, locators and element references.
+ * 
+ * Every frame that should take part (the top page and each child frame)
+ * loads the library and calls Relay.enable() with the origins it trusts.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { 
+  FRAME_DOCUMENT_SEGMENT,
+  findElementByRef,
+  findElementByXPath,
+  getAccessibleDocuments,
+  getElementRef,
+  getFrameContentOffset,
+  getFrameDocument,
+  getXPath,
+  takeSnapshot
+} from '../core.js';
+
+import { 
+  createSuccessResult,
+  createErrorResult,
+  isElementVisible
+} from './utils.js';
+
+import Extract from './extract.js';
+import Perform from './perform.js';
+
+/**
+ * Channel name used to recognise relay messages
+ * @type {string}
+ */
+const RELAY_CHANNEL = 'browsermagic-dom:relay';
+
+/**
+ * Relay configuration and listener state for this frame
+ */
+const relayState = {
+  enabled: false,
+  allowedOrigins: new Set(),
+  timeout: 5000
+};
+
+/**
+ * Requests sent to child frames that are waiting for a response
+ * @type {Map<string, {window: Window, origin: string, resolve: Function}>}
+ */
+const pendingRequests = new Map();
+
+/**
+ * Origin each child frame's window reported in its last ready message
+ * @type {WeakMap<Window, string>}
+ */
+const frameOrigins = new WeakMap();
+
+/**
+ * Callbacks waiting for a child frame's ready message, by frame window
+ * @type {Map<Window, Function[]>}
+ */
+const pendingHandshakes = new Map();
+
+// Counter used to build request ids
+let nextRequestId = 1;
+
+/**
+ * Start relaying tool calls to and from other frames
+ * 
+ * @param {Object} [options] - Relay options
+ * @param {string[]} [options.allowedOrigins=[]] - Origins allowed to exchange messages with this frame
+ * @param {number} [options.timeout=5000] - Time to wait for a child frame to respond in ms
+ * @returns {Object} Result with the active relay configuration
+ */
+function enable(options = {}) {
+  try {
+    const {
+      allowedOrigins = [],
+      timeout = 5000
+    } = options;
+    
+    // The page's own origin is always trusted
+    const origins = [window.location.origin, ...allowedOrigins].map(origin => {
+      if (origin === '*') {
+        throw new Error('Wildcard origins are not allowed');
+      }
+      return new URL(origin).origin;
+    });
+    
+    relayState.allowedOrigins = new Set(origins);
+    relayState.timeout = timeout;
+    
+    if (!relayState.enabled) {
+      window.addEventListener('message', handleMessage);
+      relayState.enabled = true;
+    }
+    
+    // Tell the parent which origin this frame runs on; the message carries nothing else
+    if (window.parent !== window) {
+      window.parent.postMessage({ channel: RELAY_CHANNEL, type: 'ready' }, '*');
+    }
+    
+    return createSuccessResult({
+      enabled: true,
+      allowedOrigins: Array.from(relayState.allowedOrigins),
+      timeout
+    });
+  } catch (error) {
+    return createErrorResult(
+      `Failed to enable frame relay: ${error.message}`,
+      { options }
+    );
+  }
+}
+
+/**
+ * Stop relaying tool calls and fail any requests still in flight
+ * 
+ * @returns {Object} Result of disabling the relay
+ */
+function disable() {
+  window.removeEventListener('message', handleMessage);
+  relayState.enabled = false;
+  
+  for (const [id, pending] of pendingRequests) {
+    pending.resolve(createErrorResult('Frame relay was disabled', { requestId: id }));
+  }
+  
+  for (const callbacks of pendingHandshakes.values()) {
+    callbacks.forEach(callback => callback(null));
+  }
+  pendingHandshakes.clear();
+  
+  return createSuccessResult({ enabled: false });
+}
+
+/**
+ * Handle relay messages, dropping anything from an untrusted origin
+ * @param {MessageEvent} event - Message event
+ */
+function handleMessage(event) {
+  const message = event.data;
+  
+  if (!message || message.channel !== RELAY_CHANNEL) return;
+  
+  // Recorded whatever the origin, so calls to an untrusted frame fail with a clear error
+  if (message.type === 'ready') {
+    handleReady(event);
+    return;
+  }
+  
+  if (!relayState.allowedOrigins.has(event.origin)) return;
+  
+  if (message.type === 'hello') {
+    handleHello(event);
+  } else if (message.type === 'request') {
+    handleRequest(event, message);
+  } else if (message.type === 'response') {
+    handleResponse(event, message);
+  }
+}
+
+/**
+ * Record the origin a child frame reported and release calls waiting for it
+ * 
+ * The origin is the one the browser stamped on the message, so it is
+ * where the frame's document really lives, even after a redirect.
+ * 
+ * @param {MessageEvent} event - Ready message event
+ */
+function handleReady(event) {
+  if (!event.source) return;
+  
+  frameOrigins.set(event.source, event.origin);
+  
+  const callbacks = pendingHandshakes.get(event.source);
+  if (callbacks) {
+    pendingHandshakes.delete(event.source);
+    callbacks.forEach(callback => callback(event.origin));
+  }
+}
+
+/**
+ * Answer the parent frame's handshake with a ready message
+ * @param {MessageEvent} event - Hello message event
+ */
+function handleHello(event) {
+  if (event.source !== window.parent || window.parent === window) return;
+  
+  event.source.postMessage({ channel: RELAY_CHANNEL, type: 'ready' }, event.origin);
+}
+
+/**
+ * Execute a tool call requested by the parent frame and post back the result
+ * @param {MessageEvent} event - Message event carrying the request
+ * @param {Object} message - Relay request message
+ */
+async function handleRequest(event, message) {
+  // Only the direct parent may drive this frame
+  if (event.source !== window.parent || window.parent === window) return;
+  
+  let result;
+  
+  try {
+    const method = getRelayMethod(message.method);
+    
+    result = method
+      ? await method(...(Array.isArray(message.args) ? message.args : []))
+      : createErrorResult(`Unknown relay method: ${message.method}`);
+  } catch (error) {
+    result = createErrorResult(
+      `Relayed call failed: ${error.message}`,
+      { method: message.method }
+    );
+  }
+  
+  event.source.postMessage({
+    channel: RELAY_CHANNEL,
+    type: 'response',
+    id: message.id,
+    result
+  }, event.origin);
+}
+
+/**
+ * Settle the pending request a child frame responded to
+ * @param {MessageEvent} event - Message event carrying the response
+ * @param {Object} message - Relay response message
+ */
+function handleResponse(event, message) {
+  const pending = pendingRequests.get(message.id);
+  
+  // The response must come from the frame and origin the request went to
+  if (!pending || event.source !== pending.window || event.origin !== pending.origin) return;
+  
+  pending.resolve(message.result);
+}
+
+/**
+ * Look up the function that serves a relayed method name
+ * @param {string} name - Method name such as "Perform.click"
+ * @returns {Function|null} Function to call, or null if not relayable
+ */
+function getRelayMethod(name) {
+  // Snapshot and extraction recurse into this frame's own cross-origin children
+  if (name === 'ping') return () => createSuccessResult({ url: window.location.href });
+  if (name === 'takeSnapshot') return snapshot;
+  if (name === 'Extract.elements') return elements;
+  
+  const [toolName, methodName] = String(name).split('.');
+  const tool = { Extract, Perform }[toolName];
+  
+  return tool && Object.prototype.hasOwnProperty.call(tool, methodName) && typeof tool[methodName] === 'function'
+    ? tool[methodName]
+    : null;
+}
+
+/**
+ * Get the origin a frame last reported in its ready message
+ * @param {Element} frame - An iframe or frame element
+ * @returns {string|null} Origin, or null if the frame has not reported one
+ */
+function getFrameOrigin(frame) {
+  return (frame.contentWindow && frameOrigins.get(frame.contentWindow)) || null;
+}
+
+/**
+ * Get the origin of a frame's document, asking the frame when it is not known
+ * 
+ * The src attribute is not used: it goes stale when the frame redirects,
+ * and a message posted to the wrong origin is dropped without an error.
+ * 
+ * @param {Element} frame - An iframe or frame element
+ * @returns {Promise<string|null>} Origin, or null if the frame did not answer in time
+ */
+function waitForFrameOrigin(frame) {
+  const frameWindow = frame.contentWindow;
+  const known = getFrameOrigin(frame);
+  if (known) return Promise.resolve(known);
+  
+  return new Promise(resolve => {
+    const timeoutId = setTimeout(() => {
+      const callbacks = pendingHandshakes.get(frameWindow) || [];
+      const remaining = callbacks.filter(callback => callback !== settle);
+      
+      if (remaining.length) {
+        pendingHandshakes.set(frameWindow, remaining);
+      } else {
+        pendingHandshakes.delete(frameWindow);
+      }
+      resolve(null);
+    }, relayState.timeout);
+    
+    const settle = origin => {
+      clearTimeout(timeoutId);
+      resolve(origin);
+    };
+    
+    if (!pendingHandshakes.has(frameWindow)) pendingHandshakes.set(frameWindow, []);
+    pendingHandshakes.get(frameWindow).push(settle);
+    
+    // Nothing but the handshake goes out before the frame's origin is known
+    frameWindow.postMessage({ channel: RELAY_CHANNEL, type: 'hello' }, '*');
+  });
+}
+
+/**
+ * Send a tool call to a child frame and wait for its result
+ * @param {Element} frame - Cross-origin iframe or frame element
+ * @param {string} method - Relayed method name such as "Perform.click"
+ * @param {Array} [args=[]] - Structured-clonable arguments
+ * @returns {Promise<Object>} Tool result returned by the child frame
+ */
+async function callFrame(frame, method, args = []) {
+  const framePath = getXPath(frame);
+  
+  if (!relayState.enabled) {
+    return createErrorResult(
+      'Frame relay is not enabled, call Relay.enable() first',
+      { frame: framePath, method }
+    );
+  }
+  
+  const frameWindow = frame.contentWindow;
+  
+  if (!frameWindow) {
+    return createErrorResult(
+      'Frame has no window to relay to',
+      { frame: framePath, method }
+    );
+  }
+  
+  const origin = await waitForFrameOrigin(frame);
+  
+  if (!origin) {
+    return createErrorResult(
+      `Frame did not answer the relay handshake within ${relayState.timeout}ms, it must load the library and call Relay.enable()`,
+      { frame: framePath, method }
+    );
+  }
+  
+  if (!relayState.allowedOrigins.has(origin)) {
+    return createErrorResult(
+      `Frame origin is not allowed: ${origin}`,
+      { frame: framePath, method, origin }
+    );
+  }
+  
+  return new Promise(resolve => {
+    const id = `${Date.now().toString(36)}-${nextRequestId++}`;
+    
+    const timeoutId = setTimeout(() => {
+      pendingRequests.delete(id);
+      // The frame may have navigated away, so ask for its origin again next time
+      frameOrigins.delete(frameWindow);
+      resolve(createErrorResult(
+        `Frame relay timeout after ${relayState.timeout}ms`,
+        { frame: framePath, method, origin }
+      ));
+    }, relayState.timeout);
+    
+    pendingRequests.set(id, {
+      window: frameWindow,
+      origin,
+      resolve: result => {
+        clearTimeout(timeoutId);
+        pendingRequests.delete(id);
+        resolve(result);
+      }
+    });
+    
+    try {
+      frameWindow.postMessage({
+        channel: RELAY_CHANNEL,
+        type: 'request',
+        id,
+        method,
+        args
+      }, origin);
+    } catch (error) {
+      pendingRequests.get(id).resolve(createErrorResult(
+        `Failed to send relay request: ${error.message}`,
+        { frame: framePath, method, origin }
+      ));
+    }
+  });
+}
+
+/**
+ * Find visible frames whose documents cannot be read from this frame
+ * @returns {Element[]} Cross-origin iframe and frame elements
+ */
+function getRemoteFrames() {
+  const frames = [];
+  
+  for (const { document: doc } of getAccessibleDocuments()) {
+    for (const frame of doc.querySelectorAll('iframe, frame')) {
+      if (!getFrameDocument(frame) && isElementVisible(frame)) {
+        frames.push(frame);
+      }
+    }
+  }
+  
+  return frames;
+}
+
+/**
+ * Rewrite an element reported by a child frame into this frame's terms:
+ * composite ref and locator, frame identifier and translated coordinates
+ * @param {Object} element - Element data from the child frame
+ * @param {Element} frame - Frame element the data came from
+ * @returns {Object} Translated element data
+ */
+function translateElement(element, frame) {
+  const frameRef = getElementRef(frame);
+  const framePath = getXPath(frame);
+  const offset = getFrameContentOffset(frame);
+  const translated = { ...element, frameId: frameRef };
+  
+  if (element.ref) translated.ref = `${frameRef}:${element.ref}`;
+  if (element.xpath) translated.xpath = framePath + FRAME_DOCUMENT_SEGMENT + element.xpath;
+  
+  translated.frame = element.frame
+    ? framePath + FRAME_DOCUMENT_SEGMENT + element.frame
+    : framePath;
+  
+  // Snapshot elements carry flat coordinates
+  if (typeof element.x === 'number' && typeof element.y === 'number') {
+    translated.x = Math.round(element.x + offset.x);
+    translated.y = Math.round(element.y + offset.y);
+    translated.inViewport = isBoxInViewport(translated);
+  }
+  
+  // Extracted elements and action results carry a position object
+  if (element.position) {
+    translated.position = {
+      ...element.position,
+      x: Math.round(element.position.x + offset.x),
+      y: Math.round(element.position.y + offset.y)
+    };
+    translated.position.inViewport = isBoxInViewport(translated.position);
+  }
+  
+  return translated;
+}
+
+/**
+ * Check whether a box in top-level coordinates intersects the viewport
+ * @param {{x: number, y: number, width?: number, height?: number}} box - Box to check
+ * @returns {boolean} Whether the box is in the viewport
+ */
+function isBoxInViewport(box) {
+  return (
+    box.y < window.innerHeight &&
+    box.x < window.innerWidth &&
+    box.y + (box.height || 0) > 0 &&
+    box.x + (box.width || 0) > 0
+  );
+}
+
+/**
+ * Work out whether a target points into a cross-origin frame
+ * 
+ * Two forms are recognised: composite references returned by the relay
+ * ("ref:e7:e3", where e7 is the iframe) and composite locators whose
+ * "#document" step crosses into a frame this page cannot read.
+ * 
+ * @param {string} target - Element target
+ * @returns {{frame: Element|null, frameRef?: string, target: string}|null} Routing info, or null for local targets
+ */
+function resolveRemoteTarget(target) {
+  if (typeof target !== 'string') return null;
+  
+  const refMatch = target.trim().match(/^ref:(e\d+):(.+)$/);
+  if (refMatch) {
+    return {
+      frame: findElementByRef(refMatch[1]),
+      frameRef: refMatch[1],
+      target: `ref:${refMatch[2]}`
+    };
+  }
+  
+  if (!target.includes(FRAME_DOCUMENT_SEGMENT)) return null;
+  
+  const parts = target.split(FRAME_DOCUMENT_SEGMENT);
+  
+  for (let i = 1; i < parts.length; i++) {
+    const frame = findElementByXPath(parts.slice(0, i).join(FRAME_DOCUMENT_SEGMENT));
+    if (!frame) return null;
+    
+    if (!getFrameDocument(frame)) {
+      return {
+        frame,
+        target: parts.slice(i).join(FRAME_DOCUMENT_SEGMENT)
+      };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a target lives inside a cross-origin frame
+ * @param {string} target - Element target
+ * @returns {boolean} Whether the target must be relayed
+ */
+export function isRemoteTarget(target) {
+  return resolveRemoteTarget(target) !== null;
+}
+
+/**
+ * Route an action on a cross-origin frame target to that frame
+ * 
+ * @param {string} method - Relayed method name such as "Perform.click"
+ * @param {string} target - Target as given by the caller
+ * @param {Function} buildArgs - Builds the argument list from the frame-local target
+ * @returns {Promise<Object>} Tool result translated into this frame's terms
+ */
+export async function relayAction(method, target, buildArgs) {
+  const remote = resolveRemoteTarget(target);
+  
+  if (!remote || !remote.frame) {
+    const stale = !!(remote && remote.frameRef);
+    
+    return createErrorResult(
+      stale
+        ? `Stale element reference: frame ${remote.frameRef} is no longer attached to the page, take a new snapshot`
+        : `Target frame not found: ${target}`,
+      { target, stale }
+    );
+  }
+  
+  const result = await callFrame(remote.frame, method, buildArgs(remote.target));
+  const data = result && result.data;
+  if (!data) return result;
+  
+  if (data.element) {
+    data.element = {
+      ...translateElement(data.element, remote.frame),
+      target
+    };
+  }
+  
+  if (data.dropTarget) {
+    data.dropTarget = translateElement(data.dropTarget, remote.frame);
+  }
+  
+  // Click and hover points and the drag path are in the child frame's viewport
+  const offset = getFrameContentOffset(remote.frame);
+  
+  for (const key of ['point', 'from', 'to']) {
+    const point = data[key];
+    
+    if (point && typeof point.x === 'number' && typeof point.y === 'number') {
+      data[key] = {
+        ...point,
+        x: Math.round(point.x + offset.x),
+        y: Math.round(point.y + offset.y)
+      };
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Take a snapshot of the page including cross-origin frames that run the relay
+ * 
+ * @param {Object} [options] - takeSnapshot options, forwarded to each frame
+ * @returns {Promise<Object>} Result with the merged snapshot
+ */
+async function snapshot(options = {}) {
+  try {
+    const pageSnapshot = takeSnapshot(options);
+    pageSnapshot.remoteFrames = [];
+    
+    if (relayState.enabled && options.includeFrames !== false) {
+      const frames = getRemoteFrames();
+      const results = await Promise.all(
+        frames.map(frame => callFrame(frame, 'takeSnapshot', [options]))
+      );
+      
+      results.forEach((result, i) => {
+        const frame = frames[i];
+        
+        pageSnapshot.remoteFrames.push({
+          frameId: getElementRef(frame),
+          frame: getXPath(frame),
+          origin: getFrameOrigin(frame),
+          success: result.success,
+          error: result.error
+        });
+        
+        if (result.success) {
+          pageSnapshot.elements.push(
+            ...result.data.elements.map(element => translateElement(element, frame))
+          );
+        }
+      });
+    }
+    
+    return createSuccessResult(pageSnapshot);
+  } catch (error) {
+    return createErrorResult(`Relayed snapshot failed: ${error.message}`);
+  }
+}
+
+/**
+ * Extract elements from the page and from cross-origin frames that run the relay
+ * 
+ * @param {string} query - CSS selector, XPath, or text pattern
+ * @param {Object} [options] - Extract.elements options, forwarded to each frame
+ * @returns {Promise<Object>} Result with the merged elements
+ */
+async function elements(query, options = {}) {
+  try {
+    const localResult = Extract.elements(query, options);
+    if (!localResult.success) return localResult;
+    
+    const { limit = 50 } = options;
+    const data = { ...localResult.data, remoteFrames: [] };
+    
+    if (relayState.enabled && options.includeFrames !== false) {
+      const frames = getRemoteFrames();
+      const results = await Promise.all(
+        frames.map(frame => callFrame(frame, 'Extract.elements', [query, options]))
+      );
+      
+      results.forEach((result, i) => {
+        const frame = frames[i];
+        
+        data.remoteFrames.push({
+          frameId: getElementRef(frame),
+          frame: getXPath(frame),
+          origin: getFrameOrigin(frame),
+          success: result.success,
+          error: result.error
+        });
+        
+        if (result.success) {
+          data.totalMatches += result.data.totalMatches;
+          data.elements.push(
+            ...result.data.elements.map(element => translateElement(element, frame))
+          );
+        }
+      });
+      
+      if (limit && data.elements.length > limit) {
+        data.elements = data.elements.slice(0, limit);
+      }
+      
+      data.count = data.elements.length;
+    }
+    
+    return createSuccessResult(data);
+  } catch (error) {
+    return createErrorResult(
+      `Relayed extraction failed: ${error.message}`,
+      { query }
+    );
+  }
+}
+
+// Export the Relay tool
+export default {
+  enable,
+  disable,
+  snapshot,
+  elements
+};
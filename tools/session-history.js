@@ -0,0 +1,338 @@
+/**
+ * BrowserMagic DOM - Session History
+ * 
+ * Keeps a per-tab log of the session history entries with their URLs,
+ * titles and the current position, so Navigate can tell whether it can
+ * go back or forward and jump to any entry. window.history.length cannot:
+ * it does not move when going back, and counts entries from before the
+ * page was opened.
+ * 
+ * Where the Navigation API exists it supplies the entries. Elsewhere the
+ * log is rebuilt from page loads and History API calls and kept in
+ * sessionStorage, so it only knows pages of this origin that loaded the
+ * library; traversals the library did not start are matched to
+ * neighbouring entries by URL.
+ * 
+ * Nothing is installed on import. The first call to getSessionHistory or
+ * expectTraversal (Navigate.history and Navigate.getState) starts the log:
+ * it wraps history.pushState and history.replaceState, observes the
+ * document head for title changes, listens for pagehide and writes to
+ * sessionStorage. Navigations before that call are not in the log.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { getSessionStorage } from './utils.js';
+
+import { addSoftNavigationListener } from './navigation.js';
+
+/**
+ * sessionStorage key of the history log
+ * @type {string}
+ */
+const HISTORY_STORAGE_KEY = 'browsermagic-dom:history';
+
+/**
+ * Most entries the log keeps
+ * @type {number}
+ */
+const MAX_ENTRIES = 100;
+
+/**
+ * History log of this document when sessionStorage is unavailable
+ * @type {Object|null}
+ */
+let memoryLog = null;
+
+/**
+ * Whether the log is being kept for this document
+ * @type {boolean}
+ */
+let installed = false;
+
+/**
+ * Check whether the Navigation API can supply the entries
+ * @returns {boolean} - Whether window.navigation has entries and a current entry
+ */
+function hasNavigationApi() {
+  return !!(window.navigation && typeof window.navigation.entries === 'function' &&
+    window.navigation.currentEntry);
+}
+
+/**
+ * Read the history log
+ * @returns {{entries: Array<{url: string, title: string}>, index: number, titles: Object<string, string>, pendingDelta: number|null}}
+ *   Entries, current index, titles by Navigation API entry key, and the traversal the library started
+ */
+function readLog() {
+  const storage = getSessionStorage();
+  
+  if (storage) {
+    try {
+      const stored = JSON.parse(storage.getItem(HISTORY_STORAGE_KEY));
+      if (stored && Array.isArray(stored.entries)) return stored;
+    } catch (e) {
+      // Unreadable log, start over
+    }
+  } else if (memoryLog) {
+    return memoryLog;
+  }
+  
+  return { entries: [], index: -1, titles: {}, pendingDelta: null };
+}
+
+/**
+ * Store the history log
+ * @param {Object} log - History log
+ */
+function writeLog(log) {
+  // Drop the oldest entries past the limit
+  const excess = log.entries.length - MAX_ENTRIES;
+  if (excess > 0) {
+    log.entries.splice(0, excess);
+    log.index = Math.max(log.index - excess, 0);
+  }
+  
+  const storage = getSessionStorage();
+  
+  if (!storage) {
+    memoryLog = log;
+    return;
+  }
+  
+  try {
+    storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(log));
+  } catch (e) {
+    memoryLog = log;
+  }
+}
+
+/**
+ * Add the current page as a new entry after the current one, dropping forward entries
+ * @param {Object} log - History log
+ */
+function pushEntry(log) {
+  log.entries = log.entries.slice(0, log.index + 1);
+  log.entries.push({ url: window.location.href, title: document.title });
+  log.index = log.entries.length - 1;
+}
+
+/**
+ * Replace the current entry with the current page
+ * @param {Object} log - History log
+ */
+function replaceEntry(log) {
+  if (log.index < 0) {
+    pushEntry(log);
+    return;
+  }
+  
+  log.entries[log.index] = { url: window.location.href, title: document.title };
+}
+
+/**
+ * Find how far away the nearest entry with the current URL is
+ * @param {Object} log - History log
+ * @returns {number|null} - Distance to the entry (negative for back), or null if none matches
+ */
+function findEntryDelta(log) {
+  const url = window.location.href;
+  
+  for (let distance = 1; distance < log.entries.length; distance++) {
+    for (const delta of [-distance, distance]) {
+      const entry = log.entries[log.index + delta];
+      if (entry && entry.url === url) return delta;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Move to the entry a traversal led to, or add one if it is not in the log
+ * @param {Object} log - History log
+ */
+function traverseEntry(log) {
+  const delta = log.pendingDelta !== null && log.entries[log.index + log.pendingDelta]
+    ? log.pendingDelta
+    : findEntryDelta(log);
+  
+  log.pendingDelta = null;
+  
+  if (delta === null) {
+    pushEntry(log);
+    return;
+  }
+  
+  log.index += delta;
+  log.entries[log.index].url = window.location.href;
+}
+
+/**
+ * Get how the current document was loaded
+ * @returns {string} - "navigate", "reload" or "back_forward"
+ */
+function getNavigationType() {
+  try {
+    const [entry] = window.performance.getEntriesByType('navigation');
+    if (entry && entry.type) return entry.type;
+  } catch (e) {
+    // No Navigation Timing
+  }
+  
+  return 'navigate';
+}
+
+/**
+ * Remember the title of the current entry
+ */
+function rememberTitle() {
+  const log = readLog();
+  
+  if (hasNavigationApi()) {
+    const keys = new Set(window.navigation.entries().map(entry => entry.key));
+    
+    // Forget titles of entries that are gone
+    for (const key of Object.keys(log.titles || {})) {
+      if (!keys.has(key)) delete log.titles[key];
+    }
+    
+    log.titles = { ...log.titles, [window.navigation.currentEntry.key]: document.title };
+  }
+  
+  const current = log.entries[log.index];
+  if (current && current.url === window.location.href) current.title = document.title;
+  
+  writeLog(log);
+}
+
+/**
+ * Record the page load that started this document
+ */
+function recordPageLoad() {
+  const log = readLog();
+  const current = log.entries[log.index];
+  const type = getNavigationType();
+  
+  if (type === 'back_forward') {
+    traverseEntry(log);
+  } else if (type === 'reload' && current) {
+    replaceEntry(log);
+  } else {
+    pushEntry(log);
+  }
+  
+  log.pendingDelta = null;
+  writeLog(log);
+}
+
+/**
+ * Record a same-document navigation
+ * @param {string} trigger - What caused it: "pushState", "replaceState", "popstate", "hashchange" or "navigate"
+ */
+function recordSoftNavigation(trigger) {
+  const log = readLog();
+  const current = log.entries[log.index];
+  
+  if (trigger === 'pushState') {
+    pushEntry(log);
+  } else if (trigger === 'replaceState') {
+    replaceEntry(log);
+  } else if (trigger === 'popstate' && log.pendingDelta !== null) {
+    traverseEntry(log);
+  } else if (current && current.url === window.location.href) {
+    // Already recorded, e.g. hashchange after popstate
+    return;
+  } else if (trigger === 'popstate') {
+    traverseEntry(log);
+  } else {
+    pushEntry(log);
+  }
+  
+  writeLog(log);
+}
+
+/**
+ * Start keeping the history log for this document, on first use
+ */
+function installSessionHistory() {
+  if (installed) return;
+  installed = true;
+  
+  recordPageLoad();
+  addSoftNavigationListener(recordSoftNavigation);
+  
+  // Titles often change after a navigation, once the new route renders
+  window.addEventListener('pagehide', rememberTitle);
+  
+  if (document.head && typeof MutationObserver === 'function') {
+    let title = document.title;
+    
+    const observer = new MutationObserver(() => {
+      if (document.title === title) return;
+      
+      title = document.title;
+      rememberTitle();
+    });
+    
+    observer.observe(document.head, { childList: true, subtree: true, characterData: true });
+  }
+}
+
+/**
+ * Get the session history of this tab
+ * 
+ * @returns {{entries: Array<{index: number, url: string, title: string|null, current: boolean}>, index: number, canGoBack: boolean, canGoForward: boolean, source: string}}
+ *   Entries in order, the current index, and whether the entries come from the "navigation" API or the library's "log"
+ */
+export function getSessionHistory() {
+  installSessionHistory();
+  rememberTitle();
+  const log = readLog();
+  
+  let entries;
+  let index;
+  let source;
+  
+  if (hasNavigationApi()) {
+    const { currentEntry } = window.navigation;
+    
+    entries = window.navigation.entries().map(entry => ({
+      index: entry.index,
+      url: entry.url,
+      title: log.titles && log.titles[entry.key] !== undefined ? log.titles[entry.key] : null,
+      current: entry.key === currentEntry.key
+    }));
+    index = currentEntry.index;
+    source = 'navigation';
+  } else {
+    entries = log.entries.map((entry, entryIndex) => ({
+      index: entryIndex,
+      url: entry.url,
+      title: entry.title,
+      current: entryIndex === log.index
+    }));
+    index = log.index;
+    source = 'log';
+  }
+  
+  return {
+    entries,
+    index,
+    canGoBack: index > 0,
+    canGoForward: index >= 0 && index < entries.length - 1,
+    source
+  };
+}
+
+/**
+ * Note a traversal the library is about to start, so the log can follow it exactly
+ * @param {number} delta - Entries to move, negative for back
+ */
+export function expectTraversal(delta) {
+  installSessionHistory();
+  const log = readLog();
+  log.pendingDelta = delta;
+  writeLog(log);
+}
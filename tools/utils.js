@@ -8,10 +8,24 @@
  */
 
 import { 
+  FRAME_DOCUMENT_SEGMENT,
   findElementByXPath,
-  getXPath
+  findElementByRef,
+  getAccessibleDocuments,
+  getElementRect,
+  getElementRef,
+  getFramePath,
+  getXPath,
+  isStaleRef,
+  parseElementRef,
+  SHADOW_ROOT_SEGMENT
 } from '../core.js';
 
+import { 
+  getAccessibleName,
+  getRole
+} from '../aria.js';
+
 /**
  * Standard result object structure used by all tools
  * @typedef {Object} ToolResult
@@ -47,16 +61,56 @@ export function createErrorResult(message, data = {}) {
 }
 
 /**
- * Finds an element in the DOM using either CSS selector or XPath
- * @param {string} target - CSS selector or XPath to find element
+ * Creates an error result for a target that could not be resolved,
+ * distinguishing stale element references from plain misses
+ * @param {string} target - CSS selector, XPath or element reference
+ * @param {Object} [data] - Additional context data
+ * @returns {ToolResult} Error result
+ */
+export function createNotFoundResult(target, data = {}) {
+  if (isStaleRef(target)) {
+    return createErrorResult(
+      `Stale element reference: ${target} is no longer attached to the page, take a new snapshot`,
+      { target, stale: true, ...data }
+    );
+  }
+  
+  return createErrorResult(
+    `Target element not found: ${target}`,
+    { target, ...data }
+  );
+}
+
+/**
+ * Finds an element in the DOM using an element reference, CSS selector or XPath
+ * @param {string} target - Element reference ("ref:e42"), CSS selector or XPath
  * @returns {Element|null} Found element or null
  */
 export function findElement(target) {
-  // Try as CSS selector
-  let element = document.querySelector(target);
+  if (!target) return null;
+  
+  // Element references never fall through to selector matching, so a
+  // stale reference cannot silently resolve to a different node
+  if (parseElementRef(target)) {
+    return findElementByRef(target);
+  }
   
-  // If not found, try as XPath
-  if (!element) {
+  // Try as CSS selector, in the top document first and then in same-origin frames
+  let element = null;
+  let validSelector = false;
+  try {
+    for (const { document: doc } of getAccessibleDocuments()) {
+      element = doc.querySelector(target);
+      validSelector = true;
+      if (element) break;
+    }
+  } catch (e) {
+    // Not a valid CSS selector
+  }
+  
+  // Otherwise try as XPath; a valid selector that matched nothing is not
+  // retried, which would log an XPath error on every poll of a wait
+  if (!element && !validSelector) {
     try {
       element = findElementByXPath(target);
     } catch (e) {
@@ -67,6 +121,46 @@ export function findElement(target) {
   return element;
 }
 
+/**
+ * Finds every element matching an element reference, CSS selector or
+ * XPath, in the top document and same-origin frames
+ * @param {string} target - Element reference ("ref:e42"), CSS selector or XPath
+ * @returns {Element[]} Matching elements in document order; references and composite locators match at most one
+ */
+export function findElements(target) {
+  if (!target) return [];
+  
+  if (parseElementRef(target) || target.includes(SHADOW_ROOT_SEGMENT) || target.includes(FRAME_DOCUMENT_SEGMENT)) {
+    const element = findElement(target);
+    return element ? [element] : [];
+  }
+  
+  const elements = [];
+  
+  try {
+    for (const { document: doc } of getAccessibleDocuments()) {
+      elements.push(...doc.querySelectorAll(target));
+    }
+    return elements;
+  } catch (e) {
+    // Not a valid CSS selector
+  }
+  
+  try {
+    for (const { document: doc } of getAccessibleDocuments()) {
+      const result = doc.evaluate(target, doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      
+      for (let i = 0; i < result.snapshotLength; i++) {
+        elements.push(result.snapshotItem(i));
+      }
+    }
+  } catch (e) {
+    // Not an XPath either
+  }
+  
+  return elements;
+}
+
 /**
  * Checks if an element is visible
  * @param {Element} element - DOM element to check
@@ -76,7 +170,7 @@ export function isElementVisible(element) {
   if (!element) return false;
   
   try {
-    const style = window.getComputedStyle(element);
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
     
     // Check basic visibility
     if (style.display === 'none' || 
@@ -106,7 +200,7 @@ export function isElementVisible(element) {
 export function isInViewport(element) {
   if (!element) return false;
   
-  const rect = element.getBoundingClientRect();
+  const rect = getElementRect(element);
   return (
     rect.top < window.innerHeight &&
     rect.left < window.innerWidth &&
@@ -125,6 +219,7 @@ export function getElementInfo(element, originalTarget = null) {
   if (!element) return null;
   
   const info = {
+    ref: getElementRef(element),
     tag: element.tagName.toLowerCase(),
     xpath: getXPath(element),
   };
@@ -134,14 +229,31 @@ export function getElementInfo(element, originalTarget = null) {
     info.target = originalTarget;
   }
   
+  // Add computed ARIA role and accessible name
+  const role = getRole(element);
+  if (role) {
+    info.role = role;
+  }
+  
+  const name = getAccessibleName(element);
+  if (name) {
+    info.name = name.length > 80 ? `${name.substring(0, 80)}...` : name;
+  }
+  
   // Add text if element has it
   const text = element.textContent?.trim();
   if (text) {
     info.text = text.length > 80 ? `${text.substring(0, 80)}...` : text;
   }
   
-  // Add position
-  const rect = element.getBoundingClientRect();
+  // Add frame locator for elements inside same-origin frames
+  const frame = getFramePath(element);
+  if (frame) {
+    info.frame = frame;
+  }
+  
+  // Add position, relative to the top-level viewport
+  const rect = getElementRect(element);
   info.position = {
     x: Math.round(rect.left),
     y: Math.round(rect.top),
@@ -153,54 +265,6 @@ export function getElementInfo(element, originalTarget = null) {
   return info;
 }
 
-/**
- * Creates a promise that resolves when page loads or times out
- * @param {Object} options - Loading options
- * @param {boolean} [options.waitForLoad=true] - Whether to wait for load event
- * @param {number} [options.timeout=30000] - Timeout in milliseconds
- * @returns {Promise<Object>} Promise that resolves when loading completes
- */
-export function createLoadPromise(options = {}) {
-  const { 
-    waitForLoad = true,
-    timeout = 30000
-  } = options;
-  
-  return new Promise((resolve, reject) => {
-    let timeoutId;
-    
-    // Set timeout
-    if (timeout) {
-      timeoutId = setTimeout(() => {
-        window.removeEventListener('load', handleLoad);
-        reject(new Error(`Loading timeout after ${timeout}ms`));
-      }, timeout);
-    }
-    
-    // Handle page load completion
-    const handleLoad = () => {
-      if (timeoutId) clearTimeout(timeoutId);
-      
-      // Wait for any immediate post-load operations
-      setTimeout(() => {
-        resolve({
-          url: window.location.href,
-          title: document.title,
-          timestamp: new Date().toISOString()
-        });
-      }, 500);
-    };
-    
-    // Listen for load events
-    if (waitForLoad) {
-      window.addEventListener('load', handleLoad, { once: true });
-    } else {
-      // If not waiting for load, resolve after a short delay
-      setTimeout(handleLoad, 300);
-    }
-  });
-}
-
 /**
  * Creates a promise that resolves when an element appears in the DOM
  * @param {string} selector - CSS selector to wait for
@@ -309,7 +373,7 @@ export function getVisibleText(element) {
   if (!element) return '';
   
   if (element.nodeType === Node.TEXT_NODE) return element.textContent;
-  if (!(element instanceof Element)) return '';
+  if (element.nodeType !== Node.ELEMENT_NODE) return '';
   
   // Check if element is visible
   if (!isElementVisible(element)) return '';
@@ -321,4 +385,26 @@ export function getVisibleText(element) {
   }
   
   return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Gets sessionStorage, if the page may use it
+ * @returns {Storage|null} sessionStorage, or null in sandboxed frames and with storage disabled
+ */
+export function getSessionStorage() {
+  try {
+    return window.sessionStorage || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Converts a URL glob ("https://shop.example/orders/*") to a pattern
+ * @param {string} glob - URL with "*" wildcards
+ * @returns {RegExp} Pattern matching the whole URL
+ */
+export function globToRegExp(glob) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
 }
\ No newline at end of file
@@ -13,6 +13,13 @@ import {
   takeSnapshot
 } from '../core.js';
 
+import { 
+  getAccessibleDescription,
+  getAccessibleName,
+  getRole,
+  getStates
+} from '../aria.js';
+
 import { 
   createSuccessResult, 
   createErrorResult,
@@ -117,51 +124,15 @@ function accessibilityTree(options = {}) {
     function buildA11yNode(element, currentDepth) {
       if (currentDepth > depth) return null;
       
-      // Get element role
-      let role = element.getAttribute('role');
-      
-      // If no explicit role, infer from element type
-      if (!role) {
-        const tag = element.tagName.toLowerCase();
-        
-        // Simplified role mapping (a real implementation would be more comprehensive)
-        const roleMap = {
-          a: 'link',
-          button: 'button',
-          h1: 'heading',
-          h2: 'heading',
-          h3: 'heading',
-          h4: 'heading',
-          h5: 'heading',
-          h6: 'heading',
-          img: 'img',
-          input: (() => {
-            const type = element.getAttribute('type');
-            if (type === 'checkbox') return 'checkbox';
-            if (type === 'radio') return 'radio';
-            if (type === 'button' || type === 'submit') return 'button';
-            return 'textbox';
-          })(),
-          select: 'combobox',
-          textarea: 'textbox',
-          nav: 'navigation',
-          main: 'main',
-          header: 'banner',
-          footer: 'contentinfo',
-          form: 'form'
-        };
-        
-        role = roleMap[tag] || '';
-      }
+      // Build node data from the computed role, name and description
+      const role = getRole(element);
+      const description = getAccessibleDescription(element);
       
-      // Build node data
       const node = {
         tag: element.tagName.toLowerCase(),
         role: role || undefined,
-        name: element.getAttribute('aria-label') || 
-              element.getAttribute('alt') || 
-              element.textContent?.trim().substring(0, 80) || 
-              undefined,
+        name: getAccessibleName(element).substring(0, 80) || undefined,
+        description: description ? description.substring(0, 80) : undefined,
         xpath: getXPath(element)
       };
       
@@ -178,13 +149,7 @@ function accessibilityTree(options = {}) {
       }
       
       // Check states
-      const states = [];
-      if (element.hasAttribute('disabled')) states.push('disabled');
-      if (element.hasAttribute('checked') || element.checked) states.push('checked');
-      if (element.hasAttribute('required')) states.push('required');
-      if (element.hasAttribute('expanded')) {
-        states.push(element.getAttribute('expanded') === 'true' ? 'expanded' : 'collapsed');
-      }
+      const states = getStates(element);
       
       if (states.length > 0) {
         node.states = states;
@@ -0,0 +1,451 @@
+/**
+ * BrowserMagic DOM - Wait Conditions
+ * 
+ * Polls page conditions (element states, text, field values, URLs,
+ * element counts, DOM quiet and network idle periods, and custom
+ * predicates) until they all hold or a timeout passes, keeping what was
+ * observed last so a timeout can explain itself.
+ * 
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { 
+  findElement,
+  findElements,
+  globToRegExp,
+  isElementVisible
+} from './utils.js';
+
+import { nextFrame } from './input.js';
+
+import { getNetworkActivity } from './network.js';
+
+/**
+ * Element states a condition can wait for
+ * @type {string[]}
+ */
+const ELEMENT_STATES = ['attached', 'detached', 'visible', 'hidden', 'enabled', 'disabled'];
+
+/**
+ * Keys a condition object may contain
+ * @type {string[]}
+ */
+const CONDITION_KEYS = ['target', 'state', 'text', 'pattern', 'flags', 'value', 'url', 'urlChanged', 'count', 'domQuiet', 'networkIdle', 'predicate'];
+
+/**
+ * How often "mutation" polling re-checks without DOM changes, for URL and predicate conditions
+ * @type {number}
+ */
+const MUTATION_POLLING_FALLBACK = 250;
+
+/**
+ * Idle time networkIdle: true waits for, in ms
+ * @type {number}
+ */
+const NETWORK_IDLE_TIME = 500;
+
+/**
+ * Run a check, giving up on it when the wait runs out of time
+ * 
+ * An async predicate that never settles would otherwise hold the wait
+ * past its timeout.
+ * 
+ * @param {Object} check - Check built by buildChecks
+ * @param {number} remaining - Time left in the wait, in ms
+ * @returns {Promise<{met: boolean, observed: *}>} - Check outcome, or observed "pending" if it did not settle in time
+ */
+async function runCheck(check, remaining) {
+  const outcome = check.check();
+  if (!outcome || typeof outcome.then !== 'function' || remaining === Infinity) return outcome;
+  
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ met: false, observed: 'pending' }), remaining);
+  });
+  
+  try {
+    return await Promise.race([outcome, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Shorten observed text for reports
+ * @param {string} text - Text to shorten
+ * @returns {string} - At most 200 characters
+ */
+function truncate(text) {
+  return text.length > 200 ? `${text.substring(0, 200)}...` : text;
+}
+
+/**
+ * Describe an expected string or pattern
+ * @param {string|RegExp} expected - Expected value
+ * @returns {string} - Quoted string or regex literal
+ */
+function describeExpected(expected) {
+  return expected instanceof RegExp ? String(expected) : `"${expected}"`;
+}
+
+/**
+ * Match text against a substring or pattern
+ * @param {string} actual - Observed text
+ * @param {string|RegExp} expected - Substring or pattern
+ * @returns {boolean} - Whether it matches
+ */
+function matches(actual, expected) {
+  if (expected instanceof RegExp) {
+    expected.lastIndex = 0;
+    return expected.test(actual);
+  }
+  
+  return actual.includes(expected);
+}
+
+/**
+ * Get the text a user sees in an element
+ * @param {Element} element - The element
+ * @returns {string} - Rendered text, or text content without a layout engine
+ */
+function getText(element) {
+  return typeof element.innerText === 'string' ? element.innerText : (element.textContent || '');
+}
+
+/**
+ * Check whether an element is disabled natively or through ARIA
+ * @param {Element} element - The element
+ * @returns {boolean} - Whether it is disabled
+ */
+function isDisabled(element) {
+  if (element.closest('[aria-disabled="true"]')) return true;
+  
+  try {
+    return element.matches(':disabled');
+  } catch (e) {
+    return element.disabled === true;
+  }
+}
+
+/**
+ * Build the checks a condition stands for
+ * 
+ * @param {Object} condition - Wait condition
+ * @param {Object} context - Shared polling state: start, startUrl, lastMutation and lastResourceActivity
+ * @returns {Array<{name: string, description: string, check: Function}>} - Checks, each returning { met, observed }
+ */
+function buildChecks(condition, context) {
+  const unknown = Object.keys(condition).filter(key => !CONDITION_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown condition ${unknown.length > 1 ? 'keys' : 'key'}: ${unknown.join(', ')}`);
+  }
+  
+  const { target } = condition;
+  const checks = [];
+  
+  if (target !== undefined && typeof target !== 'string') {
+    throw new Error('target must be an element reference, CSS selector or XPath');
+  }
+  
+  if (condition.text !== undefined && condition.pattern !== undefined) {
+    throw new Error('Use either text or pattern, not both');
+  }
+  
+  const needsTarget = ['state', 'value', 'count'].filter(key => condition[key] !== undefined);
+  if (needsTarget.length > 0 && !target) {
+    throw new Error(`${needsTarget.join(', ')} ${needsTarget.length > 1 ? 'need' : 'needs'} a target`);
+  }
+  
+  // A bare target waits for the element to become visible
+  const onlyTarget = target && ['state', 'text', 'pattern', 'value', 'count']
+    .every(key => condition[key] === undefined);
+  const state = condition.state || (onlyTarget ? 'visible' : null);
+  
+  if (state) {
+    if (!ELEMENT_STATES.includes(state)) {
+      throw new Error(`Invalid state: ${state}. Must be one of: ${ELEMENT_STATES.join(', ')}`);
+    }
+    
+    checks.push({
+      name: 'state',
+      description: `"${target}" to be ${state}`,
+      check: () => {
+        const element = findElement(target);
+        const attached = !!element && element.isConnected;
+        const visible = attached && isElementVisible(element);
+        const enabled = attached && !isDisabled(element);
+        
+        const met = {
+          attached,
+          detached: !attached,
+          visible,
+          hidden: !visible,
+          enabled: attached && enabled,
+          disabled: attached && !enabled
+        }[state];
+        
+        return { met, observed: { attached, visible, enabled } };
+      }
+    });
+  }
+  
+  if (condition.text !== undefined || condition.pattern !== undefined) {
+    const expected = condition.pattern !== undefined
+      ? (condition.pattern instanceof RegExp ? condition.pattern : new RegExp(condition.pattern, condition.flags || ''))
+      : String(condition.text);
+    const verb = expected instanceof RegExp ? 'match' : 'contain';
+    
+    checks.push({
+      name: 'text',
+      description: `${target ? `text of "${target}"` : 'page text'} to ${verb} ${describeExpected(expected)}`,
+      check: () => {
+        const scope = target ? findElement(target) : document.body;
+        if (!scope) return { met: false, observed: null };
+        
+        const text = getText(scope);
+        return { met: matches(text, expected), observed: truncate(text) };
+      }
+    });
+  }
+  
+  if (condition.value !== undefined) {
+    const expected = condition.value instanceof RegExp ? condition.value : String(condition.value);
+    
+    checks.push({
+      name: 'value',
+      description: `value of "${target}" to ${expected instanceof RegExp ? `match ${expected}` : `be "${expected}"`}`,
+      check: () => {
+        const element = findElement(target);
+        if (!element) return { met: false, observed: null };
+        
+        const value = 'value' in element ? String(element.value) : (element.textContent || '');
+        const met = expected instanceof RegExp ? matches(value, expected) : value === expected;
+        
+        return { met, observed: truncate(value) };
+      }
+    });
+  }
+  
+  if (condition.url !== undefined) {
+    const raw = condition.url;
+    const glob = !(raw instanceof RegExp) && String(raw).includes('*');
+    const expected = raw instanceof RegExp ? raw : glob ? globToRegExp(String(raw)) : String(raw);
+    
+    checks.push({
+      name: 'url',
+      description: raw instanceof RegExp ? `URL to match ${raw}` : `URL to ${glob ? 'match' : 'contain'} "${raw}"`,
+      check: () => ({ met: matches(window.location.href, expected), observed: window.location.href })
+    });
+  }
+  
+  if (condition.urlChanged) {
+    checks.push({
+      name: 'urlChanged',
+      description: `URL to change from "${context.startUrl}"`,
+      check: () => ({ met: window.location.href !== context.startUrl, observed: window.location.href })
+    });
+  }
+  
+  if (condition.count !== undefined) {
+    const { count } = condition;
+    const range = typeof count === 'number' ? { min: count, max: count } : count;
+    
+    if (!range || typeof range !== 'object' || (range.min === undefined && range.max === undefined)) {
+      throw new Error('count must be a number or { min, max }');
+    }
+    
+    const min = range.min === undefined ? 0 : range.min;
+    const max = range.max === undefined ? Infinity : range.max;
+    const expectation = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+    
+    checks.push({
+      name: 'count',
+      description: `"${target}" to match ${expectation} element${min === 1 && max === 1 ? '' : 's'}`,
+      check: () => {
+        const found = findElements(target).length;
+        return { met: found >= min && found <= max, observed: found };
+      }
+    });
+  }
+  
+  if (condition.domQuiet !== undefined) {
+    if (typeof condition.domQuiet !== 'number' || condition.domQuiet < 0) {
+      throw new Error('domQuiet must be a number of milliseconds');
+    }
+    
+    checks.push({
+      name: 'domQuiet',
+      description: `DOM to stay unchanged for ${condition.domQuiet}ms`,
+      check: () => {
+        const quietFor = Date.now() - context.lastMutation;
+        return { met: quietFor >= condition.domQuiet, observed: quietFor };
+      }
+    });
+  }
+  
+  if (condition.networkIdle !== undefined) {
+    const idleTime = condition.networkIdle === true ? NETWORK_IDLE_TIME : condition.networkIdle;
+    
+    if (typeof idleTime !== 'number' || idleTime < 0) {
+      throw new Error('networkIdle must be true or a number of milliseconds');
+    }
+    
+    checks.push({
+      name: 'networkIdle',
+      description: `network to stay idle for ${idleTime}ms`,
+      check: () => {
+        const activity = getNetworkActivity();
+        
+        // Without the monitor only finished requests are seen, through Resource Timing
+        if (!activity.monitoring) {
+          const idleFor = Date.now() - context.lastResourceActivity;
+          return { met: idleFor >= idleTime, observed: { inFlight: null, idleFor } };
+        }
+        
+        // Activity before the wait started does not count towards the idle time
+        const idleFor = Math.min(activity.idleFor, Date.now() - context.start);
+        return { met: activity.inFlight === 0 && idleFor >= idleTime, observed: { inFlight: activity.inFlight, idleFor } };
+      }
+    });
+  }
+  
+  if (condition.predicate !== undefined) {
+    if (typeof condition.predicate !== 'function') {
+      throw new Error('predicate must be a function');
+    }
+    
+    checks.push({
+      name: 'predicate',
+      description: 'custom predicate to return a truthy value',
+      check: async () => {
+        try {
+          const value = await condition.predicate();
+          return { met: !!value, observed: value === undefined ? 'undefined' : value };
+        } catch (error) {
+          return { met: false, observed: `threw: ${error.message}` };
+        }
+      }
+    });
+  }
+  
+  if (checks.length === 0) {
+    throw new Error('Condition has nothing to wait for');
+  }
+  
+  return checks;
+}
+
+/**
+ * Wait until every part of a condition holds
+ * 
+ * A condition combines any of:
+ * - target + state: "attached", "detached", "visible", "hidden", "enabled" or "disabled" (a bare target waits for visible)
+ * - text (substring) or pattern (+ flags): text of the target, or of the page
+ * - target + value: a field's value, as a string or RegExp
+ * - url: substring, "*" glob or RegExp; urlChanged: true for any change
+ * - target + count: number of matching elements, exact or { min, max }
+ * - domQuiet: milliseconds without DOM mutations
+ * - networkIdle: milliseconds without requests in flight (true for 500); needs Network.start()
+ *   to see pending requests, otherwise only finished requests are seen
+ * - predicate: function, possibly async, that returns a truthy value; one still
+ *   unsettled at the timeout is observed as "pending"
+ * 
+ * @param {Object} condition - Wait condition
+ * @param {Object} [options] - Wait options
+ * @param {number} [options.timeout=30000] - Maximum wait in ms
+ * @param {string|number} [options.polling='raf'] - "raf" (every animation frame), "mutation" (on DOM changes) or an interval in ms
+ * @returns {Promise<{met: boolean, elapsed: number, conditions: string[], observed: Object, failed: Object[]}>}
+ *   Outcome, with the last observation of every check and the checks that did not hold
+ */
+export async function waitForCondition(condition, options = {}) {
+  const {
+    timeout = 30000,
+    polling = 'raf'
+  } = options;
+  
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new Error('Condition must be an object');
+  }
+  
+  if (!(polling === 'raf' || polling === 'mutation' || (typeof polling === 'number' && polling >= 0))) {
+    throw new Error(`Invalid polling: ${polling}. Must be 'raf', 'mutation' or an interval in ms`);
+  }
+  
+  const start = Date.now();
+  const context = { start, startUrl: window.location.href, lastMutation: start, lastResourceActivity: start };
+  const checks = buildChecks(condition, context);
+  
+  let wake = null;
+  const observer = new MutationObserver(() => {
+    context.lastMutation = Date.now();
+    if (wake) wake();
+  });
+  
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    characterData: true
+  });
+  
+  let resourceObserver = null;
+  
+  if (condition.networkIdle !== undefined && typeof PerformanceObserver === 'function') {
+    try {
+      resourceObserver = new PerformanceObserver(() => {
+        context.lastResourceActivity = Date.now();
+      });
+      resourceObserver.observe({ type: 'resource' });
+    } catch (e) {
+      resourceObserver = null;
+    }
+  }
+  
+  try {
+    while (true) {
+      const outcomes = [];
+      
+      for (const check of checks) {
+        const remaining = Math.max(timeout - (Date.now() - start), 0);
+        outcomes.push({ name: check.name, description: check.description, ...(await runCheck(check, remaining)) });
+      }
+      
+      const elapsed = Date.now() - start;
+      const failed = outcomes.filter(outcome => !outcome.met);
+      
+      if (failed.length === 0 || elapsed >= timeout) {
+        return {
+          met: failed.length === 0,
+          elapsed,
+          conditions: outcomes.map(outcome => outcome.description),
+          observed: Object.fromEntries(outcomes.map(outcome => [outcome.name, outcome.observed])),
+          failed: failed.map(({ name, description, observed }) => ({ name, description, observed }))
+        };
+      }
+      
+      const remaining = timeout - elapsed;
+      
+      if (polling === 'raf') {
+        await nextFrame(window);
+      } else {
+        const interval = polling === 'mutation' ? MUTATION_POLLING_FALLBACK : polling;
+        
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, Math.min(interval, remaining));
+          if (polling === 'mutation') {
+            wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          }
+        });
+        
+        wake = null;
+      }
+    }
+  } finally {
+    observer.disconnect();
+    if (resourceObserver) resourceObserver.disconnect();
+  }
+}